@@ -9,6 +9,10 @@ import recordRouter from "./routes/recordRouter.js";
 import courtRouter from "./routes/courtRouter.js";
 import userRouter from "./routes/userRouter.js";
 import gazetteRouter from "./routes/gazetteRouter.js";
+import reportRouter from "./routes/reportRouter.js";
+import { startScanWorker } from "./utils/scanQueue.js";
+import { startReportScheduler } from "./utils/reportScheduler.js";
+import { startSlaMonitor } from "./utils/sla.js";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -45,9 +49,15 @@ app.use("/api/v1/records", recordRouter);
 app.use("/api/v1/courts", courtRouter);
 app.use("/api/v1/user", userRouter);
 app.use("/api/v1/gazette", gazetteRouter);
-
-// DB connection
-connectDB();
+app.use("/api/v1/reports", reportRouter);
+
+// DB connection, then the background gazette scan worker, report emails
+// and the nightly SLA sweep
+connectDB().then(() => {
+  startScanWorker();
+  startReportScheduler();
+  startSlaMonitor();
+});
 
 // Global error handler
 app.use(errorMiddleware);
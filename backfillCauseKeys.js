@@ -0,0 +1,89 @@
+// server/backfillCauseKeys.js
+// Fills Record.causeKey for existing records, reports causes that collide
+// once canonicalised, and swaps the old unique causeNo index for the
+// { courtStation, causeKey } one.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Record from "./models/Record.js";
+import { canonicalCauseKey } from "./utils/causeNumber.js";
+
+dotenv.config({ path: "./config/.env" });
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {
+      dbName: process.env.DB_NAME,
+    });
+    console.log("✅ Connected to DB");
+
+    /* =====================================================
+     * 🧩 1. COMPUTE KEYS
+     * ===================================================== */
+    const records = await Record.find({}, { causeNo: 1, causeKey: 1 }).lean();
+    const ops = records
+      .map((r) => ({ ...r, key: canonicalCauseKey(r.causeNo) }))
+      .filter((r) => r.key !== r.causeKey)
+      .map((r) => ({
+        updateOne: {
+          filter: { _id: r._id },
+          update: { $set: { causeKey: r.key } },
+        },
+      }));
+
+    if (ops.length) {
+      const result = await Record.collection.bulkWrite(ops);
+      console.log(`🔑 Updated causeKey on ${result.modifiedCount} record(s)`);
+    } else {
+      console.log("🔑 All records already have an up-to-date causeKey");
+    }
+
+    /* =====================================================
+     * 🧩 2. REPORT DUPLICATES
+     * ===================================================== */
+    const dupes = await Record.aggregate([
+      {
+        $group: {
+          _id: { courtStation: "$courtStation", causeKey: "$causeKey" },
+          causes: {
+            $push: { no: "$no", causeNo: "$causeNo", name: "$nameOfDeceased" },
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ]);
+
+    if (dupes.length) {
+      console.log(
+        `⚠️ ${dupes.length} cause(s) are duplicated once canonicalised:`
+      );
+      dupes.forEach((d) =>
+        console.log(`  ${d._id.causeKey} @ ${d._id.courtStation}:`, d.causes)
+      );
+      console.log("❌ Resolve these records, then run the backfill again.");
+      process.exit(1);
+    }
+
+    /* =====================================================
+     * 🧩 3. SWAP INDEXES
+     * ===================================================== */
+    const indexes = await Record.collection.indexes();
+    const oldIndex = indexes.find(
+      (idx) => idx.name === "causeNo_1" && idx.unique
+    );
+    if (oldIndex) {
+      await Record.collection.dropIndex("causeNo_1");
+      console.log("❌ Dropped old unique index: causeNo_1");
+    }
+    await Record.syncIndexes();
+    console.log("✅ Record indexes in sync");
+
+    console.log("🎉 Cause key backfill complete!");
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Error backfilling cause keys:", err);
+    process.exit(1);
+  }
+};
+
+run();
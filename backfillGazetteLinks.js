@@ -0,0 +1,67 @@
+// server/backfillGazetteLinks.js
+// Gazettes scanned before cases kept their Record get one last match here:
+// cause key + court, confirmed by name, exactly as the scanner does. Then
+// every Record's gazetteNotices list is rebuilt from the stored links, so
+// the listing endpoints never have to re-match.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Record from "./models/Record.js";
+import Gazette from "./models/Gazette.js";
+import { canonicalCauseKey } from "./utils/causeNumber.js";
+import {
+  findCandidates,
+  rankCandidates,
+  classifyMatch,
+} from "./utils/gazetteMatcher.js";
+import { syncGazetteLinks } from "./utils/gazetteScan.js";
+
+dotenv.config({ path: "./config/.env" });
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {
+      dbName: process.env.DB_NAME,
+    });
+    console.log("✅ Connected to DB");
+
+    const gazettes = await Gazette.find({});
+    let linked = 0;
+    let unlinked = 0;
+
+    for (const gazette of gazettes) {
+      /* =====================================================
+       * 🧩 1. LINK CASES THAT HAVE NO RECORD YET
+       * ===================================================== */
+      for (const c of gazette.cases) {
+        if (!c.causeKey) c.causeKey = canonicalCauseKey(c.causeNo);
+        if (c.record || c.status !== "Published") continue;
+
+        const candidates = await findCandidates(c, Record);
+        const ranked = rankCandidates(c, candidates);
+        if (classifyMatch(ranked).action === "auto") {
+          c.record = ranked[0].record._id;
+          linked += 1;
+        } else {
+          unlinked += 1;
+        }
+      }
+      await gazette.save();
+
+      /* =====================================================
+       * 🧩 2. MIRROR LINKS ONTO RECORDS
+       * ===================================================== */
+      await syncGazetteLinks(gazette);
+      console.log(`🔗 ${gazette.volumeNo}: links in sync`);
+    }
+
+    console.log(
+      `🎉 Linked ${linked} case(s); ${unlinked} published case(s) still have no confident Record match.`
+    );
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Error backfilling gazette links:", err);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,82 @@
+// server/backfillRecordStates.js
+// Sets Record.state on records saved before lifecycle states existed,
+// derived from form60Compliance, statusAtGP and the forwarding/publication
+// dates, and records it as the first stateHistory entry.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Record from "./models/Record.js";
+import { deriveState } from "./utils/recordLifecycle.js";
+
+dotenv.config({ path: "./config/.env" });
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {
+      dbName: process.env.DB_NAME,
+    });
+    console.log("✅ Connected to DB");
+
+    /* =====================================================
+     * 🧩 1. DERIVE STATES
+     * ===================================================== */
+    const records = await Record.find(
+      { state: { $in: [null, ""] } },
+      {
+        form60Compliance: 1,
+        statusAtGP: 1,
+        dateForwardedToGP: 1,
+        datePublished: 1,
+      }
+    ).lean();
+    const at = new Date();
+    const ops = records.map((r) => {
+      const state = deriveState(r);
+      return {
+        updateOne: {
+          filter: { _id: r._id },
+          update: {
+            $set: { state },
+            $push: {
+              stateHistory: {
+                from: null,
+                to: state,
+                action: "backfill",
+                source: "backfill",
+                note: "",
+                by: null,
+                at,
+              },
+            },
+          },
+        },
+      };
+    });
+
+    if (ops.length) {
+      const result = await Record.collection.bulkWrite(ops);
+      console.log(`🚦 Set state on ${result.modifiedCount} record(s)`);
+    } else {
+      console.log("🚦 All records already have a state");
+    }
+
+    /* =====================================================
+     * 🧩 2. SUMMARY
+     * ===================================================== */
+    const counts = await Record.aggregate([
+      { $group: { _id: "$state", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ]);
+    counts.forEach((c) => console.log(`  ${c._id}: ${c.count}`));
+
+    await Record.syncIndexes();
+    console.log("✅ Record indexes in sync");
+
+    console.log("🎉 Record state backfill complete!");
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Error backfilling record states:", err);
+    process.exit(1);
+  }
+};
+
+run();
@@ -1,4 +1,11 @@
+import mongoose from "mongoose";
 import Court from "../models/Court.js";
+import UnresolvedCourtHeading from "../models/UnresolvedCourtHeading.js";
+import {
+  createCourtResolver,
+  courtMapAliases,
+  normalizeCourtName,
+} from "../utils/courtResolver.js";
 
 /** ===========================
  *  GET /api/courts
@@ -8,7 +15,7 @@ export const getCourts = async (req, res) => {
   try {
     const courts = await Court.find({})
       .sort({ name: 1 })
-      .select("_id name level code location");
+      .select("_id name level code location aliases");
 
     res.status(200).json({
       success: true,
@@ -86,3 +93,215 @@ export const bulkCreateCourts = async (req, res) => {
     });
   }
 };
+
+/** ===========================
+ *  POST /api/courts/aliases/seed
+ *  Add the COURT_MAP spreadsheet labels to every Court's aliases
+ *  =========================== */
+export const seedCourtAliases = async (req, res) => {
+  try {
+    const courts = await Court.find({}).select("_id name").lean();
+
+    const ops = courts
+      .map((c) => ({ court: c, aliases: courtMapAliases(c.name) }))
+      .filter((c) => c.aliases.length)
+      .map(({ court, aliases }) => ({
+        updateOne: {
+          filter: { _id: court._id },
+          update: { $addToSet: { aliases: { $each: aliases } } },
+        },
+      }));
+
+    const result = ops.length
+      ? await Court.bulkWrite(ops)
+      : { modifiedCount: 0 };
+
+    res.status(200).json({
+      success: true,
+      message: "Court aliases seeded from COURT_MAP",
+      matched: ops.length,
+      modified: result.modifiedCount,
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to seed court aliases",
+      error: err.message,
+    });
+  }
+};
+
+/** ===========================
+ *  PATCH /api/courts/:id/aliases
+ *  Body: { add: ["HOMA BAY"], remove: ["..."] }
+ *  =========================== */
+export const updateCourtAliases = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid court ID" });
+    }
+
+    const { add = [], remove = [] } = req.body || {};
+    const toAdd = [].concat(add).map(normalizeCourtName).filter(Boolean);
+    const toRemove = [].concat(remove).map(normalizeCourtName).filter(Boolean);
+
+    // $addToSet and $pull cannot target the same path in one update
+    if (toRemove.length) {
+      await Court.updateOne(
+        { _id: id },
+        { $pull: { aliases: { $in: toRemove } } }
+      );
+    }
+    const court = await Court.findByIdAndUpdate(
+      id,
+      { $addToSet: { aliases: { $each: toAdd } } },
+      { new: true }
+    ).select("_id name level aliases");
+
+    if (!court) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Court not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Court aliases updated",
+      data: court,
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update court aliases",
+      error: err.message,
+    });
+  }
+};
+
+/** ===========================
+ *  GET /api/courts/resolve?q=ELDAMA RAVINE&level=High Court
+ *  Preview what a heading / "Court Station" value resolves to
+ *  =========================== */
+export const resolveCourtName = async (req, res) => {
+  try {
+    const { q = "", level = null } = req.query;
+    // ?q=a&q=b arrives as an array
+    const repeated =
+      typeof q !== "string" || (level !== null && typeof level !== "string");
+    if (repeated) {
+      return res.status(400).json({
+        success: false,
+        message: "Query q and level must each be given once",
+      });
+    }
+    if (!q.trim()) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Query q is required" });
+    }
+
+    const resolver = await createCourtResolver({ defaultLevel: level });
+    const match = resolver.resolve(q);
+
+    res.status(200).json({
+      success: true,
+      query: q,
+      resolved: Boolean(match),
+      data: match,
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to resolve court",
+      error: err.message,
+    });
+  }
+};
+
+/** ===========================
+ *  GET /api/courts/unresolved?source=gazette&status=open
+ *  Headings no Court could be resolved from
+ *  =========================== */
+export const getUnresolvedHeadings = async (req, res) => {
+  try {
+    const { source, status = "open" } = req.query;
+
+    const query = {};
+    if (source) query.source = source;
+    if (status === "open") query.resolvedTo = null;
+    if (status === "resolved") query.resolvedTo = { $ne: null };
+
+    const headings = await UnresolvedCourtHeading.find(query)
+      .populate("resolvedTo", "name level")
+      .sort({ occurrences: -1, lastSeenAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: headings.length,
+      data: headings,
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch unresolved headings",
+      error: err.message,
+    });
+  }
+};
+
+/** ===========================
+ *  PATCH /api/courts/unresolved/:id
+ *  Body: { courtId }
+ *  Maps the heading to a Court and stores it as an alias
+ *  =========================== */
+export const assignUnresolvedHeading = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { courtId } = req.body || {};
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(courtId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid heading ID and courtId are required",
+      });
+    }
+
+    const heading = await UnresolvedCourtHeading.findById(id);
+    if (!heading) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Heading not found" });
+    }
+
+    const court = await Court.findByIdAndUpdate(
+      courtId,
+      { $addToSet: { aliases: normalizeCourtName(heading.heading) } },
+      { new: true }
+    ).select("_id name level aliases");
+    if (!court) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Court not found" });
+    }
+
+    heading.resolvedTo = court._id;
+    heading.resolvedBy = req.user._id;
+    heading.resolvedAt = new Date();
+    await heading.save();
+
+    res.status(200).json({
+      success: true,
+      message: `"${heading.heading}" now resolves to ${court.name}`,
+      data: { heading, court },
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to assign heading",
+      error: err.message,
+    });
+  }
+};
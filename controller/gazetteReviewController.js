@@ -0,0 +1,326 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Record from "../models/Record.js";
+import Gazette from "../models/Gazette.js";
+import GazetteReview from "../models/GazetteReview.js";
+import ErrorHandler from "../middlewares/errorMiddlewares.js";
+import { scoreCandidate, matchedFields } from "../utils/gazetteMatcher.js";
+import {
+  pickNoticeFields,
+  gazetteNoticeLink,
+} from "../utils/gazetteScan.js";
+import { canonicalCauseKey } from "../utils/causeNumber.js";
+import {
+  applyTransition,
+  currentState,
+  TransitionError,
+} from "../utils/recordLifecycle.js";
+import { auditSnapshot, logRecordChange } from "../utils/recordAudit.js";
+
+/* =========================================================
+ * 🧩 HELPER — load a review that is still awaiting a decision
+ * ========================================================= */
+async function findPendingReview(id) {
+  if (!mongoose.isValidObjectId(id))
+    throw new ErrorHandler(400, "Invalid review ID");
+
+  const review = await GazetteReview.findById(id);
+  if (!review) throw new ErrorHandler(404, "Review not found");
+  if (review.status !== "Pending")
+    throw new ErrorHandler(
+      409,
+      review.status === "Accepting"
+        ? "Review is already being accepted"
+        : `Review already ${review.status.toLowerCase()}`
+    );
+
+  return review;
+}
+
+/* =========================================================
+ * 🧩 HELPER — claim a pending review for accepting, atomically,
+ * so two accepts cannot both publish it
+ * ========================================================= */
+async function claimPendingReview(id) {
+  if (!mongoose.isValidObjectId(id))
+    throw new ErrorHandler(400, "Invalid review ID");
+
+  const review = await GazetteReview.findOneAndUpdate(
+    { _id: id, status: "Pending" },
+    { $set: { status: "Accepting" } },
+    { new: true }
+  );
+  if (review) return review;
+  // Not claimable: the lookup says why (404 or 409)
+  await findPendingReview(id);
+  throw new ErrorHandler(409, "Review is already being accepted");
+}
+
+const releaseReview = (review) =>
+  GazetteReview.updateOne(
+    { _id: review._id, status: "Accepting" },
+    { $set: { status: "Pending" } }
+  );
+
+/* ======================================================
+   📋 List Review Queue
+   GET /api/v1/gazette/reviews?status=Pending&gazette=<id>
+====================================================== */
+export const getReviews = asyncHandler(async (req, res) => {
+  let { page = 1, limit = 30, status = "Pending", gazette } = req.query;
+  page = Math.max(Number(page), 1);
+  limit = Math.max(Number(limit), 1);
+
+  const query = {};
+  if (status !== "All") query.status = status;
+  if (gazette && mongoose.isValidObjectId(gazette)) query.gazette = gazette;
+
+  const [total, reviews] = await Promise.all([
+    GazetteReview.countDocuments(query),
+    GazetteReview.find(query)
+      .populate("gazette", "volumeNo datePublished fileName")
+      .populate({
+        path: "candidates.record",
+        select: "causeNo nameOfDeceased courtStation statusAtGP",
+        populate: { path: "courtStation", select: "name" },
+      })
+      .populate("reviewedBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    reviews,
+  });
+});
+
+/* ======================================================
+   ✅ Accept Review — publishes the selected Record
+   PATCH /api/v1/gazette/reviews/:id/accept
+   Body: { recordId?, notes? }
+====================================================== */
+export const acceptReview = asyncHandler(async (req, res) => {
+  const review = await claimPendingReview(req.params.id);
+  try {
+    await publishReview(review, req);
+  } catch (err) {
+    await releaseReview(review);
+    throw err;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Review accepted and record published",
+    review,
+  });
+});
+
+// Publish the review's Record and add the case to its Gazette. The Record
+// is saved last: if the Gazette or review write fails, the Record is
+// untouched, and if the Record save fails, both are undone.
+async function publishReview(review, req) {
+  const { recordId, notes = "" } = req.body || {};
+
+  // A rolled-back issue no longer publishes anything
+  const issue = await Gazette.findById(review.gazette)
+    .select("status")
+    .lean();
+  if (!issue) throw new ErrorHandler(404, "Gazette not found");
+  if (issue.status === "RolledBack")
+    throw new ErrorHandler(
+      409,
+      "This gazette scan was rolled back; its reviews cannot be accepted"
+    );
+
+  const targetId =
+    recordId || review.selectedRecord || review.candidates[0]?.record;
+  if (!targetId || !mongoose.isValidObjectId(targetId))
+    throw new ErrorHandler(400, "No record selected for this review");
+
+  const record = await Record.findById(targetId);
+  if (!record) throw new ErrorHandler(404, "Record not found");
+
+  const before = {
+    statusAtGP: record.statusAtGP,
+    volumeNo: record.volumeNo,
+    datePublished: record.datePublished,
+    state: currentState(record),
+  };
+  const snapshot = auditSnapshot(record);
+  try {
+    applyTransition(
+      record,
+      "publish",
+      { volumeNo: review.volumeNo, datePublished: review.datePublished },
+      { by: req.user._id, source: "review", via: "gazette" }
+    );
+  } catch (err) {
+    if (err instanceof TransitionError)
+      throw new ErrorHandler(err.statusCode, err.message);
+    throw err;
+  }
+
+  const candidate = review.candidates.find(
+    (c) => c.record.toString() === record._id.toString()
+  );
+
+  // 1️⃣ Gazette: the case and the change it makes to the Record
+  const gazetteCase = {
+    _id: new mongoose.Types.ObjectId(),
+    record: record._id,
+    ...pickNoticeFields(review),
+  };
+  const change = {
+    _id: new mongoose.Types.ObjectId(),
+    record: record._id,
+    causeNo: record.causeNo,
+    nameOfDeceased: record.nameOfDeceased,
+    before,
+    after: {
+      statusAtGP: record.statusAtGP,
+      volumeNo: record.volumeNo,
+      datePublished: record.datePublished,
+      state: record.state,
+    },
+    source: "review",
+  };
+  const gazette = await Gazette.findOneAndUpdate(
+    { _id: review.gazette, status: { $ne: "RolledBack" } },
+    {
+      $push: {
+        cases: {
+          ...gazetteCase,
+          courtStation: record.courtStation,
+          nameOfDeceased: review.nameOfDeceased,
+          causeNo: review.causeNo,
+          causeKey: canonicalCauseKey(review.causeNo),
+          status: "Published",
+          matchScore: candidate?.score ?? null,
+          matchConfidence: candidate?.confidence || "none",
+          matchedOn: candidate?.matchedOn || [],
+        },
+        changes: change,
+      },
+      $inc: { publishedCount: 1 },
+    },
+    { new: true, projection: { volumeNo: 1, datePublished: 1 } }
+  );
+  if (!gazette)
+    throw new ErrorHandler(
+      409,
+      "This gazette scan was rolled back; its reviews cannot be accepted"
+    );
+  const undoGazette = () =>
+    Gazette.updateOne(
+      { _id: gazette._id },
+      {
+        $pull: {
+          cases: { _id: gazetteCase._id },
+          changes: { _id: change._id },
+        },
+        $inc: { publishedCount: -1 },
+      }
+    );
+
+  // 2️⃣ Review: decided
+  review.status = "Accepted";
+  review.selectedRecord = record._id;
+  review.reviewedBy = req.user._id;
+  review.reviewedAt = new Date();
+  review.notes = notes;
+  try {
+    await review.save();
+  } catch (err) {
+    await undoGazette();
+    throw err;
+  }
+
+  // 3️⃣ Record: published and linked to its notice in one write
+  record.gazetteNotices.push(gazetteNoticeLink(gazette, gazetteCase));
+  try {
+    await record.save();
+  } catch (err) {
+    await undoGazette();
+    // Back to Accepting so acceptReview can release it to Pending
+    await GazetteReview.updateOne(
+      { _id: review._id },
+      {
+        $set: { status: "Accepting" },
+        $unset: { reviewedBy: 1, reviewedAt: 1 },
+      }
+    );
+    throw err;
+  }
+  await logRecordChange("update", {
+    before: snapshot,
+    after: record,
+    source: "review",
+    by: req.user._id,
+    note: `Gazette ${review.volumeNo || ""}`.trim(),
+  });
+}
+
+/* ======================================================
+   ❌ Reject Review — no Record is touched
+   PATCH /api/v1/gazette/reviews/:id/reject
+   Body: { notes? }
+====================================================== */
+export const rejectReview = asyncHandler(async (req, res) => {
+  const review = await findPendingReview(req.params.id);
+
+  review.status = "Rejected";
+  review.reviewedBy = req.user._id;
+  review.reviewedAt = new Date();
+  review.notes = req.body?.notes || "";
+  await review.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Review rejected",
+    review,
+  });
+});
+
+/* ======================================================
+   🔀 Re-point Review — choose a different Record
+   PATCH /api/v1/gazette/reviews/:id/repoint
+   Body: { recordId }
+   The review stays Pending until it is accepted.
+====================================================== */
+export const repointReview = asyncHandler(async (req, res) => {
+  const review = await findPendingReview(req.params.id);
+  const { recordId } = req.body || {};
+
+  if (!recordId || !mongoose.isValidObjectId(recordId))
+    throw new ErrorHandler(400, "A valid recordId is required");
+
+  const record = await Record.findById(recordId).lean();
+  if (!record) throw new ErrorHandler(404, "Record not found");
+
+  const alreadyCandidate = review.candidates.some(
+    (c) => c.record.toString() === record._id.toString()
+  );
+  if (!alreadyCandidate) {
+    const scored = scoreCandidate(review, record);
+    review.candidates.push({
+      record: record._id,
+      ...scored,
+      matchedOn: matchedFields(scored),
+    });
+  }
+
+  review.selectedRecord = record._id;
+  await review.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Review re-pointed",
+    review,
+  });
+});
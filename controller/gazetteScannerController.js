@@ -1,185 +1,436 @@
 import asyncHandler from "express-async-handler";
+import crypto from "crypto";
 import fs from "fs/promises";
-import pdfParse from "pdf-parse";
+import mongoose from "mongoose";
 import Record from "../models/Record.js";
-import Gazette from "../models/Gazette.js";
 import Court from "../models/Court.js";
+import Gazette from "../models/Gazette.js";
 import ScanLog from "../models/scanLogModel.js"
-
-export const scanGazette = asyncHandler(async (req, res) => {
-  try {
-    if (!req.file) {
-      res.status(400);
-      throw new Error("No PDF file uploaded");
+import GazettePreview from "../models/GazettePreview.js";
+import ScanJob from "../models/ScanJob.js";
+import ErrorHandler from "../middlewares/errorMiddlewares.js";
+import {
+  parseGazetteFile,
+  planGazetteScan,
+  applyGazettePlan,
+  buildScanSummary,
+  rollbackGazetteScan,
+  metadataProblem,
+} from "../utils/gazetteScan.js";
+import { enqueueScanJob, retryScanJob } from "../utils/scanQueue.js";
+
+// Volume/date an admin typed in for a gazette whose masthead can't be read
+const metadataOverrides = (body = {}) => {
+  const overrides = {};
+  if (body.volumeNo?.trim()) overrides.volumeNo = body.volumeNo.trim();
+  if (body.datePublished) {
+    if (isNaN(new Date(body.datePublished))) {
+      throw new ErrorHandler(400, "datePublished is not a valid date");
     }
+    overrides.datePublished = body.datePublished;
+  }
+  return overrides;
+};
 
-    if (!req.user?._id) {
-      res.status(401);
-      throw new Error("User not authenticated");
-    }
+// Remove an upload the request ends up not using
+const discardUpload = (file) =>
+  file ? fs.unlink(file.path).catch(() => {}) : Promise.resolve();
 
-    // 1️⃣ Read and parse PDF
-    const pdfBuffer = await fs.readFile(req.file.path);
-    const pdfData = await pdfParse(pdfBuffer);
-    let text = pdfData.text.replace(/\s+/g, " ").trim();
-
-    console.log("📄 PDF sample:", text.slice(0, 400));
-
-    // 2️⃣ Extract Gazette metadata
-    const volumeMatch = text.match(/Vol\.?\s*[A-Z]*\s*[—-]?\s*No\.?\s*\d+/i);
-    const dateMatch = text.match(/\b\d{1,2}(st|nd|rd|th)?\s+(January|February|March|April|May|June|July|August|September|October|November|December)[,]?\s+\d{4}\b/i);
-
-    const volumeNo = volumeMatch ? volumeMatch[0].replace(/Vol\.?\s*/i, "").trim() : "Unknown Volume";
-    const datePublished = dateMatch
-      ? new Date(dateMatch[0].replace(/(st|nd|rd|th)/, ""))
-      : new Date();
-
-    console.log("📘 Volume:", volumeNo, "| 📅 Date:", datePublished);
-
-    // 3️⃣ Split Gazette by courts
-    const courtSections = text.split(/IN THE HIGH COURT OF KENYA AT\s+/i).slice(1);
-    const extractedCases = [];
-
-    for (const section of courtSections) {
-      const courtName = section.match(/^([A-Z]+)/i)?.[1]?.trim().toUpperCase() || "UNKNOWN";
-      const courtDoc = await Court.findOne({ name: { $regex: courtName, $options: "i" } });
-      const courtStationId = courtDoc ? courtDoc._id : null;
-
-      // Extract individual causes for this court
-      const causeBlocks = section.match(/CAUSE\s+NO\.\s*[\w/]+\s+.*?(?=(CAUSE\s+NO\.|GAZETTE NOTICE|$))/gis) || [];
-
-      for (const block of causeBlocks) {
-        const causeNo = block.match(/CAUSE\s+NO\.\s*[\w/]+/i)?.[0]?.replace("CAUSE NO.", "").trim() || "N/A";
-
-        // Extract Deceased Name
-        const deceasedMatch = block.match(/estate\s+of\s+([A-Z\s.'’]+?)(?=,|\slate|\swho|\sdeceased)/i);
-        const nameOfDeceased = deceasedMatch
-          ? deceasedMatch[1].replace(/\s+/g, " ").trim()
-          : "Unknown Deceased";
-
-        extractedCases.push({
-          causeNo,
-          courtStation: courtStationId,
-          courtName,
-          nameOfDeceased: nameOfDeceased.toLowerCase(),
-          volumeNo,
-          datePublished,
-          status: "Published",
-        });
-      }
-    }
+// How long a dry-run preview can be committed for
+const PREVIEW_TTL_MINUTES = Number(process.env.GAZETTE_PREVIEW_TTL_MINUTES) || 30;
 
-    console.log(`🧾 Extracted ${extractedCases.length} cases`);
-
-    // 4️⃣ Match with DB records (PDF = source of truth)
-    const matchedCases = [];
-    for (const c of extractedCases) {
-      const record = await Record.findOne({
-        nameOfDeceased: { $regex: `^${c.nameOfDeceased}$`, $options: "i" },
-      });
-
-      if (record) {
-        record.statusAtGP = "Published";
-        record.volumeNo = volumeNo;
-        record.datePublished = datePublished;
-        await record.save();
-
-        matchedCases.push({
-          ...c,
-          recordId: record._id,
-          courtStation: record.courtStation,
-        });
-      }
-    }
+// A fresh preview token and when it stops being committable
+export const previewTicket = (now = new Date()) => ({
+  token: crypto.randomBytes(24).toString("hex"),
+  expiresAt: new Date(now.getTime() + PREVIEW_TTL_MINUTES * 60 * 1000),
+});
 
-    console.log(`✅ Matched ${matchedCases.length} with DB`);
+// Filter for a preview that can still be read or committed; anything that
+// is not a token previewTicket could have made is a 404
+export const openPreviewFilter = (token, now = new Date()) => {
+  if (typeof token !== "string" || !/^[0-9a-f]{48}$/.test(token))
+    throw new ErrorHandler(404, "Preview not found or expired");
+  return { token, expiresAt: { $gt: now } };
+};
+
+/**
+ * Records whose published fields no longer read as they did at preview
+ * time (or that are gone); they are still written, but flagged.
+ * @param {Object[]} changes - plan.changes
+ * @param {Object[]} current - the Records as they are now
+ * @returns {Array} recordIds
+ */
+export const changedSincePreview = (changes = [], current = []) => {
+  const currentById = new Map(current.map((r) => [r._id.toString(), r]));
+  return changes
+    .filter((c) => {
+      const now = currentById.get(c.recordId.toString());
+      if (!now) return true;
+      return (
+        now.statusAtGP !== c.before.statusAtGP ||
+        (now.volumeNo || "") !== (c.before.volumeNo || "") ||
+        String(now.datePublished ?? "") !== String(c.before.datePublished ?? "")
+      );
+    })
+    .map((c) => c.recordId);
+};
 
-    // 5️⃣ Save Gazette and Log
-    const gazette = await Gazette.create({
-      uploadedBy: req.user._id,
+/* ======================================================
+   🧾 Scan Gazette — queued, returns a job id at once
+   POST /api/v1/gazette/scan
+====================================================== */
+export const scanGazette = asyncHandler(async (req, res) => {
+  if (!req.file) throw new ErrorHandler(400, "No PDF file uploaded");
+
+  // Once queued the worker owns the file; until then it is ours to remove
+  let job;
+  try {
+    if (!req.user?._id) throw new ErrorHandler(401, "User not authenticated");
+    job = await enqueueScanJob({
+      filePath: req.file.path,
       fileName: req.file.originalname,
-      volumeNo,
-      datePublished,
-      totalRecords: extractedCases.length,
-      publishedCount: matchedCases.length,
-      cases: matchedCases,
+      uploadedBy: req.user._id,
+      overrides: metadataOverrides(req.body),
     });
+  } catch (err) {
+    await discardUpload(req.file);
+    throw err;
+  }
 
-    await ScanLog.create({
-      uploadedBy: req.user._id,
+  res.status(202).json({
+    message: "Scan queued",
+    jobId: job._id,
+    status: job.status,
+  });
+});
+
+/* ======================================================
+   ⏳ Scan Jobs — list, progress, retry
+   GET  /api/v1/gazette/scan/jobs
+   GET  /api/v1/gazette/scan/jobs/:id
+   POST /api/v1/gazette/scan/jobs/:id/retry  Body: { volumeNo?, datePublished? }
+====================================================== */
+export const getScanJobs = asyncHandler(async (req, res) => {
+  let { page = 1, limit = 20, status } = req.query;
+  page = Math.max(Number(page), 1);
+  limit = Math.max(Number(limit), 1);
+
+  const query = status ? { status } : {};
+
+  const [total, jobs] = await Promise.all([
+    ScanJob.countDocuments(query),
+    ScanJob.find(query)
+      .select("-result.summary")
+      .populate("uploadedBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    jobs,
+  });
+});
+
+export const getScanJob = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ErrorHandler(400, "Invalid job ID");
+  }
+  const job = await ScanJob.findById(req.params.id)
+    .populate("uploadedBy", "name email")
+    .lean();
+  if (!job) throw new ErrorHandler(404, "Scan job not found");
+
+  res.status(200).json({ success: true, job });
+});
+
+export const retryScanJobHandler = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ErrorHandler(400, "Invalid job ID");
+  }
+  const existing = await ScanJob.findById(req.params.id).lean();
+  if (!existing) throw new ErrorHandler(404, "Scan job not found");
+  if (existing.status !== "Failed") {
+    throw new ErrorHandler(
+      409,
+      `Only failed jobs can be retried (job is ${existing.status})`
+    );
+  }
+
+  const fileStillThere = await fs
+    .access(existing.filePath)
+    .then(() => true)
+    .catch(() => false);
+  if (!fileStillThere) {
+    throw new ErrorHandler(410, "The uploaded file is gone; upload it again");
+  }
+
+  const job = await retryScanJob(existing._id, metadataOverrides(req.body));
+  if (!job) throw new ErrorHandler(409, "Job was retried by someone else");
+
+  res.status(202).json({
+    message: "Scan re-queued",
+    jobId: job._id,
+    status: job.status,
+  });
+});
+
+/* ======================================================
+   👀 Preview Gazette Scan (dry run — writes no Records)
+   POST /api/v1/gazette/scan/preview
+====================================================== */
+export const previewGazetteScan = asyncHandler(async (req, res) => {
+  if (!req.file) throw new ErrorHandler(400, "No PDF file uploaded");
+
+  let parsed;
+  try {
+    parsed = await parseGazetteFile(req.file.path, {
       fileName: req.file.originalname,
-      totalRecords: extractedCases.length,
-      publishedCount: matchedCases.length,
-      remarks: `Gazette ${req.file.originalname} scanned successfully.`,
-      volumeNo,
-      datePublished,
+      overrides: metadataOverrides(req.body),
     });
+  } finally {
+    await discardUpload(req.file);
+  }
 
-    await fs.unlink(req.file.path).catch(() => {});
-
-    res.status(201).json({
-      message: "Scan completed successfully",
-      gazette,
-      publishedCount: matchedCases.length,
-      totalRecords: extractedCases.length,
-      tableData: matchedCases.map(c => ({
-        volumeNo: c.volumeNo,
-        courtStation: c.courtName,
-        nameOfDeceased: c.nameOfDeceased,
-        causeNo: c.causeNo,
-        datePublished: c.datePublished,
-      })),
+  if (!parsed.text) {
+    return res.status(422).json({
+      message: "No readable text found in the PDF, even after OCR",
+      ocr: parsed.ocr,
     });
-  } catch (err) {
-    console.error("❌ scanGazette error:", err.message);
-    res.status(500).json({ message: "Failed to scan Gazette", error: err.message });
   }
+
+  const problem = metadataProblem(parsed);
+  if (problem) {
+    return res
+      .status(422)
+      .json({ message: problem, metadata: parsed.metadata });
+  }
+
+  const plan = await planGazetteScan(parsed);
+  const preview = await GazettePreview.create({
+    ...previewTicket(),
+    uploadedBy: req.user._id,
+    fileName: req.file.originalname,
+    plan,
+  });
+
+  res.status(200).json({
+    message: "Preview ready. Nothing has been written yet.",
+    token: preview.token,
+    expiresAt: preview.expiresAt,
+    fileName: preview.fileName,
+    volumeNo: plan.volumeNo,
+    datePublished: plan.datePublished,
+    unresolvedCourts: plan.unresolvedHeadings.length,
+    ...buildScanSummary(plan),
+    diff: plan.changes,
+  });
+});
+
+/* ======================================================
+   👀 Get Gazette Scan Preview
+   GET /api/v1/gazette/scan/preview/:token
+====================================================== */
+export const getGazettePreview = asyncHandler(async (req, res) => {
+  const preview = await GazettePreview.findOne(
+    openPreviewFilter(req.params.token)
+  ).lean();
+  if (!preview) throw new ErrorHandler(404, "Preview not found or expired");
+
+  res.status(200).json({
+    token: preview.token,
+    expiresAt: preview.expiresAt,
+    fileName: preview.fileName,
+    volumeNo: preview.plan.volumeNo,
+    datePublished: preview.plan.datePublished,
+    unresolvedCourts: preview.plan.unresolvedHeadings.length,
+    ...buildScanSummary(preview.plan),
+    diff: preview.plan.changes,
+  });
+});
+
+/* ======================================================
+   ✅ Commit Gazette Scan Preview — applies exactly the preview
+   POST /api/v1/gazette/scan/commit/:token
+====================================================== */
+export const commitGazettePreview = asyncHandler(async (req, res) => {
+  // Claim the preview atomically so it cannot be committed twice
+  const preview = await GazettePreview.findOneAndDelete(
+    openPreviewFilter(req.params.token)
+  ).lean();
+  if (!preview) throw new ErrorHandler(404, "Preview not found or expired");
+
+  const { plan } = preview;
+
+  // Records edited since the preview are still written as previewed, but
+  // flagged so the admin can double-check them.
+  const current = await Record.find({
+    _id: { $in: plan.changes.map((c) => c.recordId) },
+  })
+    .select("statusAtGP volumeNo datePublished")
+    .lean();
+
+  const { gazette, unresolvedCourts } = await applyGazettePlan(plan, {
+    uploadedBy: req.user._id,
+    fileName: preview.fileName,
+  });
+
+  res.status(201).json({
+    message: "Preview committed successfully",
+    gazette,
+    unresolvedCourts,
+    changedSincePreview: changedSincePreview(plan.changes, current),
+    ...buildScanSummary(plan),
+  });
 });
 
 
 
+/* ======================================================
+   ↩️ Roll Back Gazette Scan — whole scan or selected Records
+   POST /api/v1/gazette/:id/rollback
+   Body: { reason, recordIds?, force? }
+====================================================== */
+export const rollbackGazette = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason, recordIds, force = false } = req.body || {};
+
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ErrorHandler(400, "Invalid Gazette ID");
+  }
+  if (!reason?.trim()) {
+    throw new ErrorHandler(400, "A reason for the rollback is required");
+  }
+  if (recordIds !== undefined && !Array.isArray(recordIds)) {
+    throw new ErrorHandler(400, "recordIds must be an array");
+  }
+  if (recordIds?.some((r) => !mongoose.isValidObjectId(r))) {
+    throw new ErrorHandler(400, "recordIds contains an invalid ID");
+  }
+
+  const gazette = await Gazette.findById(id);
+  if (!gazette) throw new ErrorHandler(404, "Gazette not found");
+  if (gazette.status === "RolledBack") {
+    throw new ErrorHandler(409, "Gazette has already been rolled back");
+  }
+
+  const { reverted, skipped, scanLog } = await rollbackGazetteScan(gazette, {
+    reason: reason.trim(),
+    recordIds,
+    force: Boolean(force),
+    user: req.user._id,
+  });
+
+  if (!reverted.length) {
+    return res.status(409).json({
+      success: false,
+      message: "Nothing was rolled back",
+      skipped,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Rolled back ${reverted.length} record(s)`,
+    status: gazette.status,
+    reverted,
+    skipped,
+    scanLog,
+  });
+});
+
 /* ======================================================
    🧩 Get All Gazettes
+   Counts and previews come from the stored case links; nothing is
+   re-matched against Records here.
 ====================================================== */
-export const getGazettes = asyncHandler(async (req, res) => {
-  const gazettes = await Gazette.find()
-    .populate("uploadedBy", "name email")
-    .sort({ createdAt: -1 })
-    .lean();
+const isPublished = { $eq: ["$$c.status", "Published"] };
 
-  const gazettesWithPreview = await Promise.all(
-    gazettes.map(async (gazette) => {
-      // ⚙️ Relax filters to avoid mismatches (volume dash differences, etc.)
-      const dbRecords = await Record.find({
-        nameOfDeceased: {
-          $in: gazette.cases.map((c) => new RegExp(`^${c.nameOfDeceased}$`, "i")),
+export const getGazettes = asyncHandler(async (req, res) => {
+  const gazettes = await Gazette.aggregate([
+    { $sort: { createdAt: -1 } },
+    {
+      $project: {
+        volumeNo: 1,
+        datePublished: 1,
+        specialIssue: 1,
+        status: { $ifNull: ["$status", "Active"] },
+        uploadedBy: 1,
+        totalRecords: 1,
+        caseCount: { $size: "$cases" },
+        publishedCount: {
+          $size: {
+            $filter: { input: "$cases", as: "c", cond: isPublished },
+          },
         },
-      })
-        .populate("courtStation", "name")
-        .lean();
-
-      // 🧮 Keep only published ones (safely filter in code)
-      const publishedCases = dbRecords
-        .filter((r) => r.statusAtGP?.toLowerCase() === "published")
-        .map((r) => ({
-          volumeNo: gazette.volumeNo,
-          courtStation: r.courtStation?.name || "Unknown",
-          nameOfDeceased: r.nameOfDeceased,
-          causeNo: r.causeNo,
-          datePublished: gazette.datePublished,
-        }));
-
-      return {
-        _id: gazette._id.toString(),
-        volumeNo: gazette.volumeNo,
-        datePublished: gazette.datePublished,
-        uploadedBy: gazette.uploadedBy,
-        totalRecords: gazette.totalRecords,
-        publishedCount: publishedCases.length,
-        casePreview: publishedCases.slice(0, 3),
-      };
-    })
+        unmatchedCount: {
+          $size: {
+            $filter: {
+              input: "$cases",
+              as: "c",
+              cond: { $eq: ["$$c.status", "Unmatched"] },
+            },
+          },
+        },
+        linkedCount: {
+          $size: {
+            $filter: {
+              input: "$cases",
+              as: "c",
+              cond: {
+                $and: [isPublished, { $ifNull: ["$$c.record", false] }],
+              },
+            },
+          },
+        },
+        casePreview: {
+          $slice: [
+            {
+              $filter: { input: "$cases", as: "c", cond: isPublished },
+            },
+            3,
+          ],
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "uploadedBy",
+        foreignField: "_id",
+        as: "uploadedBy",
+        pipeline: [{ $project: { name: 1, email: 1 } }],
+      },
+    },
+    { $set: { uploadedBy: { $first: "$uploadedBy" } } },
+  ]);
+
+  // Court names for the preview rows only
+  const courtIds = gazettes.flatMap((g) =>
+    g.casePreview.map((c) => c.courtStation).filter(Boolean)
   );
+  const courts = await Court.find({ _id: { $in: courtIds } })
+    .select("name")
+    .lean();
+  const courtName = new Map(courts.map((c) => [c._id.toString(), c.name]));
+
+  const gazettesWithPreview = gazettes.map((gazette) => ({
+    ...gazette,
+    _id: gazette._id.toString(),
+    casePreview: gazette.casePreview.map((c) => ({
+      volumeNo: gazette.volumeNo,
+      courtStation: courtName.get(c.courtStation?.toString()) || "Unknown",
+      nameOfDeceased: c.nameOfDeceased,
+      causeNo: c.causeNo,
+      datePublished: gazette.datePublished,
+      record: c.record || null,
+    })),
+  }));
 
   res.status(200).json({
     success: true,
@@ -188,47 +439,44 @@ export const getGazettes = asyncHandler(async (req, res) => {
   });
 });
 
-
-
-/* ======================================================
-   🧩 Get Gazette Details
-====================================================== */
-/* ======================================================
-   🧩 Get Gazette Details (Detailed Table)
-====================================================== */
 /* ======================================================
-   🧩 Get Gazette Details (Robust Matching for Full Table)
+   🧩 Get Gazette Details — every stored case with its linked Record
 ====================================================== */
 export const getGazetteDetails = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  if (!id.match(/^[0-9a-fA-F]{24}$/)) throw new Error("Invalid Gazette ID");
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ErrorHandler(400, "Invalid Gazette ID");
+  }
 
   const gazette = await Gazette.findById(id)
+    .select("-changes")
     .populate("uploadedBy", "name email")
+    .populate("cases.courtStation", "name")
+    .populate("cases.record", "causeNo nameOfDeceased statusAtGP")
     .lean();
 
-  if (!gazette) throw new Error("Gazette not found");
-
-  // 🧩 Match more flexibly (ignore case, spacing, etc.)
-  const dbRecords = await Record.find({
-    nameOfDeceased: {
-      $in: gazette.cases.map((c) => new RegExp(`^${c.nameOfDeceased}$`, "i")),
-    },
-  })
-    .populate("courtStation", "name")
-    .lean();
+  if (!gazette) throw new ErrorHandler(404, "Gazette not found");
 
-  // 🧮 Keep only published ones (and avoid nulls)
-  const tableCases = dbRecords
-    .filter((r) => r.statusAtGP?.toLowerCase() === "published")
-    .map((r) => ({
+  const tableCases = gazette.cases
+    .filter((c) => c.status !== "Removed")
+    .map((c) => ({
+      _id: c._id,
       volumeNo: gazette.volumeNo,
-      courtStation: r.courtStation?.name || "Unknown",
-      nameOfDeceased: r.nameOfDeceased,
-      causeNo: r.causeNo,
+      courtStation: c.courtStation?.name || c.courtName || "Unknown",
+      nameOfDeceased: c.nameOfDeceased,
+      causeNo: c.causeNo,
       datePublished: gazette.datePublished,
+      status: c.status,
+      noticeNo: c.noticeNo,
+      page: c.page,
+      record: c.record || null,
     }));
 
+  const statusCounts = tableCases.reduce((acc, c) => {
+    acc[c.status] = (acc[c.status] || 0) + 1;
+    return acc;
+  }, {});
+
   res.status(200).json({
     success: true,
     gazette: {
@@ -236,16 +484,19 @@ export const getGazetteDetails = asyncHandler(async (req, res) => {
       fileName: gazette.fileName,
       volumeNo: gazette.volumeNo,
       datePublished: gazette.datePublished,
+      specialIssue: gazette.specialIssue,
+      status: gazette.status || "Active",
+      rollbacks: gazette.rollbacks || [],
       uploadedBy: gazette.uploadedBy,
       totalRecords: gazette.totalRecords,
-      publishedCount: tableCases.length,
+      publishedCount: statusCounts.Published || 0,
+      linkedCount: tableCases.filter((c) => c.record).length,
+      statusCounts,
       cases: tableCases,
     },
   });
 });
 
-
-
 /* ======================================================
    🧾 Get Scan Logs
 ====================================================== */
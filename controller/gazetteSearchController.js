@@ -0,0 +1,195 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Gazette from "../models/Gazette.js";
+import Record from "../models/Record.js";
+import ErrorHandler from "../middlewares/errorMiddlewares.js";
+import {
+  escapeRegex,
+  nameSimilarity,
+  MATCH_THRESHOLDS,
+} from "../utils/gazetteMatcher.js";
+import { parseCauseNo } from "../utils/causeNumber.js";
+import { tokenizeName } from "../utils/normalize.js";
+
+// Name searches score at most this many cases before paginating
+const MAX_NAME_CANDIDATES = 2000;
+
+const parseDate = (value, field) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw new ErrorHandler(400, `${field} is not a valid date`);
+  return date;
+};
+
+// Cause filter: the stored key, or for cases scanned before causeKey was
+// kept, the serial/year written any of the usual ways
+export const causeClause = (causeNo) => {
+  const parsed = parseCauseNo(causeNo);
+  if (!parsed) {
+    return {
+      "cases.causeNo": { $regex: escapeRegex(causeNo.trim()), $options: "i" },
+    };
+  }
+  const yy = String(parsed.year).slice(-2);
+  return {
+    $or: [
+      { "cases.causeKey": parsed.key },
+      {
+        "cases.causeNo": {
+          // "E086/24": the e-filing E leaves no word break before the serial
+          $regex: `(\\bE\\s*|\\b)0*${parsed.serial}\\s*(/|OF|-)\\s*(${parsed.year}|${yy})\\b`,
+          $options: "i",
+        },
+      },
+    ],
+  };
+};
+
+/* ======================================================
+   🔎 Search Gazette Cases — across every scanned issue
+   GET /api/v1/gazette/search
+   Query: name, causeNo, court (id or name), volumeNo, from, to,
+          page, limit
+====================================================== */
+export const searchGazetteCases = asyncHandler(async (req, res) => {
+  // ?causeNo=a&causeNo=b arrives as an array
+  for (const [field, value] of Object.entries(req.query)) {
+    if (typeof value !== "string")
+      throw new ErrorHandler(400, `${field} must be given once, as text`);
+  }
+  let { name, causeNo, court, volumeNo, from, to, page = 1, limit = 20 } =
+    req.query;
+  page = Math.max(Number(page) || 1, 1);
+  limit = Math.min(Math.max(Number(limit) || 20, 1), 100);
+
+  const fromDate = parseDate(from, "from");
+  const toDate = parseDate(to, "to");
+  const nameTokens = tokenizeName(name || "")
+    .split(" ")
+    .filter((t) => t.length >= 2);
+
+  if (!nameTokens.length && !causeNo && !court && !volumeNo && !from && !to) {
+    throw new ErrorHandler(400, "Give at least one search filter");
+  }
+
+  // 1️⃣ Issue-level filters
+  const issueMatch = {};
+  if (volumeNo) {
+    issueMatch.volumeNo = { $regex: escapeRegex(volumeNo), $options: "i" };
+  }
+  if (fromDate || toDate) {
+    issueMatch.datePublished = {
+      ...(fromDate && { $gte: fromDate }),
+      ...(toDate && { $lte: toDate }),
+    };
+  }
+
+  // 2️⃣ Case-level filters
+  const caseMatch = { "cases.status": { $ne: "Removed" } };
+  const and = [];
+  if (causeNo) and.push(causeClause(causeNo));
+  if (court) {
+    and.push(
+      mongoose.isValidObjectId(court)
+        ? { "cases.courtStation": new mongoose.Types.ObjectId(court) }
+        : {
+            "cases.courtName": {
+              $regex: escapeRegex(court.trim()),
+              $options: "i",
+            },
+          }
+    );
+  }
+  if (nameTokens.length) {
+    // Any token narrows the candidates; similarity decides below
+    and.push({
+      $or: nameTokens.map((t) => ({
+        "cases.nameOfDeceased": {
+          $regex: `\\b${escapeRegex(t)}\\b`,
+          $options: "i",
+        },
+      })),
+    });
+  }
+  if (and.length) caseMatch.$and = and;
+
+  const pipeline = [
+    { $match: issueMatch },
+    { $unwind: "$cases" },
+    { $match: caseMatch },
+    {
+      $project: {
+        _id: "$cases._id",
+        gazette: {
+          _id: "$_id",
+          volumeNo: "$volumeNo",
+          datePublished: "$datePublished",
+          specialIssue: "$specialIssue",
+        },
+        causeNo: "$cases.causeNo",
+        courtName: "$cases.courtName",
+        courtStation: "$cases.courtStation",
+        nameOfDeceased: "$cases.nameOfDeceased",
+        noticeNo: "$cases.noticeNo",
+        page: "$cases.page",
+        status: "$cases.status",
+        record: "$cases.record",
+      },
+    },
+    { $sort: { "gazette.datePublished": -1, noticeNo: 1 } },
+  ];
+
+  let total;
+  let results;
+  if (nameTokens.length) {
+    // Fuzzy: score the token hits and keep those that resemble the name
+    const candidates = await Gazette.aggregate([
+      ...pipeline,
+      { $limit: MAX_NAME_CANDIDATES },
+    ]);
+    const scored = candidates
+      .map((c) => ({
+        ...c,
+        nameScore: Number(
+          nameSimilarity(name, c.nameOfDeceased).toFixed(4)
+        ),
+      }))
+      .filter((c) => c.nameScore >= MATCH_THRESHOLDS.weak)
+      .sort((a, b) => b.nameScore - a.nameScore);
+    total = scored.length;
+    results = scored.slice((page - 1) * limit, page * limit);
+  } else {
+    const [facet] = await Gazette.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          total: [{ $count: "n" }],
+          results: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        },
+      },
+    ]);
+    total = facet.total[0]?.n || 0;
+    results = facet.results;
+  }
+
+  // 3️⃣ Linked Records
+  const recordIds = results.map((r) => r.record).filter(Boolean);
+  const records = recordIds.length
+    ? await Record.find({ _id: { $in: recordIds } })
+        .select("causeNo nameOfDeceased courtStation statusAtGP")
+        .populate("courtStation", "name")
+        .lean()
+    : [];
+  const recordById = new Map(records.map((r) => [r._id.toString(), r]));
+
+  res.status(200).json({
+    success: true,
+    total,
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    results: results.map((r) => ({
+      ...r,
+      record: r.record ? recordById.get(r.record.toString()) || null : null,
+    })),
+  });
+});
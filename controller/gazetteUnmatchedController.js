@@ -0,0 +1,205 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Gazette from "../models/Gazette.js";
+import GazetteReview from "../models/GazetteReview.js";
+import Court from "../models/Court.js";
+import ErrorHandler from "../middlewares/errorMiddlewares.js";
+import { escapeRegex } from "../utils/gazetteMatcher.js";
+import { sendTable, EXPORT_FORMATS } from "../utils/tableExport.js";
+
+// Why a gazette case never reached a Record. no_court / no_match are kept on
+// the Gazette by the scanner; the rest are the review queue's reasons.
+export const UNMATCHED_REASONS = {
+  no_court: "Court heading not recognised",
+  no_match: "No Record with this cause or name",
+  ambiguous: "Several Records match",
+  name_mismatch: "Cause matches but the name does not",
+  name_only: "Name matches without cause or court",
+  weak: "Weak name match",
+  state: "Record is not ready to publish (e.g. Rejected)",
+};
+
+const EXPORT_FIELDS = [
+  { label: "Gazette", value: "volumeNo" },
+  { label: "Date Published", value: "datePublished" },
+  { label: "Notice No.", value: "noticeNo" },
+  { label: "Page", value: "page" },
+  { label: "Court Heading", value: "courtName" },
+  { label: "Court Station", value: "court" },
+  { label: "Cause No.", value: "causeNo" },
+  { label: "Name of Deceased", value: "nameOfDeceased" },
+  { label: "Reason", value: (r) => UNMATCHED_REASONS[r.reason] || r.reason },
+  { label: "Source", value: "source" },
+  { label: "Status", value: "status" },
+];
+
+// Court filter on a case or review: Court id, or the gazette heading text
+const courtFilter = (court, prefix = "") => {
+  if (!court) return {};
+  return mongoose.isValidObjectId(court)
+    ? { [`${prefix}courtStation`]: new mongoose.Types.ObjectId(court) }
+    : {
+        [`${prefix}courtName`]: {
+          $regex: escapeRegex(court.trim()),
+          $options: "i",
+        },
+      };
+};
+
+// Rows grouped by keyOf, each group with its count per reason, largest first
+export const tally = (rows, keyOf, base) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) {
+      groups.set(key, { ...base(row), total: 0, reasons: {} });
+    }
+    const group = groups.get(key);
+    group.total += 1;
+    group.reasons[row.reason] = (group.reasons[row.reason] || 0) + 1;
+  }
+  return [...groups.values()].sort((a, b) => b.total - a.total);
+};
+
+/* ======================================================
+   🧩 Unmatched Gazette Cases — by gazette and by court
+   GET /api/v1/gazette/unmatched
+   Query: gazette, court (id or heading), reason,
+          includeRejected, format (json|csv|xlsx), page, limit
+====================================================== */
+export const getUnmatchedCases = asyncHandler(async (req, res) => {
+  let {
+    gazette,
+    court,
+    reason,
+    includeRejected,
+    format = "json",
+    page = 1,
+    limit = 50,
+  } = req.query;
+  page = Math.max(Number(page) || 1, 1);
+  limit = Math.max(Number(limit) || 50, 1);
+
+  if (format !== "json" && !EXPORT_FORMATS.includes(format)) {
+    throw new ErrorHandler(
+      400,
+      `format must be json, ${EXPORT_FORMATS.join(" or ")}`
+    );
+  }
+  if (gazette && !mongoose.isValidObjectId(gazette)) {
+    throw new ErrorHandler(400, "Invalid Gazette ID");
+  }
+  if (reason && !UNMATCHED_REASONS[reason]) {
+    throw new ErrorHandler(
+      400,
+      `reason must be one of ${Object.keys(UNMATCHED_REASONS).join(", ")}`
+    );
+  }
+
+  // 1️⃣ Cases the scanner kept without a Record
+  const gazetteCases = await Gazette.aggregate([
+    {
+      $match: gazette ? { _id: new mongoose.Types.ObjectId(gazette) } : {},
+    },
+    { $unwind: "$cases" },
+    {
+      $match: {
+        "cases.status": "Unmatched",
+        ...(reason && { "cases.unmatchedReason": reason }),
+        ...courtFilter(court, "cases."),
+      },
+    },
+    {
+      $project: {
+        _id: "$cases._id",
+        gazette: "$_id",
+        volumeNo: 1,
+        datePublished: 1,
+        noticeNo: "$cases.noticeNo",
+        page: "$cases.page",
+        courtName: "$cases.courtName",
+        courtStation: "$cases.courtStation",
+        causeNo: "$cases.causeNo",
+        nameOfDeceased: "$cases.nameOfDeceased",
+        reason: "$cases.unmatchedReason",
+        status: "$cases.status",
+      },
+    },
+  ]);
+
+  // 2️⃣ Cases still waiting on (or turned down by) an admin
+  const reviewStatuses =
+    includeRejected === "true" ? ["Pending", "Rejected"] : ["Pending"];
+  const reviews = await GazetteReview.find({
+    status: { $in: reviewStatuses },
+    ...(gazette && { gazette }),
+    ...(reason && { reason }),
+    ...courtFilter(court),
+  })
+    .select(
+      "gazette volumeNo datePublished noticeNo page courtName courtStation causeNo nameOfDeceased reason status"
+    )
+    .lean();
+
+  const rows = [
+    ...gazetteCases.map((c) => ({ ...c, source: "scan" })),
+    ...reviews.map((r) => ({ ...r, source: "review" })),
+  ].sort(
+    (a, b) =>
+      (b.datePublished || 0) - (a.datePublished || 0) ||
+      String(a.noticeNo || "").localeCompare(
+        String(b.noticeNo || ""),
+        undefined,
+        { numeric: true }
+      )
+  );
+
+  // 3️⃣ Court names
+  const courtIds = [
+    ...new Set(rows.map((r) => r.courtStation?.toString()).filter(Boolean)),
+  ];
+  const courts = await Court.find({ _id: { $in: courtIds } })
+    .select("name")
+    .lean();
+  const courtName = new Map(courts.map((c) => [c._id.toString(), c.name]));
+  for (const row of rows) {
+    row.court = courtName.get(row.courtStation?.toString()) || "Unresolved";
+  }
+
+  if (format !== "json") {
+    const stamp = new Date().toISOString().slice(0, 10);
+    return sendTable(res, {
+      rows,
+      fields: EXPORT_FIELDS,
+      fileName: `unmatched-gazette-cases-${stamp}`,
+      format,
+      sheetName: "Unmatched",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    total: rows.length,
+    currentPage: page,
+    totalPages: Math.ceil(rows.length / limit),
+    reasons: UNMATCHED_REASONS,
+    byGazette: tally(
+      rows,
+      (r) => r.gazette.toString(),
+      (r) => ({
+        gazette: r.gazette,
+        volumeNo: r.volumeNo,
+        datePublished: r.datePublished,
+      })
+    ),
+    byCourt: tally(
+      rows,
+      (r) => r.courtStation?.toString() || `heading:${r.courtName}`,
+      (r) => ({
+        courtStation: r.courtStation || null,
+        court: r.courtStation ? r.court : r.courtName || "UNKNOWN",
+      })
+    ),
+    cases: rows.slice((page - 1) * limit, page * limit),
+  });
+});
@@ -0,0 +1,139 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Record from "../models/Record.js";
+import RecordAudit, {
+  AUDIT_ACTIONS,
+  AUDIT_SOURCES,
+} from "../models/RecordAudit.js";
+import ErrorHandler from "../middlewares/errorMiddlewares.js";
+import { escapeRegex } from "../utils/gazetteMatcher.js";
+import { parseDateInput, DATE_FORMAT_HINT } from "../utils/dateInput.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const findAuditPage = (query, { page, limit }) =>
+  Promise.all([
+    RecordAudit.countDocuments(query),
+    RecordAudit.find(query)
+      .populate("by", "name email")
+      .populate("courtStation", "name")
+      .sort({ at: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+/* =========================================================
+ * 🧩 RECORD HISTORY — every change to one Record, newest first
+ * GET /api/v1/records/:id/history
+ * Works for deleted Records too; the delete entry holds the last copy.
+ * ========================================================= */
+export const getRecordHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id))
+    throw new ErrorHandler(400, "Invalid record ID");
+  let { page = 1, limit = 50 } = req.query;
+  page = Math.max(Number(page), 1);
+  limit = Math.max(Number(limit), 1);
+
+  const query = { record: id };
+  const [record, [total, entries]] = await Promise.all([
+    Record.findById(id)
+      .select("no causeNo nameOfDeceased courtStation state")
+      .populate("courtStation", "name")
+      .lean(),
+    findAuditPage(query, { page, limit }),
+  ]);
+  if (!record && !total) throw new ErrorHandler(404, "Record not found");
+
+  res.status(200).json({
+    success: true,
+    record,
+    deleted: !record,
+    total,
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    entries,
+  });
+});
+
+/* =========================================================
+ * 🧩 ACTIVITY FEED — changes across all Records
+ * GET /api/v1/records/activity?source=gazette&action=update&user=<id>
+ *     &court=<id>&field=statusAtGP&search=<cause or name>&from=&to=
+ * ========================================================= */
+export const getRecordActivity = asyncHandler(async (req, res) => {
+  let { page = 1, limit = 50 } = req.query;
+  page = Math.max(Number(page), 1);
+  limit = Math.max(Number(limit), 1);
+  const {
+    source = "All",
+    action = "All",
+    user,
+    court,
+    field,
+    search = "",
+    from,
+    to,
+  } = req.query;
+
+  const query = {};
+  if (source !== "All") {
+    if (!AUDIT_SOURCES.includes(source))
+      throw new ErrorHandler(
+        400,
+        `source must be one of ${AUDIT_SOURCES.join(", ")}`
+      );
+    query.source = source;
+  }
+  if (action !== "All") {
+    if (!AUDIT_ACTIONS.includes(action))
+      throw new ErrorHandler(
+        400,
+        `action must be one of ${AUDIT_ACTIONS.join(", ")}`
+      );
+    query.action = action;
+  }
+  for (const [key, value, path] of [
+    ["user", user, "by"],
+    ["court", court, "courtStation"],
+  ]) {
+    if (!value) continue;
+    if (!mongoose.isValidObjectId(value))
+      throw new ErrorHandler(400, `Invalid ${key} ID`);
+    query[path] = new mongoose.Types.ObjectId(value);
+  }
+  if (field) query["changes.field"] = field;
+  if (search.trim()) {
+    const term = { $regex: escapeRegex(search.trim()), $options: "i" };
+    query.$or = [{ causeNo: term }, { nameOfDeceased: term }];
+  }
+
+  // "to" includes the whole day
+  const range = {};
+  for (const [key, value] of [
+    ["from", from],
+    ["to", to],
+  ]) {
+    if (!value) continue;
+    const date = parseDateInput(value);
+    if (!date)
+      throw new ErrorHandler(
+        400,
+        `${key} "${value}" is not a valid date (use ${DATE_FORMAT_HINT})`
+      );
+    if (key === "from") range.$gte = date;
+    else range.$lt = new Date(date.getTime() + DAY_MS);
+  }
+  if (Object.keys(range).length) query.at = range;
+
+  const [total, entries] = await findAuditPage(query, { page, limit });
+
+  res.status(200).json({
+    success: true,
+    total,
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    entries,
+  });
+});
@@ -2,27 +2,67 @@
 import mongoose from "mongoose";
 import Court from "../models/Court.js";
 import Record from "../models/Record.js";
-import Counter from "../models/Counter.js";
 import { sendEmail } from "../utils/sendMail.js";
 import { User } from "../models/userModel.js";
-import { Parser } from "json2csv";
+import { canonicalCauseKey, parseCauseNo } from "../utils/causeNumber.js";
+import getNextSequence from "../utils/getNextSequence.js";
+import {
+  normalizeDateFields,
+  parseDateInput,
+  DATE_FORMAT_HINT,
+} from "../utils/dateInput.js";
+import { streamTable, EXPORT_FORMATS } from "../utils/tableExport.js";
+import { REGISTER_COLUMNS } from "../utils/recordImport.js";
+import { registerReportHtml } from "../utils/reportTemplates.js";
+import { registerReportPdf } from "../utils/reportPdf.js";
+import {
+  applyTransition,
+  allowedActions,
+  currentState,
+  TransitionError,
+  RECORD_STATES,
+} from "../utils/recordLifecycle.js";
+import { auditSnapshot, logRecordChange } from "../utils/recordAudit.js";
+
+// Date fields accepted on create/update, with labels for error messages
+const RECORD_DATE_FIELDS = {
+  dateReceived: "Date Received",
+  dateOfReceipt: "Date of Receipt",
+  dateForwardedToGP: "Date Forwarded to GP",
+  datePublished: "Date Published",
+};
 
-/* =========================================================
- * 🧩 HELPER — SAFE, FAST COUNTER (uses _id in Counter schema)
- * ========================================================= */
-async function getNextSequence(counterId) {
-  if (!counterId) throw new Error("Counter id is required");
-
-  // Using findOneAndUpdate on _id to support your Counter schema (_id: String)
-  const updated = await Counter.findOneAndUpdate(
-    { _id: counterId },
-    { $inc: { seq: 1 } },
-    { new: true, upsert: true, setDefaultsOnInsert: true }
-  ).lean();
-
-  // If we somehow still get null, return 1
-  return (updated && updated.seq) || 1;
-}
+const MONTHLY_REPORT_FORMATS = ["html", "pdf"];
+
+// Fields only the lifecycle actions may change, and where to change them
+const LIFECYCLE_FIELDS = {
+  state: "the record's action endpoints",
+  form60Compliance: "POST /records/:id/review",
+  statusAtGP: "POST /records/:id/publish or /records/:id/not-published",
+  dateForwardedToGP: "POST /records/:id/forward",
+  datePublished: "POST /records/:id/publish",
+  volumeNo: "POST /records/:id/publish",
+};
+
+// Fields the record form may edit. Everything else is set by the system
+// (no, causeKey, lead times, slaBreach, gazetteNotices, stateHistory) or
+// by the lifecycle actions above, and is ignored on update.
+const EDITABLE_FIELDS = [
+  "courtStation",
+  "causeNo",
+  "nameOfDeceased",
+  "dateReceived",
+  "dateOfReceipt",
+  "rejectionReason",
+];
+
+const sameFieldValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    const time = (d) => (d ? new Date(d).getTime() : null);
+    return time(a) === time(b);
+  }
+  return (a ?? "") === (b ?? "");
+};
 
 /* =========================================================
  * ✅ Small helpers for email templates (kept compact)
@@ -112,8 +152,8 @@ function bulkForwardingEmailTemplate(updatedRecords, date) {
 
 /* =========================================================
  * 🆕 CREATE RECORD - optimized
- * - uses counter increment first (single DB op)
- * - validates input minimally
+ * - Form 60 decision and forwarding go through the lifecycle rules
+ * - counter increment only once the record is valid
  * - sends emails in parallel
  * ========================================================= */
 export const createRecord = async (req, res) => {
@@ -124,8 +164,6 @@ export const createRecord = async (req, res) => {
       causeNo,
       nameOfDeceased,
       dateReceived,
-      dateOfReceipt,
-      dateForwardedToGP,
       email,
       form60Compliance = "Approved",
       rejectionReason = "",
@@ -139,8 +177,66 @@ export const createRecord = async (req, res) => {
       });
     }
 
+    // Excel serials, dd/mm/yyyy, textual dates; never an Invalid Date
+    const { values: dates, errors: dateErrors } = normalizeDateFields(
+      req.body,
+      RECORD_DATE_FIELDS
+    );
+    if (dateErrors.length) {
+      return res.status(400).json({
+        message: dateErrors.map((e) => e.message).join("; "),
+        errors: dateErrors,
+      });
+    }
+
+    // Reject the same cause typed differently ("E086/24" vs "E86 of 2024")
+    const causeKey = canonicalCauseKey(causeNo);
+    const duplicate = await Record.findOne({ courtStation, causeKey })
+      .select("causeNo nameOfDeceased")
+      .lean();
+    if (duplicate) {
+      return res.status(409).json({
+        message: `Cause ${causeNo} already exists for this court as "${duplicate.causeNo}" (${duplicate.nameOfDeceased})`,
+      });
+    }
+
+    // Build the record as Received, then walk it through the same
+    // transitions the action endpoints use (review, and forward if dated);
+    // a refused transition is answered before a number is taken
+    const recordToSave = new Record({
+      courtStation,
+      causeNo,
+      causeKey,
+      nameOfDeceased,
+      dateReceived: dates.dateReceived,
+      dateOfReceipt: dates.dateOfReceipt || null,
+      email: email || null,
+      state: "Received",
+      stateHistory: [
+        {
+          to: "Received",
+          action: "create",
+          source: "create",
+          by: req.user?._id,
+        },
+      ],
+    });
+    const by = { by: req.user?._id, source: "create" };
+    applyTransition(
+      recordToSave,
+      "review",
+      { decision: form60Compliance, rejectionReason },
+      by
+    );
+    if (dates.dateForwardedToGP)
+      applyTransition(
+        recordToSave,
+        "forward",
+        { date: dates.dateForwardedToGP },
+        by
+      );
+
     // Start a session/transaction if available (best-effort)
-    let recordToSave;
     if (
       mongoose.connection.client.topology &&
       mongoose.connection.client.topology.isConnected()
@@ -150,31 +246,22 @@ export const createRecord = async (req, res) => {
 
     // 1) get a unique incremental number for the record (atomic on Counter)
     // use _id in Counter schema (e.g. "record")
-    const nextNo = await getNextSequence("record").catch((err) => {
+    recordToSave.no = await getNextSequence("record").catch((err) => {
       throw new Error(`Failed to get next sequence: ${err.message}`);
     });
 
-    // 2) Build and save record (single save)
-    const recordPayload = {
-      no: nextNo,
-      courtStation,
-      causeNo,
-      nameOfDeceased,
-      dateReceived,
-      dateOfReceipt: dateOfReceipt || null,
-      dateForwardedToGP: dateForwardedToGP || null,
-      email: email || null,
-      form60Compliance,
-      rejectionReason: rejectionReason || "",
-    };
-
-    recordToSave = await Record.create([recordPayload], { session }).then(
-      (arr) => arr[0]
-    );
+    // 2) single save
+    await recordToSave.save({ session });
 
     // commit transaction if used
     if (session.inTransaction()) await session.commitTransaction();
 
+    await logRecordChange("create", {
+      after: recordToSave,
+      source: "manual",
+      by: req.user?._id,
+    });
+
     // populate courtStation for emails (lean)
     const courtObj = await Court.findById(courtStation)
       .select("name primaryEmail secondaryEmails")
@@ -237,6 +324,8 @@ export const createRecord = async (req, res) => {
     } catch (abortErr) {
       console.error("Error aborting transaction:", abortErr);
     }
+    if (err instanceof TransitionError)
+      return res.status(err.statusCode).json({ message: err.message });
     console.error("createRecord error:", err.message || err);
     return res
       .status(500)
@@ -249,7 +338,9 @@ export const createRecord = async (req, res) => {
 /* =========================================================
  * 📝 UPDATE RECORD - optimized
  * - runs single DB op to update and return populated document
- * - sends notifications only when relevant
+ * - only EDITABLE_FIELDS are written; lifecycle fields only change
+ *   through the action endpoints below (sending them unchanged, as in a
+ *   whole record sent back, is fine) and system fields are ignored
  * ========================================================= */
 export const updateRecord = async (req, res) => {
   try {
@@ -257,8 +348,40 @@ export const updateRecord = async (req, res) => {
     if (!mongoose.isValidObjectId(id))
       return res.status(400).json({ message: "Invalid record ID" });
 
+    const { values: dates, errors: dateErrors } = normalizeDateFields(
+      req.body,
+      RECORD_DATE_FIELDS
+    );
+    if (dateErrors.length) {
+      return res.status(400).json({
+        message: dateErrors.map((e) => e.message).join("; "),
+        errors: dateErrors,
+      });
+    }
+
+    const current = await Record.findById(id).lean();
+    if (!current) return res.status(404).json({ message: "Record not found" });
+
+    const body = { ...req.body, ...dates };
+    for (const [field, where] of Object.entries(LIFECYCLE_FIELDS)) {
+      if (!(field in body) || sameFieldValue(current[field], body[field]))
+        continue;
+      return res.status(409).json({
+        message: `${field} can only be changed through ${where}`,
+        state: currentState(current),
+        allowedActions: allowedActions(currentState(current)),
+      });
+    }
+
+    const changes = Object.fromEntries(
+      EDITABLE_FIELDS.filter((field) => field in body).map((field) => [
+        field,
+        body[field],
+      ])
+    );
+
     // Using findByIdAndUpdate with runValidators ensures updated computed lead times are applied via schema hooks
-    const updated = await Record.findByIdAndUpdate(id, req.body, {
+    const updated = await Record.findByIdAndUpdate(id, changes, {
       new: true,
       runValidators: true,
     })
@@ -267,52 +390,12 @@ export const updateRecord = async (req, res) => {
 
     if (!updated) return res.status(404).json({ message: "Record not found" });
 
-    // If form60Compliance changed in payload, send notifications
-    if (req.body.form60Compliance) {
-      const admins = await User.find({ role: "Admin", accountVerified: true })
-        .select("email name")
-        .lean();
-      const adminEmails = admins.length
-        ? admins.map((a) => a.email)
-        : ["principalregistry@gmail.com"];
-
-      const html = judicialEmailTemplate({
-        form60Compliance: updated.form60Compliance,
-        nameOfDeceased: updated.nameOfDeceased,
-        causeNo: updated.causeNo,
-        courtName: updated.courtStation?.name || "N/A",
-        reason: updated.rejectionReason,
-        dateForwardedToGP: updated.dateForwardedToGP,
-      });
-
-      const promises = [];
-      if (adminEmails.length)
-        promises.push(
-          sendEmail({
-            to: adminEmails[0],
-            cc: adminEmails.slice(1),
-            subject: "Record Form 60 Updated",
-            html,
-          })
-        );
-      if (updated.courtStation?.primaryEmail)
-        promises.push(
-          sendEmail({
-            to: updated.courtStation.primaryEmail,
-            cc: updated.courtStation.secondaryEmails || [],
-            subject: "Record Form 60 Updated",
-            html,
-          })
-        );
-
-      // best-effort
-      Promise.allSettled(promises).then((results) =>
-        results.forEach(
-          (r) =>
-            r.status === "rejected" && console.error("Email error:", r.reason)
-        )
-      );
-    }
+    await logRecordChange("update", {
+      before: current,
+      after: updated,
+      source: "manual",
+      by: req.user?._id,
+    });
 
     return res.json(updated);
   } catch (err) {
@@ -340,6 +423,13 @@ export const deleteRecord = async (req, res) => {
         .status(404)
         .json({ success: false, message: "Record not found" });
 
+    // The audit entry keeps the whole Record, so it can be looked up later
+    await logRecordChange("delete", {
+      before: deleted,
+      source: "manual",
+      by: req.user?._id,
+    });
+
     return res
       .status(200)
       .json({ success: true, message: "Record deleted successfully" });
@@ -355,7 +445,8 @@ export const deleteRecord = async (req, res) => {
 
 /* =========================================================
  * 📋 BULK UPDATE DATE FORWARDED - optimized
- * - one updateMany call
+ * - each record goes through the "forward" transition; records that
+ *   cannot be forwarded (rejected, unreviewed, published) are skipped
  * - fetch updated documents once (lean)
  * - batch emails by court
  * ========================================================= */
@@ -367,24 +458,62 @@ export const bulkUpdateDateForwarded = async (req, res) => {
         .status(400)
         .json({ success: false, message: "Missing ids or date" });
 
+    const forwardedOn = parseDateInput(date);
+    if (!forwardedOn)
+      return res.status(400).json({
+        success: false,
+        message: `Invalid date "${date}" (use ${DATE_FORMAT_HINT})`,
+      });
+
     const validIds = ids.filter((id) => mongoose.Types.ObjectId.isValid(id));
     if (validIds.length === 0)
       return res
         .status(400)
         .json({ success: false, message: "No valid IDs provided" });
 
-    // 1) updateMany
-    const result = await Record.updateMany(
-      { _id: { $in: validIds } },
-      { $set: { dateForwardedToGP: date } }
-    );
-    if (!result.matchedCount)
+    // 1) forward each record through the lifecycle; the rest are skipped
+    const records = await Record.find({ _id: { $in: validIds } });
+    if (!records.length)
       return res
         .status(404)
         .json({ success: false, message: "No matching records found" });
 
+    const forwardedIds = [];
+    const skipped = [];
+    for (const record of records) {
+      try {
+        const before = auditSnapshot(record);
+        applyTransition(
+          record,
+          "forward",
+          { date: forwardedOn },
+          { by: req.user?._id, source: "bulk" }
+        );
+        await record.save();
+        await logRecordChange("update", {
+          before,
+          after: record,
+          source: "bulk",
+          by: req.user?._id,
+        });
+        forwardedIds.push(record._id);
+      } catch (err) {
+        skipped.push({
+          id: record._id,
+          causeNo: record.causeNo,
+          reason: err.message,
+        });
+      }
+    }
+    if (!forwardedIds.length)
+      return res.status(409).json({
+        success: false,
+        message: "None of the records can be forwarded",
+        skipped,
+      });
+
     // 2) fetch updated records once and populate courtStation
-    const updatedRecords = await Record.find({ _id: { $in: validIds } })
+    const updatedRecords = await Record.find({ _id: { $in: forwardedIds } })
       .populate("courtStation", "name primaryEmail secondaryEmails")
       .lean();
 
@@ -443,8 +572,11 @@ export const bulkUpdateDateForwarded = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      message: "Records updated successfully. Admins and courts notified.",
-      modifiedCount: result.modifiedCount,
+      message: skipped.length
+        ? `${forwardedIds.length} record(s) forwarded, ${skipped.length} skipped. Admins and courts notified.`
+        : "Records updated successfully. Admins and courts notified.",
+      modifiedCount: forwardedIds.length,
+      skipped,
     });
   } catch (err) {
     console.error("bulkUpdateDateForwarded error:", err.message || err);
@@ -456,6 +588,71 @@ export const bulkUpdateDateForwarded = async (req, res) => {
   }
 };
 
+/* =========================================================
+ * 🧩 HELPER — admin record filters (list + export share them)
+ * search, court, status (Form 60), state (lifecycle), and date ranges:
+ * receivedFrom/To, forwardedFrom/To, publishedFrom/To
+ * ========================================================= */
+const RECORD_DATE_RANGES = {
+  dateReceived: ["receivedFrom", "receivedTo"],
+  dateForwardedToGP: ["forwardedFrom", "forwardedTo"],
+  datePublished: ["publishedFrom", "publishedTo"],
+};
+
+export async function buildAdminRecordQuery({
+  search = "",
+  court = "All",
+  status = "All",
+  state = "All",
+  ...params
+} = {}) {
+  const query = {};
+  if (status !== "All") query.form60Compliance = status;
+  if (state !== "All") {
+    if (!RECORD_STATES.includes(state))
+      return { error: `state must be one of ${RECORD_STATES.join(", ")}` };
+    query.state = state;
+  }
+  if (court !== "All" && mongoose.Types.ObjectId.isValid(court))
+    query.courtStation = new mongoose.Types.ObjectId(court);
+
+  // if searching, build OR with regex; also try to match courts names to reduce scans
+  if (search?.trim()) {
+    const term = search.trim();
+    const courtIds = (
+      await Court.find(
+        { name: { $regex: term, $options: "i" } },
+        { _id: 1 }
+      ).lean()
+    ).map((c) => c._id);
+    const causeKey = parseCauseNo(term)?.key;
+    query.$or = [
+      { nameOfDeceased: { $regex: term, $options: "i" } },
+      { causeNo: { $regex: term, $options: "i" } },
+      ...(causeKey ? [{ causeKey }] : []),
+      ...(courtIds.length ? [{ courtStation: { $in: courtIds } }] : []),
+    ];
+  }
+
+  // "to" dates include the whole day
+  for (const [field, [fromKey, toKey]] of Object.entries(RECORD_DATE_RANGES)) {
+    const range = {};
+    for (const key of [fromKey, toKey]) {
+      if (!params[key]) continue;
+      const date = parseDateInput(params[key]);
+      if (!date)
+        return {
+          error: `${key} "${params[key]}" is not a valid date (use ${DATE_FORMAT_HINT})`,
+        };
+      if (key === fromKey) range.$gte = date;
+      else range.$lt = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+    }
+    if (Object.keys(range).length) query[field] = range;
+  }
+
+  return { query };
+}
+
 /* =========================================================
  * 🔎 GET RECORDS FOR ADMIN (Paginated + Filters) - optimized
  * - builds query efficiently
@@ -463,36 +660,12 @@ export const bulkUpdateDateForwarded = async (req, res) => {
  * ========================================================= */
 export const getAllRecordsForAdmin = async (req, res) => {
   try {
-    let {
-      page = 1,
-      limit = 30,
-      search = "",
-      court = "All",
-      status = "All",
-    } = req.query;
+    let { page = 1, limit = 30 } = req.query;
     page = Math.max(Number(page), 1);
     limit = Math.max(Number(limit), 1);
 
-    const query = {};
-    if (status !== "All") query.form60Compliance = status;
-    if (court !== "All" && mongoose.Types.ObjectId.isValid(court))
-      query.courtStation = new mongoose.Types.ObjectId(court);
-
-    // if searching, build OR with regex; also try to match courts names to reduce scans
-    if (search?.trim()) {
-      const term = search.trim();
-      const courtIds = (
-        await Court.find(
-          { name: { $regex: term, $options: "i" } },
-          { _id: 1 }
-        ).lean()
-      ).map((c) => c._id);
-      query.$or = [
-        { nameOfDeceased: { $regex: term, $options: "i" } },
-        { causeNo: { $regex: term, $options: "i" } },
-        ...(courtIds.length ? [{ courtStation: { $in: courtIds } }] : []),
-      ];
-    }
+    const { query, error } = await buildAdminRecordQuery(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
 
     // execute count and data fetch in parallel
     const [totalRecords, records] = await Promise.all([
@@ -525,79 +698,92 @@ export const getAllRecordsForAdmin = async (req, res) => {
 };
 
 /* =========================================================
- * 🖨️ DOWNLOAD / VIEW MONTHLY REPORT (HTML, Admin Only)
+ * 📤 EXPORT RECORDS (CSV / XLSX, Admin Only)
+ * GET /api/v1/records/export?format=csv|xlsx
+ * - same filters as the admin list, plus date ranges
+ * - laid out like the registry's register (importable as-is)
+ * ========================================================= */
+export const exportRecords = async (req, res) => {
+  try {
+    const { format = "csv" } = req.query;
+    if (!EXPORT_FORMATS.includes(format))
+      return res.status(400).json({
+        success: false,
+        message: `format must be ${EXPORT_FORMATS.join(" or ")}`,
+      });
+
+    const { query, error } = await buildAdminRecordQuery(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const cursor = Record.find(query)
+      .populate("courtStation", "name")
+      .sort({ no: 1 })
+      .lean()
+      .cursor();
+
+    await streamTable(res, {
+      rows: cursor,
+      fields: REGISTER_COLUMNS,
+      fileName: `records-${new Date().toISOString().slice(0, 10)}`,
+      format,
+      sheetName: "Register",
+    });
+  } catch (err) {
+    console.error("exportRecords error:", err.message || err);
+    // Once a CSV has started streaming the status line is already sent
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to export records",
+      error: err.message,
+    });
+  }
+};
+
+/* =========================================================
+ * 🖨️ DOWNLOAD / VIEW MONTHLY REPORT (Admin Only)
+ * GET /api/v1/records/monthly-report?month=8&year=2025&format=pdf
+ * - format=html (default): printable preview in the browser
+ * - format=pdf: paginated PDF with totals and signature block
  * ========================================================= */
 export const downloadMonthlyReport = async (req, res) => {
   try {
     const month = parseInt(req.query.month, 10) || new Date().getMonth() + 1;
     const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const format = String(req.query.format || "html").toLowerCase();
+    if (!MONTHLY_REPORT_FORMATS.includes(format))
+      return res
+        .status(400)
+        .send(`<h3>format must be one of ${MONTHLY_REPORT_FORMATS.join(", ")}</h3>`);
 
     const records = await Record.find({
       $expr: { $and: [{ $eq: [{ $month: "$dateReceived" }, month] }, { $eq: [{ $year: "$dateReceived" }, year] }] }
-    }).populate("courtStation", "name").lean();
+    }).populate("courtStation", "name").sort({ no: 1 }).lean();
 
     if (!records.length) return res.status(404).send("<h3>No records found for this month.</h3>");
 
     const monthName = new Date(year, month - 1).toLocaleString("default", { month: "long" });
-    const tableRows = records.map((r, i) => `
-      <tr>
-        <td>${i + 1}</td>
-        <td>${r.causeNo}</td>
-        <td>${r.nameOfDeceased}</td>
-        <td>${r.courtStation?.name || "—"}</td>
-        <td>${r.form60Compliance}</td>
-        <td>${r.dateReceived ? new Date(r.dateReceived).toLocaleDateString() : "—"}</td>
-        <td>${r.dateForwardedToGP ? new Date(r.dateForwardedToGP).toLocaleDateString() : "—"}</td>
-      </tr>
-    `).join("");
-
-    const html = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <meta charset="UTF-8" />
-          <title>Monthly Report - ${monthName} ${year}</title>
-          <style>
-            body { font-family: 'Arial', sans-serif; margin:40px; background:#fff; color:#000; }
-            .header { text-align:center; border-bottom:2px solid #000; padding-bottom:10px; margin-bottom:20px; }
-            .header img { width:80px; height:80px; margin-bottom:10px; }
-            .header h1 { font-size:22px; margin:5px 0; color:#003366; }
-            .header h2 { font-size:18px; margin:5px 0; }
-            .header h3 { font-size:16px; margin:5px 0; color:#444; }
-            table { width:100%; border-collapse:collapse; margin-top:20px; }
-            th, td { border:1px solid #999; padding:8px; font-size:14px; text-align:left; }
-            th { background-color:#003366; color:#fff; }
-            tr:nth-child(even) { background-color:#f2f2f2; }
-            .print-btn { margin-bottom:20px; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <img src="https://judiciary.go.ke/wp-content/uploads/2023/05/logo1-Copy-2.png" alt="Logo"/>
-            <h1>Principal Registry of High Court</h1>
-            <h2>Monthly Report - ${monthName} ${year}</h2>
-            <h3>Total Records: ${records.length}</h3>
-          </div>
-          <button class="print-btn" onclick="window.print()">Print / Save PDF</button>
-          <table>
-            <thead>
-              <tr>
-                <th>#</th>
-                <th>Cause No</th>
-                <th>Name of Deceased</th>
-                <th>Court</th>
-                <th>Status</th>
-                <th>Date Received</th>
-                <th>Date Forwarded to GP</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${tableRows}
-            </tbody>
-          </table>
-        </body>
-      </html>
-    `;
+    const title = `Monthly Report - ${monthName} ${year}`;
+
+    if (format === "pdf") {
+      const pdf = await registerReportPdf({
+        title,
+        records,
+        generatedBy: req.user?.name,
+      });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="Monthly_Report_${monthName}_${year}.pdf"`
+      );
+      return res.send(pdf);
+    }
+
+    const html = registerReportHtml({
+      title,
+      records,
+      pdfUrl: `?month=${month}&year=${year}&format=pdf`,
+    });
 
     res.setHeader("Content-Type", "text/html");
     res.send(html);
@@ -791,6 +977,7 @@ export const getRecords = async (req, res) => {
 
 /* =========================================================
  * ✅ VERIFY RECORDS - mark published
+ * - "publish" transition per record; others are skipped with a reason
  * ========================================================= */
 export const verifyRecords = async (req, res) => {
   try {
@@ -807,22 +994,267 @@ export const verifyRecords = async (req, res) => {
         .status(400)
         .json({ success: false, message: "Invalid record IDs" });
 
-    const result = await Record.updateMany(
-      { _id: { $in: validIds } },
-      { $set: { statusAtGP: "Published", datePublished: new Date() } }
+    // Only forwarded (or not-published) records can be published
+    const records = await Record.find({ _id: { $in: validIds } });
+    let modifiedCount = 0;
+    const skipped = [];
+    for (const record of records) {
+      // Verifying again must not move the publication date to today
+      if (currentState(record) === "Published") {
+        skipped.push({
+          id: record._id,
+          causeNo: record.causeNo,
+          reason: "Already published",
+        });
+        continue;
+      }
+      try {
+        const before = auditSnapshot(record);
+        applyTransition(
+          record,
+          "publish",
+          { datePublished: new Date() },
+          { by: req.user?._id, source: "verify" }
+        );
+        await record.save();
+        await logRecordChange("update", {
+          before,
+          after: record,
+          source: "verify",
+          by: req.user?._id,
+        });
+        modifiedCount += 1;
+      } catch (err) {
+        skipped.push({
+          id: record._id,
+          causeNo: record.causeNo,
+          reason: err.message,
+        });
+      }
+    }
+
+    return res.status(modifiedCount ? 200 : 409).json({
+      success: modifiedCount > 0,
+      message: modifiedCount
+        ? "Records verified successfully"
+        : "None of the records can be published",
+      matchedCount: records.length,
+      modifiedCount,
+      skipped,
+    });
+  } catch (err) {
+    console.error("verifyRecords error:", err.message || err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to verify records",
+      error: err.message,
+    });
+  }
+};
+
+/* =========================================================
+ * 🚦 RECORD LIFECYCLE ACTIONS (Admin Only)
+ * POST /api/v1/records/:id/review         { decision, rejectionReason }
+ * POST /api/v1/records/:id/return         { note? }
+ * POST /api/v1/records/:id/resubmit       { note? }
+ * POST /api/v1/records/:id/forward        { date }
+ * POST /api/v1/records/:id/publish        { volumeNo?, datePublished? }
+ * POST /api/v1/records/:id/not-published  { note }
+ * - moves not allowed from the current state get 409
+ * ========================================================= */
+async function runLifecycleAction(req, res, action, paramsFrom, afterSave) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id))
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid record ID" });
+
+    const record = await Record.findById(id);
+    if (!record)
+      return res
+        .status(404)
+        .json({ success: false, message: "Record not found" });
+
+    const before = auditSnapshot(record);
+    const { from, to } = applyTransition(
+      record,
+      action,
+      paramsFrom(req.body || {}),
+      { by: req.user._id, source: "manual" }
     );
+    await record.save();
+    await logRecordChange("update", {
+      before,
+      after: record,
+      source: "manual",
+      by: req.user._id,
+      note: action,
+    });
+    await record.populate(
+      "courtStation",
+      "name primaryEmail secondaryEmails"
+    );
+    afterSave?.(record);
 
     return res.status(200).json({
       success: true,
-      message: "Records verified successfully",
-      matchedCount: result.matchedCount,
-      modifiedCount: result.modifiedCount,
+      message:
+        from === to
+          ? `Record updated (${to})`
+          : `Record moved from ${from} to ${to}`,
+      record,
+      allowedActions: allowedActions(to),
     });
   } catch (err) {
-    console.error("verifyRecords error:", err.message || err);
+    if (err instanceof TransitionError)
+      return res
+        .status(err.statusCode)
+        .json({ success: false, message: err.message });
+    console.error(`record ${action} error:`, err.message || err);
     return res.status(500).json({
       success: false,
-      message: "Failed to verify records",
+      message: "Failed to update record",
+      error: err.message,
+    });
+  }
+}
+
+// Optional date in a lifecycle body: undefined when absent, 400 when unreadable
+const optionalDate = (value, label) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const date = parseDateInput(value);
+  if (!date)
+    throw new TransitionError(
+      `Invalid ${label} "${value}" (use ${DATE_FORMAT_HINT})`,
+      400
+    );
+  return date;
+};
+
+// Form 60 decisions are announced to admins and the court, as on create
+function notifyForm60Decision(record) {
+  User.find({ role: "Admin", accountVerified: true })
+    .select("email")
+    .lean()
+    .then((admins) => {
+      const adminEmails = admins.length
+        ? admins.map((a) => a.email)
+        : ["principalregistry@gmail.com"];
+      const html = judicialEmailTemplate({
+        form60Compliance: record.form60Compliance,
+        nameOfDeceased: record.nameOfDeceased,
+        causeNo: record.causeNo,
+        courtName: record.courtStation?.name || "N/A",
+        reason: record.rejectionReason,
+        dateForwardedToGP: record.dateForwardedToGP,
+      });
+      const promises = [
+        sendEmail({
+          to: adminEmails[0],
+          cc: adminEmails.slice(1),
+          subject: "Record Form 60 Updated",
+          html,
+        }),
+      ];
+      if (record.courtStation?.primaryEmail)
+        promises.push(
+          sendEmail({
+            to: record.courtStation.primaryEmail,
+            cc: record.courtStation.secondaryEmails || [],
+            subject: "Record Form 60 Updated",
+            html,
+          })
+        );
+      return Promise.allSettled(promises);
+    })
+    .then((results) =>
+      results.forEach(
+        (r) =>
+          r.status === "rejected" && console.error("Email error:", r.reason)
+      )
+    )
+    .catch((err) => console.error("Email error:", err.message || err));
+}
+
+export const reviewRecord = (req, res) =>
+  runLifecycleAction(
+    req,
+    res,
+    "review",
+    ({ decision, rejectionReason, note }) => ({
+      decision,
+      rejectionReason,
+      note,
+    }),
+    notifyForm60Decision
+  );
+
+export const returnRecordToStation = (req, res) =>
+  runLifecycleAction(req, res, "return", ({ note }) => ({ note }));
+
+export const resubmitRecord = (req, res) =>
+  runLifecycleAction(req, res, "resubmit", ({ note }) => ({ note }));
+
+export const forwardRecord = (req, res) =>
+  runLifecycleAction(req, res, "forward", ({ date, note }) => ({
+    date: optionalDate(date, "date") ?? null,
+    note,
+  }));
+
+export const publishRecord = (req, res) =>
+  runLifecycleAction(
+    req,
+    res,
+    "publish",
+    ({ volumeNo, datePublished, note }) => ({
+      volumeNo,
+      datePublished: optionalDate(datePublished, "datePublished"),
+      note,
+    })
+  );
+
+export const markRecordNotPublished = (req, res) =>
+  runLifecycleAction(req, res, "notPublished", ({ note }) => ({ note }));
+
+/* =========================================================
+ * 🚦 RECORD STATE + HISTORY
+ * GET /api/v1/records/:id/lifecycle
+ * ========================================================= */
+export const getRecordLifecycle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id))
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid record ID" });
+
+    const record = await Record.findById(id)
+      .select(
+        "no causeNo nameOfDeceased courtStation state stateHistory " +
+          "form60Compliance statusAtGP dateForwardedToGP datePublished"
+      )
+      .populate("courtStation", "name")
+      .populate("stateHistory.by", "name email")
+      .lean();
+    if (!record)
+      return res
+        .status(404)
+        .json({ success: false, message: "Record not found" });
+
+    const state = currentState(record);
+    return res.status(200).json({
+      success: true,
+      state,
+      allowedActions: allowedActions(state),
+      states: RECORD_STATES,
+      record,
+    });
+  } catch (err) {
+    console.error("getRecordLifecycle error:", err.message || err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch record lifecycle",
       error: err.message,
     });
   }
@@ -0,0 +1,346 @@
+// server/controller/recordImportController.js
+import mongoose from "mongoose";
+import ImportBatch from "../models/ImportBatch.js";
+import ImportDraft from "../models/ImportDraft.js";
+import {
+  readSheet,
+  detectImportColumns,
+  stageImport,
+  editImportDraft,
+  refreshImportBatch,
+  commitImportBatch,
+  draftState,
+  DRAFT_STATES,
+  MAX_IMPORT_ROWS,
+} from "../utils/recordImport.js";
+
+// Query per draft state (mirrors draftState)
+const STATE_QUERY = {
+  blank: { blank: true },
+  excluded: { blank: false, excluded: true },
+  invalid: {
+    blank: false,
+    excluded: false,
+    "validationErrors.0": { $exists: true },
+  },
+  duplicate: {
+    blank: false,
+    excluded: false,
+    validationErrors: { $size: 0 },
+    duplicateOf: { $ne: null },
+  },
+  conflict: {
+    blank: false,
+    excluded: false,
+    validationErrors: { $size: 0 },
+    duplicateOf: null,
+    "conflict.record": { $exists: true },
+  },
+  ready: {
+    blank: false,
+    excluded: false,
+    validationErrors: { $size: 0 },
+    duplicateOf: null,
+    conflict: null,
+  },
+};
+
+const withState = (draft) => ({ ...draft, state: draftState(draft) });
+
+/* =========================================================
+ * 🧩 HELPER — load a batch that can still be edited
+ * ========================================================= */
+async function findStagedBatch(id, res) {
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ success: false, message: "Invalid batch ID" });
+    return null;
+  }
+  const batch = await ImportBatch.findById(id);
+  if (!batch) {
+    res.status(404).json({ success: false, message: "Import batch not found" });
+    return null;
+  }
+  if (batch.status !== "Staged") {
+    res.status(409).json({
+      success: false,
+      message: `Import batch already ${batch.status.toLowerCase()}`,
+    });
+    return null;
+  }
+  return batch;
+}
+
+/* =========================================================
+ * 📥 STAGE A SPREADSHEET (XLSX / CSV)
+ * POST /api/v1/records/import   (multipart field "file")
+ * - columns found by header wording, not position
+ * - every row validated; courts resolved like gazette headings
+ * - rows become drafts; nothing is written to Record until commit
+ * ========================================================= */
+export const importRecordsFromSheet = async (req, res) => {
+  try {
+    if (!req.file)
+      return res
+        .status(400)
+        .json({ success: false, message: "No spreadsheet uploaded" });
+
+    let sheet;
+    try {
+      sheet = readSheet(req.file.buffer);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: "Could not read the spreadsheet",
+        error: err.message,
+      });
+    }
+
+    if (!sheet.rows.length)
+      return res
+        .status(400)
+        .json({ success: false, message: "The sheet has no data rows" });
+    if (sheet.rows.length > MAX_IMPORT_ROWS)
+      return res.status(413).json({
+        success: false,
+        message: `Sheets are limited to ${MAX_IMPORT_ROWS} rows; split this one up`,
+      });
+
+    const { columns, missing, ignored } = detectImportColumns(sheet.headers);
+    if (missing.length)
+      return res.status(422).json({
+        success: false,
+        message: `Missing required column(s): ${missing.join(", ")}`,
+        headers: sheet.headers,
+        columns,
+      });
+
+    const batch = await stageImport({
+      sheet,
+      columns,
+      ignored,
+      fileName: req.file.originalname,
+      uploadedBy: req.user._id,
+    });
+    const { summary } = batch;
+
+    return res.status(201).json({
+      success: true,
+      message: `Staged ${summary.total} row(s): ${summary.ready} new, ${summary.conflicts} matching existing records, ${summary.invalid + summary.duplicates} with problems`,
+      batch,
+    });
+  } catch (err) {
+    console.error("importRecordsFromSheet error:", err.message || err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to stage import",
+      error: err.message,
+    });
+  }
+};
+
+/* =========================================================
+ * 📚 LIST IMPORT BATCHES
+ * GET /api/v1/records/import/batches?status=Staged
+ * ========================================================= */
+export const getImportBatches = async (req, res) => {
+  try {
+    let { page = 1, limit = 20, status = "All" } = req.query;
+    page = Math.max(Number(page), 1);
+    limit = Math.max(Number(limit), 1);
+
+    const query = status !== "All" ? { status } : {};
+    const [total, batches] = await Promise.all([
+      ImportBatch.countDocuments(query),
+      ImportBatch.find(query)
+        .populate("uploadedBy", "name email")
+        .populate("committedBy", "name email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      batches,
+    });
+  } catch (err) {
+    console.error("getImportBatches error:", err.message || err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch import batches",
+      error: err.message,
+    });
+  }
+};
+
+/* =========================================================
+ * 👀 BATCH WITH ITS DRAFTS
+ * GET /api/v1/records/import/batches/:id?state=invalid&page=1
+ * ========================================================= */
+export const getImportBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id))
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid batch ID" });
+
+    let { page = 1, limit = 50, state = "All" } = req.query;
+    page = Math.max(Number(page), 1);
+    limit = Math.max(Number(limit), 1);
+    if (state !== "All" && !DRAFT_STATES.includes(state))
+      return res.status(400).json({
+        success: false,
+        message: `state must be one of ${DRAFT_STATES.join(", ")}`,
+      });
+
+    const batch = await ImportBatch.findById(id)
+      .populate("uploadedBy", "name email")
+      .populate("committedBy", "name email")
+      .lean();
+    if (!batch)
+      return res
+        .status(404)
+        .json({ success: false, message: "Import batch not found" });
+
+    const query = {
+      batch: batch._id,
+      ...(state !== "All" && STATE_QUERY[state]),
+    };
+    const [total, drafts] = await Promise.all([
+      ImportDraft.countDocuments(query),
+      ImportDraft.find(query)
+        .sort({ row: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      batch,
+      total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      drafts: drafts.map(withState),
+    });
+  } catch (err) {
+    console.error("getImportBatch error:", err.message || err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch import batch",
+      error: err.message,
+    });
+  }
+};
+
+/* =========================================================
+ * ✏️ EDIT / EXCLUDE A DRAFT
+ * PATCH /api/v1/records/import/batches/:id/drafts/:draftId
+ * Body: { cells?: { causeNo: "...", ... }, excluded?: boolean }
+ * ========================================================= */
+export const updateImportDraft = async (req, res) => {
+  try {
+    const batch = await findStagedBatch(req.params.id, res);
+    if (!batch) return;
+
+    const { draftId } = req.params;
+    const draft = mongoose.isValidObjectId(draftId)
+      ? await ImportDraft.findOne({ _id: draftId, batch: batch._id })
+      : null;
+    if (!draft)
+      return res
+        .status(404)
+        .json({ success: false, message: "Draft not found in this batch" });
+
+    const { cells, excluded } = req.body || {};
+    await editImportDraft(draft, { cells, excluded });
+    // An edit can create or clear duplicates and conflicts elsewhere
+    await refreshImportBatch(batch);
+    const fresh = await ImportDraft.findById(draft._id).lean();
+
+    return res.status(200).json({
+      success: true,
+      message: "Draft updated",
+      draft: withState(fresh),
+      summary: batch.summary,
+    });
+  } catch (err) {
+    console.error("updateImportDraft error:", err.message || err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update draft",
+      error: err.message,
+    });
+  }
+};
+
+/* =========================================================
+ * ✅ COMMIT A BATCH
+ * POST /api/v1/records/import/batches/:id/commit
+ * - new Records numbered from one reserved Counter block
+ * - conflicting drafts update the existing Record
+ * ========================================================= */
+export const commitImportBatchHandler = async (req, res) => {
+  try {
+    const batch = await findStagedBatch(req.params.id, res);
+    if (!batch) return;
+
+    const committed = await commitImportBatch(batch._id, {
+      user: req.user._id,
+    });
+    if (!committed)
+      return res.status(409).json({
+        success: false,
+        message: "Import batch is already being committed",
+      });
+
+    const { result } = committed;
+    return res.status(200).json({
+      success: true,
+      message: `Committed: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged, ${result.skipped} skipped, ${result.failed} failed`,
+      batch: committed,
+    });
+  } catch (err) {
+    console.error("commitImportBatch error:", err.message || err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to commit import batch",
+      error: err.message,
+    });
+  }
+};
+
+/* =========================================================
+ * 🗑️ DISCARD A BATCH — drops its drafts, keeps the batch
+ * DELETE /api/v1/records/import/batches/:id
+ * ========================================================= */
+export const discardImportBatch = async (req, res) => {
+  try {
+    const batch = await findStagedBatch(req.params.id, res);
+    if (!batch) return;
+
+    await ImportDraft.deleteMany({ batch: batch._id });
+    Object.assign(batch, {
+      status: "Discarded",
+      discardedBy: req.user._id,
+      discardedAt: new Date(),
+    });
+    await batch.save();
+
+    return res
+      .status(200)
+      .json({ success: true, message: "Import batch discarded", batch });
+  } catch (err) {
+    console.error("discardImportBatch error:", err.message || err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to discard import batch",
+      error: err.message,
+    });
+  }
+};
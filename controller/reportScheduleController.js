@@ -0,0 +1,162 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import ReportSchedule from "../models/ReportSchedule.js";
+import ReportRun from "../models/ReportRun.js";
+import ErrorHandler from "../middlewares/errorMiddlewares.js";
+import { parseDateInput, DATE_FORMAT_HINT } from "../utils/dateInput.js";
+import {
+  runReportSchedule,
+  reloadReportScheduler,
+  nextReportRun,
+} from "../utils/reportScheduler.js";
+
+const findSchedule = async (id) => {
+  if (!mongoose.isValidObjectId(id))
+    throw new ErrorHandler(400, "Invalid schedule ID");
+  const schedule = await ReportSchedule.findById(id);
+  if (!schedule) throw new ErrorHandler(404, "Report schedule not found");
+  return schedule;
+};
+
+const isTimezone = (tz) => {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/* =========================================================
+ * 🧩 LIST SCHEDULES, with the next cron time of each
+ * GET /api/v1/reports/schedules
+ * ========================================================= */
+export const getReportSchedules = asyncHandler(async (req, res) => {
+  const schedules = await ReportSchedule.find()
+    .populate("updatedBy", "name email")
+    .sort({ key: 1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    schedules: schedules.map((s) => ({
+      ...s,
+      nextRunAt: nextReportRun(s._id),
+    })),
+  });
+});
+
+/* =========================================================
+ * 🧩 EDIT A SCHEDULE — timing, recipients, on/off
+ * PATCH /api/v1/reports/schedules/:id
+ * Body: { name?, cron?, timezone?, enabled?,
+ *         recipients?: { admins?, courts?, extra?: [emails] } }
+ * ========================================================= */
+export const updateReportSchedule = asyncHandler(async (req, res) => {
+  const schedule = await findSchedule(req.params.id);
+  const { name, cron, timezone, enabled, recipients } = req.body || {};
+
+  if (timezone !== undefined && !isTimezone(timezone))
+    throw new ErrorHandler(400, `Unknown timezone "${timezone}"`);
+
+  if (name !== undefined) schedule.name = name;
+  if (cron !== undefined) schedule.cron = cron;
+  if (timezone !== undefined) schedule.timezone = timezone;
+  if (enabled !== undefined) schedule.enabled = Boolean(enabled);
+  if (recipients) {
+    for (const key of ["admins", "courts"])
+      if (recipients[key] !== undefined)
+        schedule.recipients[key] = Boolean(recipients[key]);
+    if (recipients.extra !== undefined) {
+      if (!Array.isArray(recipients.extra))
+        throw new ErrorHandler(
+          400,
+          "recipients.extra must be a list of emails"
+        );
+      schedule.recipients.extra = recipients.extra;
+    }
+  }
+  schedule.updatedBy = req.user._id;
+  await schedule.save(); // validates the cron expression and emails
+
+  await reloadReportScheduler();
+
+  res.status(200).json({
+    success: true,
+    message: "Report schedule updated",
+    schedule: {
+      ...schedule.toObject(),
+      nextRunAt: nextReportRun(schedule._id),
+    },
+  });
+});
+
+/* =========================================================
+ * 🧩 RUN A SCHEDULE NOW
+ * POST /api/v1/reports/schedules/:id/run
+ * Body: { date? } — report on the month/week containing this date
+ * instead of the last whole one. Runs even when the schedule is off.
+ * ========================================================= */
+export const runReportScheduleNow = asyncHandler(async (req, res) => {
+  const schedule = await findSchedule(req.params.id);
+  const { date } = req.body || {};
+
+  let on;
+  if (date) {
+    on = parseDateInput(date);
+    if (!on)
+      throw new ErrorHandler(
+        400,
+        `Invalid date "${date}" (use ${DATE_FORMAT_HINT})`
+      );
+  }
+
+  const run = await runReportSchedule(schedule, {
+    trigger: "manual",
+    user: req.user._id,
+    date: on,
+  });
+
+  res.status(200).json({
+    success: run.status !== "Failed",
+    message: `${schedule.name} (${run.periodLabel}): ${run.status}`,
+    run,
+  });
+});
+
+/* =========================================================
+ * 🧩 RUN LOG
+ * GET /api/v1/reports/runs?schedule=<id>&status=Failed
+ * ========================================================= */
+export const getReportRuns = asyncHandler(async (req, res) => {
+  let { page = 1, limit = 20, schedule, status = "All" } = req.query;
+  page = Math.max(Number(page), 1);
+  limit = Math.max(Number(limit), 1);
+
+  const query = {};
+  if (status !== "All") query.status = status;
+  if (schedule) {
+    if (!mongoose.isValidObjectId(schedule))
+      throw new ErrorHandler(400, "Invalid schedule ID");
+    query.schedule = schedule;
+  }
+
+  const [total, runs] = await Promise.all([
+    ReportRun.countDocuments(query),
+    ReportRun.find(query)
+      .populate("triggeredBy", "name email")
+      .populate("emails.court", "name")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    runs,
+  });
+});
@@ -0,0 +1,155 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Record from "../models/Record.js";
+import Court from "../models/Court.js";
+import SlaSetting, { SLA_SCOPES } from "../models/SlaSetting.js";
+import ErrorHandler from "../middlewares/errorMiddlewares.js";
+import {
+  SLA_STAGES,
+  DEFAULT_SLA,
+  resolveSlaDays,
+  loadSlaGroups,
+  overdueQuery,
+  overdueDetails,
+  refreshSlaFlags,
+} from "../utils/sla.js";
+
+/* =========================================================
+ * 🧩 SLA LIMITS — global and per court level
+ * GET /api/v1/records/sla
+ * ========================================================= */
+export const getSlaSettings = asyncHandler(async (req, res) => {
+  const settings = await SlaSetting.find()
+    .populate("updatedBy", "name email")
+    .lean();
+  const byScope = new Map(settings.map((s) => [s.scope, s]));
+
+  res.status(200).json({
+    success: true,
+    defaults: DEFAULT_SLA,
+    global: resolveSlaDays(settings, null),
+    levels: SLA_SCOPES.filter((s) => s !== "global").map((level) => ({
+      level,
+      forwardingDays: byScope.get(level)?.forwardingDays ?? null,
+      publicationDays: byScope.get(level)?.publicationDays ?? null,
+      effective: resolveSlaDays(settings, level),
+    })),
+    settings,
+  });
+});
+
+/* =========================================================
+ * 🧩 SET SLA LIMITS
+ * PUT /api/v1/records/sla/:scope   (scope: "global" or a court level)
+ * Body: { forwardingDays?, publicationDays? } — null on a level falls
+ * back to global. Breach flags are recomputed straight away.
+ * ========================================================= */
+export const updateSlaSetting = asyncHandler(async (req, res) => {
+  const { scope } = req.params;
+  if (!SLA_SCOPES.includes(scope))
+    throw new ErrorHandler(
+      400,
+      `scope must be one of ${SLA_SCOPES.join(", ")}`
+    );
+
+  const update = {};
+  for (const key of ["forwardingDays", "publicationDays"]) {
+    const value = req.body?.[key];
+    if (value === undefined) continue;
+    if (value === null && scope !== "global") {
+      update[key] = null;
+      continue;
+    }
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1)
+      throw new ErrorHandler(400, `${key} must be a whole number of days`);
+    update[key] = days;
+  }
+  if (!Object.keys(update).length)
+    throw new ErrorHandler(400, "Nothing to update");
+
+  const setting = await SlaSetting.findOneAndUpdate(
+    { scope },
+    { $set: { ...update, updatedBy: req.user._id } },
+    { new: true, upsert: true, runValidators: true }
+  );
+  const { flagged, cleared } = await refreshSlaFlags();
+
+  res.status(200).json({
+    success: true,
+    message: `SLA updated; ${flagged} record(s) newly flagged, ${cleared} cleared`,
+    setting,
+  });
+});
+
+/* =========================================================
+ * 🧩 OVERDUE RECORDS — still waiting past their SLA
+ * GET /api/v1/records/overdue?stage=publication&court=<id>
+ * stage: forwarding (not yet sent to GP), publication (Pending at
+ * GP) or all
+ * ========================================================= */
+export const getOverdueRecords = asyncHandler(async (req, res) => {
+  let { page = 1, limit = 50, stage = "all", court } = req.query;
+  page = Math.max(Number(page), 1);
+  limit = Math.max(Number(limit), 1);
+
+  if (stage !== "all" && !SLA_STAGES.includes(stage))
+    throw new ErrorHandler(
+      400,
+      `stage must be one of all, ${SLA_STAGES.join(", ")}`
+    );
+  if (court && !mongoose.isValidObjectId(court))
+    throw new ErrorHandler(400, "Invalid court ID");
+
+  const now = new Date();
+  const groups = await loadSlaGroups();
+  const query = overdueQuery(groups, stage, now);
+  if (court)
+    Object.assign(query, { courtStation: new mongoose.Types.ObjectId(court) });
+
+  const [total, records, byCourt] = await Promise.all([
+    Record.countDocuments(query),
+    Record.find(query)
+      .populate("courtStation", "name level")
+      .sort({ dateReceived: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Record.aggregate([
+      { $match: query },
+      { $group: { _id: "$courtStation", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ]),
+  ]);
+
+  const courtNames = new Map(
+    (
+      await Court.find({ _id: { $in: byCourt.map((c) => c._id) } })
+        .select("name")
+        .lean()
+    ).map((c) => [String(c._id), c.name])
+  );
+  const daysByCourt = new Map(
+    groups.flatMap((g) => g.courts.map((id) => [String(id), g]))
+  );
+
+  res.status(200).json({
+    success: true,
+    total,
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    byCourt: byCourt.map((c) => ({
+      court: c._id,
+      name: courtNames.get(String(c._id)) || "—",
+      count: c.count,
+    })),
+    records: records.map((r) => ({
+      ...r,
+      overdue: overdueDetails(
+        r,
+        daysByCourt.get(String(r.courtStation?._id)),
+        now
+      ).filter((d) => stage === "all" || d.stage === stage),
+    })),
+  });
+});
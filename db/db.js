@@ -1,7 +1,8 @@
 import mongoose from "mongoose";
 
+// Resolves once connected, so callers can start workers after it
 export const connectDB = async () => {
-    mongoose.connect(process.env.MONGO_URI, {
+    return mongoose.connect(process.env.MONGO_URI, {
         dbName: process.env.DB_NAME,
     }).then(() => {
         console.log("MongoDB connected successfully");
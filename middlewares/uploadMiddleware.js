@@ -23,3 +23,18 @@ const fileFilter = (req, file, cb) => {
 };
 
 export const upload = multer({ storage, fileFilter });
+
+// Registry spreadsheets for bulk Record import; parsed straight from memory
+const sheetFilter = (req, file, cb) => {
+  if (/\.(xlsx|xls|csv)$/i.test(file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(new Error("XLSX, XLS or CSV files only!"));
+  }
+};
+
+export const uploadSheet = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: sheetFilter,
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
@@ -60,11 +60,22 @@ const CourtSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+
+    // Other spellings used in gazette headings and registry spreadsheets,
+    // stored normalized (see utils/courtResolver.js)
+    aliases: [
+      {
+        type: String,
+        trim: true,
+        uppercase: true,
+      },
+    ],
   },
   { timestamps: true }
 );
 
 // Index for faster search by court name or code
 CourtSchema.index({ name: 1, code: 1 });
+CourtSchema.index({ aliases: 1 });
 
 export default mongoose.model("Court", CourtSchema);
@@ -1,21 +1,125 @@
 import mongoose from "mongoose";
 
+// Notice details parsed for each cause (see utils/gazetteNotice.js).
+// Shared with GazetteReview so an accepted review keeps them.
+export const noticeFields = {
+  noticeNo: { type: String, default: null },
+  objectionPeriodDays: { type: Number, default: null },
+  petitioners: [
+    {
+      _id: false,
+      name: { type: String, trim: true },
+      relationship: { type: String, default: null },
+    },
+  ],
+  residence: { type: String, default: null },
+  placeOfDeath: { type: String, default: null },
+  dateOfDeath: { type: Date, default: null },
+  // As printed; kept when only a year is given ("who died at Kitui in 2017")
+  dateOfDeathText: { type: String, default: null },
+  // PDF page the cause was read from, and the text it was read from
+  page: { type: Number, default: null },
+  snippet: { type: String, default: "" },
+};
+
 const caseSchema = new mongoose.Schema({
   courtStation: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Court", // <-- Reference Court model
   },
+  // Record this case published (set for auto matches and accepted reviews)
+  record: { type: mongoose.Schema.Types.ObjectId, ref: "Record" },
   nameOfDeceased: { type: String },
   causeNo: { type: String },
+  // Canonical cause key (utils/causeNumber.js), for search
+  causeKey: { type: String, default: "" },
+  // Published, Unmatched, Removed (dropped by a re-scan) or RolledBack
   status: { type: String, default: "Pending" },
+  // Why an Unmatched case found no Record: no_court (heading not resolved)
+  // or no_match (no Record with that cause or name)
+  unmatchedReason: {
+    type: String,
+    enum: ["no_court", "no_match", null],
+    default: null,
+  },
+  matchScore: { type: Number, default: null },
+  matchConfidence: {
+    type: String,
+    enum: ["exact", "strong", "weak", "none"],
+    default: "none",
+  },
+  // Which fields agreed with the Record: causeNo, courtStation, name
+  matchedOn: [{ type: String }],
+  ...noticeFields,
+});
+
+// Record fields a scan wrote, with their values beforehand, so it can be undone
+const publishedFieldsSchema = new mongoose.Schema(
+  {
+    statusAtGP: { type: String },
+    volumeNo: { type: String },
+    datePublished: { type: Date },
+    // Lifecycle state; absent on changes written before states existed
+    state: { type: String },
+  },
+  { _id: false }
+);
+
+const changeSchema = new mongoose.Schema({
+  record: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Record",
+    required: true,
+  },
+  causeNo: { type: String },
+  nameOfDeceased: { type: String },
+  before: publishedFieldsSchema,
+  after: publishedFieldsSchema,
+  source: { type: String, enum: ["scan", "review"], default: "scan" },
+  changedAt: { type: Date, default: Date.now },
+  revertedAt: { type: Date, default: null },
+  revertedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
 });
 
 const gazetteSchema = new mongoose.Schema(
   {
     volumeNo: { type: String, required: true },
     datePublished: { type: Date, required: true },
+    specialIssue: { type: Boolean, default: false },
+    // Masthead and file name disagreed on the number or date
+    metadataWarnings: [{ type: String }],
     fileName: { type: String, required: true },
+    // sha256 of the uploaded PDF and "VOLUME|yyyy-mm-dd"; used to spot re-scans
+    fileHash: { type: String, index: true },
+    issueKey: { type: String, index: true },
+    rescans: [
+      {
+        _id: false,
+        fileHash: { type: String },
+        fileName: { type: String },
+        uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        scannedAt: { type: Date, default: Date.now },
+        newCount: { type: Number, default: 0 },
+        changedCount: { type: Number, default: 0 },
+        removedCount: { type: Number, default: 0 },
+      },
+    ],
     cases: [caseSchema],
+    changes: [changeSchema],
+    status: {
+      type: String,
+      enum: ["Active", "PartiallyRolledBack", "RolledBack"],
+      default: "Active",
+    },
+    rollbacks: [
+      {
+        _id: false,
+        reason: { type: String, required: true },
+        records: [{ type: mongoose.Schema.Types.ObjectId, ref: "Record" }],
+        rolledBackBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        rolledBackAt: { type: Date, default: Date.now },
+      },
+    ],
     publishedCount: { type: Number, default: 0 },
     totalRecords: { type: Number, default: 0 },
     uploadedBy: {
@@ -27,4 +131,7 @@ const gazetteSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+gazetteSchema.index({ "cases.causeKey": 1 });
+gazetteSchema.index({ datePublished: -1 });
+
 export default mongoose.model("Gazette", gazetteSchema);
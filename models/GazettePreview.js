@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+/**
+ * A dry-run gazette scan kept under a token so the exact plan an admin
+ * reviewed can be committed later. Removed by the TTL index on expiresAt.
+ */
+const gazettePreviewSchema = new mongoose.Schema(
+  {
+    token: { type: String, required: true, unique: true },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    fileName: { type: String, required: true },
+    plan: { type: mongoose.Schema.Types.Mixed, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, minimize: false }
+);
+
+gazettePreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("GazettePreview", gazettePreviewSchema);
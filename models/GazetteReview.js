@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+import { noticeFields } from "./Gazette.js";
+
+const candidateSchema = new mongoose.Schema(
+  {
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Record",
+      required: true,
+    },
+    score: { type: Number, default: 0 },
+    nameScore: { type: Number, default: 0 },
+    causeAgrees: { type: Boolean, default: false },
+    courtAgrees: { type: Boolean, default: false },
+    matchedOn: [{ type: String, enum: ["causeNo", "courtStation", "name"] }],
+    confidence: {
+      type: String,
+      enum: ["exact", "strong", "weak", "none"],
+      default: "none",
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * A gazette case the scanner could not publish on its own.
+ * It waits here until an admin accepts, rejects or re-points it.
+ */
+const gazetteReviewSchema = new mongoose.Schema(
+  {
+    gazette: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gazette",
+      required: true,
+    },
+    causeNo: { type: String, trim: true },
+    courtName: { type: String, trim: true },
+    courtStation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Court",
+      default: null,
+    },
+    nameOfDeceased: { type: String, required: true, trim: true },
+    volumeNo: { type: String, trim: true },
+    datePublished: { type: Date },
+    ...noticeFields,
+
+    reason: {
+      type: String,
+      // weak: name-only lookalike (older scans), name_only: no cause/court
+      // agreement, name_mismatch: key agrees but the name does not confirm,
+      // state: a sure match whose Record cannot be published from its state
+      enum: ["weak", "ambiguous", "name_only", "name_mismatch", "state"],
+      required: true,
+    },
+    candidates: [candidateSchema],
+
+    // Accepting: claimed by an accept still in progress, so a second
+    // accept of the same review is refused
+    status: {
+      type: String,
+      enum: ["Pending", "Accepting", "Accepted", "Rejected"],
+      default: "Pending",
+      index: true,
+    },
+    // Record the admin picked (top candidate unless re-pointed)
+    selectedRecord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Record",
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: { type: Date, default: null },
+    notes: { type: String, trim: true, default: "" },
+  },
+  { timestamps: true }
+);
+
+gazetteReviewSchema.index({ gazette: 1, status: 1 });
+
+export default mongoose.model("GazetteReview", gazetteReviewSchema);
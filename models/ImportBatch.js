@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+/**
+ * One uploaded registry spreadsheet. Its rows wait as ImportDrafts until an
+ * admin commits the batch; only then are Records written, and the batch
+ * keeps who did it, the `no` range handed out and the outcome counts.
+ */
+const importBatchSchema = new mongoose.Schema(
+  {
+    fileName: { type: String, required: true },
+    sheetName: { type: String, default: null },
+    status: {
+      type: String,
+      enum: ["Staged", "Committing", "Committed", "Discarded"],
+      default: "Staged",
+      index: true,
+    },
+    // Record field -> sheet header, as detected on upload
+    columns: { type: mongoose.Schema.Types.Mixed, default: {} },
+    ignoredColumns: [{ type: String }],
+    // null when staged from the command line (importData.js)
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Draft counts, refreshed after every edit
+    summary: {
+      total: { type: Number, default: 0 },
+      ready: { type: Number, default: 0 },
+      conflicts: { type: Number, default: 0 },
+      duplicates: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      excluded: { type: Number, default: 0 },
+      blank: { type: Number, default: 0 },
+    },
+
+    committedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    committedAt: { type: Date, default: null },
+    // Record.no values reserved for the created Records
+    firstNo: { type: Number, default: null },
+    lastNo: { type: Number, default: null },
+    result: {
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    discardedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    discardedAt: { type: Date, default: null },
+  },
+  { timestamps: true, minimize: false }
+);
+
+export default mongoose.model("ImportBatch", importBatchSchema);
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+const conflictSchema = new mongoose.Schema(
+  {
+    record: { type: mongoose.Schema.Types.ObjectId, ref: "Record" },
+    no: { type: Number },
+    causeNo: { type: String },
+    nameOfDeceased: { type: String },
+  },
+  { _id: false }
+);
+
+/**
+ * A spreadsheet row staged for import. `cells` holds what the sheet (or an
+ * admin's edit) says per Record field; `values` is what validation made of
+ * it. Nothing here touches Record until the batch is committed.
+ */
+const importDraftSchema = new mongoose.Schema(
+  {
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportBatch",
+      required: true,
+    },
+    // Sheet row number (row 1 is the header)
+    row: { type: Number, required: true },
+    cells: { type: mongoose.Schema.Types.Mixed, default: {} },
+    values: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Court the "Court Station" cell resolved to
+    courtName: { type: String, default: null },
+    validationErrors: [
+      {
+        _id: false,
+        field: { type: String, default: null },
+        message: { type: String, required: true },
+      },
+    ],
+    blank: { type: Boolean, default: false },
+    excluded: { type: Boolean, default: false },
+    // An existing Record with the same court and cause; committing updates it
+    conflict: { type: conflictSchema, default: null },
+    // Earlier row of this sheet with the same court and cause
+    duplicateOf: { type: Number, default: null },
+
+    // Filled in on commit
+    outcome: {
+      type: String,
+      enum: ["created", "updated", "unchanged", "skipped", "failed", null],
+      default: null,
+    },
+    outcomeMessage: { type: String, default: null },
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Record",
+      default: null,
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+importDraftSchema.index({ batch: 1, row: 1 });
+
+export default mongoose.model("ImportDraft", importDraftSchema);
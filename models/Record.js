@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { canonicalCauseKey } from "../utils/causeNumber.js";
+import { RECORD_STATES, deriveState } from "../utils/recordLifecycle.js";
 
 /**
  * ==============================
@@ -13,7 +15,9 @@ const recordSchema = new mongoose.Schema(
       ref: "Court",
       required: true,
     },
-    causeNo: { type: String, required: true, trim: true, unique: true },
+    causeNo: { type: String, required: true, trim: true, index: true },
+    // Canonical form of causeNo (e.g. "SUCC/86/2024"), kept in sync by hooks
+    causeKey: { type: String, trim: true },
     nameOfDeceased: { type: String, required: true, trim: true },
 
     dateReceived: { type: Date, required: true },
@@ -22,6 +26,11 @@ const recordSchema = new mongoose.Schema(
 
     receivingLeadTime: { type: Number, default: null },
     forwardingLeadTime: { type: Number, default: null },
+    // Set by utils/sla.js when a lead time is (or ran) past its limit
+    slaBreach: {
+      forwarding: { type: Boolean, default: false },
+      publication: { type: Boolean, default: false },
+    },
 
     form60Compliance: {
       type: String,
@@ -31,15 +40,95 @@ const recordSchema = new mongoose.Schema(
     rejectionReason: { type: String, trim: true, default: "" },
     statusAtGP: {
       type: String,
-      enum: ["Pending", "Published"],
+      enum: ["Pending", "Published", "Not Published"],
       default: "Pending",
     },
     volumeNo: { type: String, trim: true, default: "" },
     datePublished: { type: Date, default: null },
+    // Lifecycle state, moved only by utils/recordLifecycle.js. No default:
+    // Records saved before states existed derive theirs (deriveState)
+    // until backfillRecordStates.js has run.
+    state: { type: String, enum: RECORD_STATES, index: true },
+    stateHistory: [
+      {
+        _id: false,
+        from: { type: String, default: null },
+        to: { type: String, required: true },
+        action: { type: String, required: true },
+        // manual, bulk, verify, gazette, review, rollback, import, create,
+        // backfill
+        source: { type: String, default: "manual" },
+        note: { type: String, default: "" },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Gazette notices this Record was published in; kept in step with
+    // Gazette.cases[].record by the scan, review and rollback paths
+    gazetteNotices: [
+      {
+        _id: false,
+        gazette: { type: mongoose.Schema.Types.ObjectId, ref: "Gazette" },
+        case: { type: mongoose.Schema.Types.ObjectId },
+        volumeNo: { type: String },
+        datePublished: { type: Date },
+        noticeNo: { type: String, default: null },
+        page: { type: Number, default: null },
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }
 );
 
+// The same cause may exist once per court station, however it was typed
+recordSchema.index(
+  { courtStation: 1, causeKey: 1 },
+  { unique: true, partialFilterExpression: { causeKey: { $type: "string" } } }
+);
+
+recordSchema.index({ "gazetteNotices.gazette": 1 });
+recordSchema.index({ statusAtGP: 1, dateForwardedToGP: 1 });
+
+/* =========================================================
+ * 🔑 CANONICAL CAUSE KEY (SAVE + UPDATE)
+ * ========================================================= */
+recordSchema.pre("validate", function (next) {
+  if (this.isModified("causeNo") || !this.causeKey) {
+    this.causeKey = canonicalCauseKey(this.causeNo);
+  }
+  next();
+});
+
+/* =========================================================
+ * 🚦 NEW RECORDS START IN THE STATE THEIR FIELDS IMPLY
+ * (createRecord sets it through the transitions instead)
+ * ========================================================= */
+recordSchema.pre("validate", function (next) {
+  if (this.isNew && !this.state) {
+    this.state = deriveState(this);
+    this.stateHistory.push({
+      to: this.state,
+      action: "create",
+      source: "create",
+    });
+  }
+  next();
+});
+
+recordSchema.pre(["findOneAndUpdate", "updateOne"], function (next) {
+  const update = this.getUpdate();
+  const target = update.$set || update;
+  if (target.causeNo !== undefined) {
+    target.causeKey = canonicalCauseKey(target.causeNo);
+  }
+  next();
+});
+
 /* =========================================================
  * 🧮 AUTO-COMPUTE LEAD TIMES (SAVE + UPDATE)
  * ========================================================= */
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = ["create", "update", "delete"];
+// manual: the record form and the lifecycle actions; bulk: bulk forwarding;
+// verify: the publish/verify list; gazette: a gazette scan; review: an
+// accepted gazette review; rollback: a gazette scan undone; import: a
+// spreadsheet batch
+export const AUDIT_SOURCES = [
+  "manual",
+  "bulk",
+  "verify",
+  "gazette",
+  "review",
+  "rollback",
+  "import",
+];
+
+/**
+ * One change to one Record, written by utils/recordAudit.js on every path
+ * that creates, edits or deletes Records. The cause and court are copied so
+ * the entry still reads (and filters) after the Record is deleted.
+ */
+const recordAuditSchema = new mongoose.Schema({
+  record: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Record",
+    required: true,
+  },
+  no: { type: Number },
+  causeNo: { type: String },
+  nameOfDeceased: { type: String },
+  courtStation: { type: mongoose.Schema.Types.ObjectId, ref: "Court" },
+
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  source: { type: String, enum: AUDIT_SOURCES, required: true },
+  changes: [
+    {
+      _id: false,
+      field: { type: String, required: true },
+      before: { type: mongoose.Schema.Types.Mixed, default: null },
+      after: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+  ],
+  // The whole Record as it was, on delete only
+  snapshot: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  note: { type: String, default: "" },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  at: { type: Date, default: Date.now },
+});
+
+recordAuditSchema.index({ record: 1, at: -1 });
+recordAuditSchema.index({ at: -1 });
+recordAuditSchema.index({ by: 1, at: -1 });
+recordAuditSchema.index({ courtStation: 1, at: -1 });
+recordAuditSchema.index({ "changes.field": 1, at: -1 });
+
+export default mongoose.model("RecordAudit", recordAuditSchema);
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+/**
+ * One run of a ReportSchedule, by cron or by hand, with every email it
+ * tried to send.
+ */
+const reportRunSchema = new mongoose.Schema(
+  {
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReportSchedule",
+      required: true,
+    },
+    key: { type: String, required: true },
+    report: { type: String, required: true },
+    trigger: { type: String, enum: ["cron", "manual"], required: true },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    periodStart: { type: Date, required: true },
+    // exclusive
+    periodEnd: { type: Date, required: true },
+    periodLabel: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["Running", "Succeeded", "Partial", "Failed"],
+      default: "Running",
+      index: true,
+    },
+    recordCount: { type: Number, default: 0 },
+    emails: [
+      {
+        _id: false,
+        to: { type: String },
+        cc: [{ type: String }],
+        subject: { type: String },
+        court: { type: mongoose.Schema.Types.ObjectId, ref: "Court" },
+        // Skipped: no address to send to (e.g. a court without an email)
+        status: { type: String, enum: ["Sent", "Failed", "Skipped"] },
+        error: { type: String, default: null },
+      },
+    ],
+    error: { type: String, default: null },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+reportRunSchema.index({ schedule: 1, createdAt: -1 });
+// One cron run per schedule and period, however many servers are running
+reportRunSchema.index(
+  { schedule: 1, periodStart: 1 },
+  { unique: true, partialFilterExpression: { trigger: "cron" } }
+);
+
+export default mongoose.model("ReportRun", reportRunSchema);
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import cron from "node-cron";
+
+/**
+ * A report the scheduler in utils/reportScheduler.js sends on its own.
+ * The defaults are seeded on first start; admins change timing and
+ * recipients here, and the scheduler reloads on every change.
+ */
+const reportScheduleSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    // adminRegister: the full register of the period, to Admins
+    // courtSummary: each court station's own counts, to that station
+    // overdueDigest: Records Pending at GP past their SLA (utils/sla.js)
+    report: {
+      type: String,
+      enum: ["adminRegister", "courtSummary", "overdueDigest"],
+      required: true,
+    },
+    // The run reports on the previous whole month, Monday–Sunday week or
+    // day (the digest is as of the run, the day only keys the run log)
+    period: { type: String, enum: ["month", "week", "day"], required: true },
+    cron: {
+      type: String,
+      required: true,
+      trim: true,
+      validate: {
+        validator: (v) => cron.validate(v),
+        message: "Invalid cron expression",
+      },
+    },
+    timezone: { type: String, default: "Africa/Nairobi" },
+    enabled: { type: Boolean, default: true },
+    recipients: {
+      // verified Admin users
+      admins: { type: Boolean, default: false },
+      // each court's primaryEmail, secondaryEmails on CC
+      courts: { type: Boolean, default: false },
+      // copied on every email of the run
+      extra: [
+        {
+          type: String,
+          trim: true,
+          lowercase: true,
+          match: [/.+@.+\..+/, "Invalid email address"],
+        },
+      ],
+    },
+    lastRunAt: { type: Date, default: null },
+    lastRunStatus: { type: String, default: null },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("ReportSchedule", reportScheduleSchema);
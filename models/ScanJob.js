@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+/**
+ * A gazette scan waiting for, or run by, the background worker in
+ * utils/scanQueue.js. The uploaded PDF stays on disk until the job
+ * completes so a failed job can be retried.
+ */
+const scanJobSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["Queued", "Running", "Completed", "Failed"],
+      default: "Queued",
+      index: true,
+    },
+    filePath: { type: String, required: true },
+    fileName: { type: String, required: true },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Volume/date supplied with the upload (or the retry) when the
+    // masthead and file name don't give them
+    overrides: {
+      volumeNo: { type: String, trim: true },
+      datePublished: { type: Date },
+    },
+    stage: {
+      type: String,
+      enum: ["waiting", "parsing", "matching", "saving", "done"],
+      default: "waiting",
+    },
+    progress: {
+      pagesParsed: { type: Number, default: 0 },
+      totalPages: { type: Number, default: null },
+      casesExtracted: { type: Number, default: 0 },
+      casesChecked: { type: Number, default: 0 },
+      casesMatched: { type: Number, default: 0 },
+    },
+    attempts: { type: Number, default: 0 },
+    error: { type: String, default: null },
+    // Refreshed while running; a stale lock means the worker died
+    lockedAt: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    // "applied" wrote a Gazette; "reconcile" found the issue already on file
+    // and left a preview token to commit instead
+    result: {
+      outcome: { type: String, enum: ["applied", "reconcile"] },
+      gazette: { type: mongoose.Schema.Types.ObjectId, ref: "Gazette" },
+      scanLog: { type: mongoose.Schema.Types.ObjectId, ref: "ScanLog" },
+      previewToken: { type: String },
+      summary: { type: mongoose.Schema.Types.Mixed },
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+scanJobSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model("ScanJob", scanJobSchema);
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+import Court from "./Court.js";
+
+export const SLA_SCOPES = ["global", ...Court.schema.path("level").enumValues];
+
+/**
+ * Lead-time limits, in days, used by utils/sla.js. The "global" row applies
+ * everywhere; a row for a court level overrides either limit for courts of
+ * that level (null falls back to global).
+ */
+const slaSettingSchema = new mongoose.Schema(
+  {
+    scope: { type: String, enum: SLA_SCOPES, required: true, unique: true },
+    // dateReceived -> dateForwardedToGP
+    forwardingDays: { type: Number, min: 1, default: null },
+    // dateForwardedToGP -> datePublished
+    publicationDays: { type: Number, min: 1, default: null },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("SlaSetting", slaSettingSchema);
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+/**
+ * A court heading / "Court Station" value no Court could be resolved from.
+ * Admins map it to a Court, which stores it as an alias.
+ */
+const unresolvedCourtHeadingSchema = new mongoose.Schema(
+  {
+    heading: { type: String, required: true, trim: true, uppercase: true },
+    sample: { type: String, trim: true }, // text as last seen, before normalizing
+    source: {
+      type: String,
+      enum: ["gazette", "import"],
+      default: "gazette",
+    },
+    occurrences: { type: Number, default: 0 },
+    lastSeenAt: { type: Date, default: Date.now },
+    resolvedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Court",
+      default: null,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    resolvedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+unresolvedCourtHeadingSchema.index({ heading: 1, source: 1 }, { unique: true });
+
+export default mongoose.model(
+  "UnresolvedCourtHeading",
+  unresolvedCourtHeadingSchema
+);
@@ -11,6 +11,26 @@ const scanLogSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    action: {
+      type: String,
+      enum: ["scan", "rollback"],
+      default: "scan",
+    },
+    fileHash: {
+      type: String,
+      index: true,
+    },
+    gazette: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gazette",
+      default: null,
+    },
+    // Background job that produced this log (null for previews committed by hand)
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ScanJob",
+      default: null,
+    },
     totalRecords: {
       type: Number,
       required: true,
@@ -28,6 +48,20 @@ const scanLogSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Pages with no usable text layer that were rasterized and OCR'd
+    ocrPages: [
+      {
+        _id: false,
+        page: { type: Number, required: true },
+        confidence: { type: Number, default: null },
+        chars: { type: Number, default: 0 },
+        error: { type: String },
+      },
+    ],
+    ocrAverageConfidence: {
+      type: Number,
+      default: null,
+    },
   },
   { timestamps: true }
 );
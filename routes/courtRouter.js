@@ -1,5 +1,14 @@
 import { Router } from "express";
-import { getCourts, createCourt, bulkCreateCourts } from "../controller/courtController.js";
+import {
+  getCourts,
+  createCourt,
+  bulkCreateCourts,
+  seedCourtAliases,
+  updateCourtAliases,
+  resolveCourtName,
+  getUnresolvedHeadings,
+  assignUnresolvedHeading,
+} from "../controller/courtController.js";
 import { isAuthenticated, isAuthorized } from "../middlewares/authMiddleware.js";
 const router = Router();
 
@@ -7,4 +16,11 @@ router.get("/all", isAuthenticated, isAuthorized("Admin"), getCourts);
 router.post("/create", isAuthenticated, isAuthorized("Admin"), createCourt);
 router.post("/bulk", isAuthenticated, isAuthorized("Admin"), bulkCreateCourts);
 
+// Court resolution: aliases and headings that did not resolve
+router.post("/aliases/seed", isAuthenticated, isAuthorized("Admin"), seedCourtAliases);
+router.patch("/:id/aliases", isAuthenticated, isAuthorized("Admin"), updateCourtAliases);
+router.get("/resolve", isAuthenticated, isAuthorized("Admin"), resolveCourtName);
+router.get("/unresolved", isAuthenticated, isAuthorized("Admin"), getUnresolvedHeadings);
+router.patch("/unresolved/:id", isAuthenticated, isAuthorized("Admin"), assignUnresolvedHeading);
+
 export default router;
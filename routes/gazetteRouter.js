@@ -1,10 +1,25 @@
 import express from "express";
 import {
   scanGazette,
+  getScanJobs,
+  getScanJob,
+  retryScanJobHandler,
+  previewGazetteScan,
+  getGazettePreview,
+  commitGazettePreview,
   getGazettes,
   getGazetteDetails,
-  getScanLogs
+  getScanLogs,
+  rollbackGazette,
 } from "../controller/gazetteScannerController.js";
+import {
+  getReviews,
+  acceptReview,
+  rejectReview,
+  repointReview,
+} from "../controller/gazetteReviewController.js";
+import { searchGazetteCases } from "../controller/gazetteSearchController.js";
+import { getUnmatchedCases } from "../controller/gazetteUnmatchedController.js";
 import { isAuthenticated, isAuthorized } from "../middlewares/authMiddleware.js";
 import { upload } from "../middlewares/uploadMiddleware.js";
 
@@ -13,13 +28,38 @@ const router = express.Router();
 // 🧾 Scan Gazette
 router.post("/scan", upload.single("scan"), isAuthenticated, isAuthorized("Admin"), scanGazette);
 
+// ⏳ Background scan jobs: progress and retry
+router.get("/scan/jobs", isAuthenticated, isAuthorized("Admin"), getScanJobs);
+router.get("/scan/jobs/:id", isAuthenticated, isAuthorized("Admin"), getScanJob);
+router.post("/scan/jobs/:id/retry", isAuthenticated, isAuthorized("Admin"), retryScanJobHandler);
+
+// 👀 Dry run: preview a scan, then commit exactly that preview
+router.post("/scan/preview", upload.single("scan"), isAuthenticated, isAuthorized("Admin"), previewGazetteScan);
+router.get("/scan/preview/:token", isAuthenticated, isAuthorized("Admin"), getGazettePreview);
+router.post("/scan/commit/:token", isAuthenticated, isAuthorized("Admin"), commitGazettePreview);
+
+// 🔎 Search cases across every scanned issue
+router.get("/search", isAuthenticated, isAuthorized("Admin"), searchGazetteCases);
+
+// 🧩 Cases that never reached a Record (JSON, CSV or XLSX)
+router.get("/unmatched", isAuthenticated, isAuthorized("Admin"), getUnmatchedCases);
+
 // 📚 Fetch all gazettes
 router.get("/get", isAuthenticated, isAuthorized("Admin"), getGazettes);
 
 // 📑 Fetch Gazette details
 router.get("/get/:id", isAuthenticated, isAuthorized("Admin"), getGazetteDetails);
 
+// ↩️ Undo a scan (whole or selected records)
+router.post("/:id/rollback", isAuthenticated, isAuthorized("Admin"), rollbackGazette);
+
 // 🧠 Fetch Scan Logs
 router.get("/logs", isAuthenticated, isAuthorized("Admin"), getScanLogs);
 
+// 🕵️ Review queue for weak / ambiguous matches
+router.get("/reviews", isAuthenticated, isAuthorized("Admin"), getReviews);
+router.patch("/reviews/:id/accept", isAuthenticated, isAuthorized("Admin"), acceptReview);
+router.patch("/reviews/:id/reject", isAuthenticated, isAuthorized("Admin"), rejectReview);
+router.patch("/reviews/:id/repoint", isAuthenticated, isAuthorized("Admin"), repointReview);
+
 export default router;
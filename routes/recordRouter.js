@@ -11,8 +11,34 @@ import {
   verifyRecords,
   bulkUpdateDateForwarded,
   downloadMonthlyReport,
+  exportRecords,
+  getRecordLifecycle,
+  reviewRecord,
+  returnRecordToStation,
+  resubmitRecord,
+  forwardRecord,
+  publishRecord,
+  markRecordNotPublished,
 } from "../controller/recordController.js";
+import {
+  importRecordsFromSheet,
+  getImportBatches,
+  getImportBatch,
+  updateImportDraft,
+  commitImportBatchHandler,
+  discardImportBatch,
+} from "../controller/recordImportController.js";
+import {
+  getSlaSettings,
+  updateSlaSetting,
+  getOverdueRecords,
+} from "../controller/slaController.js";
+import {
+  getRecordHistory,
+  getRecordActivity,
+} from "../controller/recordAuditController.js";
 import { isAuthenticated, isAuthorized } from "../middlewares/authMiddleware.js";
+import { uploadSheet } from "../middlewares/uploadMiddleware.js";
 
 const router = express.Router();
 
@@ -21,6 +47,14 @@ const router = express.Router();
 // Create a record (Admin only)
 router.post("/create", isAuthenticated, isAuthorized("Admin"), createRecord);
 
+// Bulk import: stage a spreadsheet, review its drafts, then commit (Admin only)
+router.post("/import", isAuthenticated, isAuthorized("Admin"), uploadSheet.single("file"), importRecordsFromSheet);
+router.get("/import/batches", isAuthenticated, isAuthorized("Admin"), getImportBatches);
+router.get("/import/batches/:id", isAuthenticated, isAuthorized("Admin"), getImportBatch);
+router.patch("/import/batches/:id/drafts/:draftId", isAuthenticated, isAuthorized("Admin"), updateImportDraft);
+router.post("/import/batches/:id/commit", isAuthenticated, isAuthorized("Admin"), commitImportBatchHandler);
+router.delete("/import/batches/:id", isAuthenticated, isAuthorized("Admin"), discardImportBatch);
+
 // Get all records (User)
 router.get("/user-records", getRecords);
 
@@ -36,6 +70,9 @@ router.delete("/delete/:id", isAuthenticated, isAuthorized("Admin"), deleteRecor
 // Admin-only: Get all records
 router.get("/admin", isAuthenticated, isAuthorized("Admin"), getAllRecordsForAdmin);
 
+// Admin-only: Export records as CSV / XLSX (same filters as /admin)
+router.get("/export", isAuthenticated, isAuthorized("Admin"), exportRecords);
+
 // Admin-only: Dashboard stats
 router.get("/dashboard-stats", isAuthenticated, isAuthorized("Admin"), getAdminDashboardStats);
 
@@ -50,6 +87,24 @@ router.patch("/bulk-update-forwarded", isAuthenticated, isAuthorized("Admin"), b
 
 router.get("/monthly-report", isAuthenticated, isAuthorized("Admin"), downloadMonthlyReport);
 
+// Admin-only: lead-time SLA limits and the records waiting past them
+router.get("/sla", isAuthenticated, isAuthorized("Admin"), getSlaSettings);
+router.put("/sla/:scope", isAuthenticated, isAuthorized("Admin"), updateSlaSetting);
+router.get("/overdue", isAuthenticated, isAuthorized("Admin"), getOverdueRecords);
+
+// Admin-only: audit trail — one Record's changes, and a filterable feed
+router.get("/activity", isAuthenticated, isAuthorized("Admin"), getRecordActivity);
+router.get("/:id/history", isAuthenticated, isAuthorized("Admin"), getRecordHistory);
+
+// Admin-only: lifecycle — current state, history and the allowed next moves
+router.get("/:id/lifecycle", isAuthenticated, isAuthorized("Admin"), getRecordLifecycle);
+router.post("/:id/review", isAuthenticated, isAuthorized("Admin"), reviewRecord);
+router.post("/:id/return", isAuthenticated, isAuthorized("Admin"), returnRecordToStation);
+router.post("/:id/resubmit", isAuthenticated, isAuthorized("Admin"), resubmitRecord);
+router.post("/:id/forward", isAuthenticated, isAuthorized("Admin"), forwardRecord);
+router.post("/:id/publish", isAuthenticated, isAuthorized("Admin"), publishRecord);
+router.post("/:id/not-published", isAuthenticated, isAuthorized("Admin"), markRecordNotPublished);
+
 
 
 export default router;
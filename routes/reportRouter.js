@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  getReportSchedules,
+  updateReportSchedule,
+  runReportScheduleNow,
+  getReportRuns,
+} from "../controller/reportScheduleController.js";
+import { isAuthenticated, isAuthorized } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// ⏰ Scheduled report emails: timing, recipients, manual runs
+router.get("/schedules", isAuthenticated, isAuthorized("Admin"), getReportSchedules);
+router.patch("/schedules/:id", isAuthenticated, isAuthorized("Admin"), updateReportSchedule);
+router.post("/schedules/:id/run", isAuthenticated, isAuthorized("Admin"), runReportScheduleNow);
+
+// 📜 Every run, with the emails it sent
+router.get("/runs", isAuthenticated, isAuthorized("Admin"), getReportRuns);
+
+export default router;
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCauseNo, canonicalCauseKey } from "../utils/causeNumber.js";
+
+test("the ways stations write a cause parse to its parts", () => {
+  assert.deepEqual(parseCauseNo("Succ. Cause No. 86 of 2024"), {
+    prefix: "",
+    serial: 86,
+    year: 2024,
+    type: "SUCC",
+    key: "SUCC/86/2024",
+  });
+  assert.deepEqual(parseCauseNo("E086/2024"), {
+    prefix: "E",
+    serial: 86,
+    year: 2024,
+    type: "SUCC",
+    key: "SUCC/86/2024",
+  });
+  assert.equal(parseCauseNo("P&A 86/24").year, 2024);
+  assert.equal(parseCauseNo("86/2024").type, "SUCC");
+  assert.equal(parseCauseNo("Misc. Cause 12/2023").key, "MISC/12/2023");
+  assert.equal(parseCauseNo("Citation No. 5 of 2022").key, "CIT/5/2022");
+  assert.equal(parseCauseNo("N/A"), null);
+});
+
+test("spellings of one cause share a causeKey", () => {
+  const keys = [
+    "Succ. Cause No. 86 of 2024",
+    "E086/2024",
+    "E86 of 2024",
+    "P&A 86/24",
+    "86/2024",
+  ].map(canonicalCauseKey);
+  assert.deepEqual(new Set(keys), new Set(["SUCC/86/2024"]));
+
+  assert.equal(canonicalCauseKey("N/A"), "RAW/NA");
+  assert.equal(canonicalCauseKey(""), "");
+});
+
+test("two-digit cause years pivot on a fixed year, not the clock", () => {
+  assert.equal(parseCauseNo("E86/30").year, 2030);
+  assert.equal(parseCauseNo("E86/50").year, 2050);
+  assert.equal(parseCauseNo("E86/51").year, 1951);
+  assert.equal(parseCauseNo("E86/99").year, 1999);
+});
@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import stringSimilarity from "string-similarity";
+import {
+  FUZZY_THRESHOLD,
+  courtResolverFor,
+  townKey,
+} from "../utils/courtResolver.js";
+import { resolveCourtName } from "../controller/courtController.js";
+
+const COURTS = [
+  {
+    _id: "eldama-hc",
+    name: "ELDAMA RAVINE HIGH COURT",
+    level: "High Court",
+    aliases: ["ELDAMA RAVINE HIGH COURT SUB REGISTRY"],
+  },
+  { _id: "eldama-lc", name: "ELDAMA RAVINE LAW COURTS", level: "Law Courts" },
+  { _id: "homa-bay", name: "HOMA BAY LAW COURTS", level: "Law Courts" },
+  { _id: "kangema", name: "KANGEMA LAW COURTS", level: "Law Courts" },
+  { _id: "kangundo", name: "KANGUNDO LAW COURTS", level: "Law Courts" },
+  {
+    _id: "kerugoya",
+    name: "KERUGOYA LAW COURTS",
+    level: "Law Courts",
+    aliases: ["KIRINYAGA"],
+  },
+];
+
+const resolved = (resolver, text) => {
+  const match = resolver.resolve(text);
+  return match && [match.court._id, match.method];
+};
+
+test("a stored alias resolves before the town is even looked at", () => {
+  const resolver = courtResolverFor(COURTS);
+  assert.deepEqual(
+    resolved(resolver, "Eldama Ravine High Court (Sub-Registry)"),
+    ["eldama-hc", "alias"]
+  );
+  assert.deepEqual(resolved(resolver, "Kirinyaga"), ["kerugoya", "alias"]);
+});
+
+test("a town key finds the court and the level breaks ties", () => {
+  const resolver = courtResolverFor(COURTS);
+  assert.equal(townKey("Homabay Magistrates Court"), "HOMABAY");
+  assert.deepEqual(resolved(resolver, "Homabay Magistrates Court"), [
+    "homa-bay",
+    "town",
+  ]);
+  assert.deepEqual(resolved(resolver, "In the High Court at Eldama Ravine"), [
+    "eldama-hc",
+    "town",
+  ]);
+
+  // Two courts sit in Eldama Ravine; without a level neither is chosen
+  assert.equal(resolver.resolve("ELDAMA RAVINE"), null);
+  const highCourts = courtResolverFor(COURTS, { defaultLevel: "High Court" });
+  assert.deepEqual(resolved(highCourts, "ELDAMA RAVINE"), [
+    "eldama-hc",
+    "town",
+  ]);
+});
+
+test("misspelt towns resolve fuzzily only above the threshold", () => {
+  const resolver = courtResolverFor(COURTS);
+  const match = resolver.resolve("KANGEMMA LAW COURTS");
+  assert.equal(match.court._id, "kangema");
+  assert.equal(match.method, "fuzzy");
+  assert.ok(match.score >= FUZZY_THRESHOLD);
+
+  assert.ok(
+    stringSimilarity.compareTwoStrings("KANGNDO", "KANGUNDO") < FUZZY_THRESHOLD
+  );
+  assert.equal(resolver.resolve("KANGNDO"), null);
+});
+
+test("headings that did not resolve are counted for the admins", () => {
+  const resolver = courtResolverFor(COURTS);
+  resolver.resolve("Nowhere Law Courts");
+  resolver.resolve("NOWHERE LAW COURTS");
+  resolver.resolve("");
+  assert.deepEqual(resolver.unresolved(), [
+    {
+      heading: "NOWHERE LAW COURTS",
+      sample: "Nowhere Law Courts",
+      count: 2,
+    },
+  ]);
+  resolver.forget();
+  assert.deepEqual(resolver.unresolved(), []);
+});
+
+test("a repeated q is rejected before any lookup", async () => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await resolveCourtName({ query: { q: ["Kangema", "Kerugoya"] } }, res);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.success, false);
+});
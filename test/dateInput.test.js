@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseDateInput,
+  excelSerialToDate,
+  normalizeDateFields,
+  expandYear,
+} from "../utils/dateInput.js";
+
+const iso = (value) =>
+  parseDateInput(value)?.toISOString().slice(0, 10) ?? null;
+
+test("Excel serials become dates", () => {
+  assert.equal(
+    excelSerialToDate(45728).toISOString(),
+    "2025-03-12T00:00:00.000Z"
+  );
+  assert.equal(iso("45737"), "2025-03-21");
+  assert.equal(iso(45737.75), "2025-03-21");
+  // Too small to be a registry date
+  assert.equal(iso(9), null);
+  assert.equal(iso(2025), null);
+});
+
+test("numeric dates are read day-first", () => {
+  assert.equal(iso("10/03/2025"), "2025-03-10");
+  assert.equal(iso("1-2-2025"), "2025-02-01");
+  assert.equal(iso("10.03.25"), "2025-03-10");
+  // Only readable month-first
+  assert.equal(iso("04/25/2025"), "2025-04-25");
+  assert.equal(iso("31/02/2025"), null);
+});
+
+test("ISO and textual dates", () => {
+  assert.equal(iso("2025-03-10"), "2025-03-10");
+  assert.equal(iso("19th July, 2002"), "2002-07-19");
+  assert.equal(iso("19-Jul-2025"), "2025-07-19");
+  assert.equal(iso("July 19, 2002"), "2002-07-19");
+  assert.equal(iso("not a date"), null);
+});
+
+test("date fields are normalized or reported per field", () => {
+  const { values, errors } = normalizeDateFields(
+    { dateReceived: "12/03/2025", dateOfReceipt: "", datePublished: "soon" },
+    {
+      dateReceived: "Date Received",
+      dateOfReceipt: "Date of Receipt",
+      datePublished: "Date Published",
+      dateForwardedToGP: "Date Forwarded to GP",
+    }
+  );
+  assert.deepEqual(values, {
+    dateReceived: new Date("2025-03-12T00:00:00.000Z"),
+    dateOfReceipt: null,
+  });
+  assert.deepEqual(errors, [
+    {
+      field: "datePublished",
+      message: 'Date Published "soon" is not a valid date (use dd/mm/yyyy)',
+    },
+  ]);
+});
+
+test("two-digit years in dates pivot on the current year", () => {
+  const now = new Date("2025-06-01");
+  assert.equal(expandYear("24", now), 2024);
+  assert.equal(expandYear("26", now), 2026);
+  assert.equal(expandYear("27", now), 1927);
+  assert.equal(expandYear("99", now), 1999);
+  assert.equal(expandYear("2099", now), 2099);
+
+  assert.equal(iso("01/02/99"), "1999-02-01");
+  assert.equal(iso("01/02/24"), "2024-02-01");
+});
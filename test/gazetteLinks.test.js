@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { gazetteNoticeLink } from "../utils/gazetteScan.js";
+
+const gazette = {
+  _id: new mongoose.Types.ObjectId(),
+  volumeNo: "CXXVII-No. 180",
+  datePublished: new Date("2025-09-12"),
+};
+
+test("a Record's notice link points at the gazette case it came from", () => {
+  const c = { _id: new mongoose.Types.ObjectId(), noticeNo: "12345", page: 7 };
+  const link = gazetteNoticeLink(gazette, c);
+  assert.ok(link.linkedAt instanceof Date);
+  delete link.linkedAt;
+  assert.deepEqual(link, {
+    gazette: gazette._id,
+    case: c._id,
+    volumeNo: "CXXVII-No. 180",
+    datePublished: gazette.datePublished,
+    noticeNo: "12345",
+    page: 7,
+  });
+});
+
+test("notice number and page are null when the scan did not read them", () => {
+  const link = gazetteNoticeLink(gazette, { _id: "case-1" });
+  assert.equal(link.noticeNo, null);
+  assert.equal(link.page, null);
+});
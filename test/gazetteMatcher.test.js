@@ -0,0 +1,199 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  MATCH_THRESHOLDS,
+  NAME_CANDIDATE_LIMIT,
+  buildCandidateQueries,
+  classifyMatch,
+  confidenceFor,
+  findCandidates,
+  nameSimilarity,
+  rankCandidates,
+  scoreCandidate,
+} from "../utils/gazetteMatcher.js";
+
+// An in-memory stand-in for the Record model that understands the filters
+// buildCandidateQueries writes: equality, $nin and an $or of name regexes.
+const memoryModel = (records) => {
+  const matches = (record, filter) =>
+    Object.entries(filter).every(([field, cond]) => {
+      if (field === "$or") return cond.some((c) => matches(record, c));
+      if (cond?.$nin)
+        return !cond.$nin.map(String).includes(String(record[field]));
+      if (cond?.$regex)
+        return new RegExp(cond.$regex, cond.$options).test(record[field]);
+      return String(record[field]) === String(cond);
+    });
+  return {
+    find(filter) {
+      let limit = Infinity;
+      const query = {
+        limit(n) {
+          limit = n;
+          return query;
+        },
+        lean: async () =>
+          records.filter((r) => matches(r, filter)).slice(0, limit),
+      };
+      return query;
+    },
+  };
+};
+
+const court = new mongoose.Types.ObjectId();
+const record = (nameOfDeceased, causeKey) => ({
+  _id: new mongoose.Types.ObjectId(),
+  nameOfDeceased,
+  causeKey,
+  courtStation: court,
+});
+
+test("cause key and name are looked up separately", () => {
+  const { keyQuery, nameQuery } = buildCandidateQueries({
+    nameOfDeceased: "John Mwangi Kamau",
+    causeNo: "E86/2024",
+    courtStation: court,
+  });
+  assert.deepEqual(keyQuery, {
+    causeKey: "SUCC/86/2024",
+    courtStation: court,
+  });
+  assert.equal(nameQuery.$or.length, 3);
+  assert.deepEqual(
+    buildCandidateQueries({ causeNo: "N/A", nameOfDeceased: "Al" }),
+    { keyQuery: null, nameQuery: null }
+  );
+});
+
+test("the key match survives more lookalikes than the name limit", async () => {
+  const lookalikes = Array.from(
+    { length: NAME_CANDIDATE_LIMIT + 20 },
+    (_, i) => record(`JOHN MWANGI ${i}`, `SUCC/${i + 100}/2024`)
+  );
+  const hit = record("JOHN MWANGI KAMAU", "SUCC/86/2024");
+  const gazetteCase = {
+    nameOfDeceased: "John Mwangi Kamau",
+    causeNo: "Succ. Cause No. 86 of 2024",
+    courtStation: court,
+  };
+
+  const candidates = await findCandidates(
+    gazetteCase,
+    memoryModel([...lookalikes, hit])
+  );
+  assert.equal(candidates.length, NAME_CANDIDATE_LIMIT + 1);
+  assert.equal(candidates[0], hit);
+  assert.equal(
+    new Set(candidates.map((r) => String(r._id))).size,
+    candidates.length
+  );
+
+  const ranked = rankCandidates(gazetteCase, candidates);
+  assert.equal(ranked[0].record, hit);
+  assert.deepEqual(classifyMatch(ranked), { action: "auto", reason: null });
+});
+
+test("word order, titles and a dropped middle name barely matter", () => {
+  assert.equal(nameSimilarity("Kamau John Mwangi", "JOHN MWANGI KAMAU"), 1);
+  assert.equal(nameSimilarity("The Late Mr. John Kamau", "JOHN KAMAU"), 1);
+  assert.equal(nameSimilarity("John Kamau", "JOHN MWANGI KAMAU"), 0.9);
+  assert.equal(nameSimilarity("Peter Otieno", "JOHN KAMAU"), 0);
+  assert.equal(nameSimilarity("", "JOHN KAMAU"), 0);
+});
+
+test("an initial only counts as the other names it comes with", () => {
+  const nameScore = nameSimilarity("J. Mwangi Kamau", "JOHN MWANGI KAMAU");
+  assert.equal(nameScore, 0.6);
+
+  const gazetteCase = {
+    nameOfDeceased: "J. Mwangi Kamau",
+    causeNo: "E86/2024",
+    courtStation: court,
+  };
+  const onName = scoreCandidate(gazetteCase, record("JOHN MWANGI KAMAU"));
+  assert.equal(onName.confidence, "weak");
+  const onKey = scoreCandidate(
+    gazetteCase,
+    record("JOHN MWANGI KAMAU", "SUCC/86/2024")
+  );
+  assert.equal(onKey.score, 0.85);
+  assert.equal(onKey.confidence, "strong");
+});
+
+test("confidence levels change exactly at the thresholds", () => {
+  const { strong, weak } = MATCH_THRESHOLDS;
+  assert.equal(confidenceFor(1, 1), "exact");
+  assert.equal(confidenceFor(strong, 0.7), "strong");
+  assert.equal(confidenceFor(strong - 0.0001, 0.7), "weak");
+  assert.equal(confidenceFor(weak, weak), "weak");
+  assert.equal(confidenceFor(weak - 0.0001, 0.4), "none");
+});
+
+test("a cause and court without any name resemblance earn no bonus", () => {
+  const scored = scoreCandidate(
+    {
+      nameOfDeceased: "Peter Otieno",
+      causeNo: "E86/2024",
+      courtStation: court,
+    },
+    record("JOHN KAMAU", "SUCC/86/2024")
+  );
+  assert.equal(scored.score, 0);
+  assert.equal(scored.causeAgrees, true);
+  assert.equal(scored.confidence, "none");
+});
+
+test("key matches outrank better-named lookalikes", () => {
+  const gazetteCase = {
+    nameOfDeceased: "John Mwangi Kamau",
+    causeNo: "E86/2024",
+    courtStation: court,
+  };
+  const lookalike = record("JOHN MWANGI KAMAU", "SUCC/99/2024");
+  const hit = record("JOHN KAMAU", "SUCC/86/2024");
+
+  const ranked = rankCandidates(gazetteCase, [lookalike, hit]);
+  assert.deepEqual(
+    ranked.map((c) => [c.record, c.keyAgrees]),
+    [
+      [hit, true],
+      [lookalike, false],
+    ]
+  );
+  assert.deepEqual(ranked[0].matchedOn, ["causeNo", "courtStation", "name"]);
+  assert.deepEqual(classifyMatch(ranked), { action: "auto", reason: null });
+  assert.deepEqual(classifyMatch([ranked[1]]), {
+    action: "review",
+    reason: "name_only",
+  });
+});
+
+test("tied key matches go to review instead of picking one", () => {
+  const gazetteCase = {
+    nameOfDeceased: "John Kamau",
+    causeNo: "E86/2024",
+    courtStation: court,
+  };
+  const twins = [
+    record("JOHN KAMAU", "SUCC/86/2024"),
+    record("KAMAU JOHN", "SUCC/86/2024"),
+  ];
+  const ranked = rankCandidates(gazetteCase, twins);
+  assert.equal(ranked[0].score, ranked[1].score);
+  assert.deepEqual(classifyMatch(ranked), {
+    action: "review",
+    reason: "ambiguous",
+  });
+
+  // The key agrees but the name does not confirm it
+  const mismatch = rankCandidates(
+    { ...gazetteCase, nameOfDeceased: "Peter Otieno" },
+    [twins[0]]
+  );
+  assert.deepEqual(classifyMatch(mismatch), {
+    action: "review",
+    reason: "name_mismatch",
+  });
+  assert.deepEqual(classifyMatch([]), { action: "none", reason: null });
+});
@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import {
+  parseGazetteText,
+  parseGazetteMetadata,
+  parseGazetteFileName,
+} from "../utils/gazetteParser.js";
+import { parseNoticeBlock } from "../utils/gazetteNotice.js";
+import { listFixtures, snapshotFor } from "./gazetteSnapshots.js";
+
+for (const fixture of await listFixtures()) {
+  test(`${fixture.name} matches its snapshot`, async () => {
+    const expected = JSON.parse(await fs.readFile(fixture.expectedPath, "utf8"));
+    const actual = await snapshotFor(fixture.pdfPath);
+
+    assert.equal(actual.volumeNo, expected.volumeNo);
+    assert.equal(actual.datePublished, expected.datePublished);
+    assert.equal(actual.specialIssue, expected.specialIssue);
+    assert.deepEqual(actual.missing, expected.missing);
+    assert.equal(actual.caseCount, expected.caseCount);
+    assert.deepEqual(actual.cases, expected.cases);
+  });
+}
+
+test("empty text yields no cases", () => {
+  const parsed = parseGazetteText([{ page: 1, text: "   " }]);
+  assert.equal(parsed.text, "");
+  assert.deepEqual(parsed.cases, []);
+  assert.equal(parsed.datePublished, null);
+});
+
+test("cases carry the page they start on", () => {
+  const parsed = parseGazetteText([
+    {
+      page: 1,
+      text: "Vol. CXXVII—No. 166 NAIROBI, 1st August, 2025 GAZETTE NOTICE NO. 10625",
+    },
+    {
+      page: 2,
+      text: "IN THE HIGH COURT OF KENYA AT KITUI PROBATE AND ADMINISTRATION CAUSE NO. E163 OF 2024 By Elen Ndanu Mutua, of P.O. Box 1–90200, Kitui in Kenya, the deceased’s son, for a grant of letters of administration intestate to the estate of Nyaa Mathambyo, who died at Kitui in 2017.",
+    },
+  ]);
+
+  assert.equal(parsed.volumeNo, "CXXVII—No. 166");
+  assert.equal(parsed.cases.length, 1);
+  assert.deepEqual(
+    {
+      page: parsed.cases[0].page,
+      noticeNo: parsed.cases[0].noticeNo,
+      courtName: parsed.cases[0].courtName,
+      causeNo: parsed.cases[0].causeNo,
+      nameOfDeceased: parsed.cases[0].nameOfDeceased,
+    },
+    {
+      page: 2,
+      noticeNo: "10625",
+      courtName: "KITUI",
+      causeNo: "E163 OF 2024",
+      nameOfDeceased: "nyaa mathambyo",
+    }
+  );
+});
+
+test("notice fields pair petitioners with relationships", () => {
+  const notice = parseNoticeBlock(
+    "CAUSE NO. E429 OF 2025 By (1) Njeri Catherine Mutuku and (2) Martin Maina Mutuku, both of P.O. Box 360–00100, Nairobi in Kenya, the deceased’s widow and son, respectively, through Messrs. Namasaka & Kariuki, advocates, for a grant of letters of administration intestate to the estate of John Mutugi Mutuku, late of Starehe, who died at Mater Hospital in Kenya, on 14th December, 2023. The Court will proceed to issue the same"
+  );
+
+  assert.deepEqual(notice.petitioners, [
+    { name: "Njeri Catherine Mutuku", relationship: "widow" },
+    { name: "Martin Maina Mutuku", relationship: "son" },
+  ]);
+  assert.equal(notice.residence, "Starehe");
+  assert.equal(notice.placeOfDeath, "Mater Hospital in Kenya");
+  assert.equal(notice.dateOfDeath.toISOString(), "2023-12-14T00:00:00.000Z");
+  assert.ok(!notice.snippet.includes("The Court will proceed"));
+});
+
+test("file names give the issue number, day-first date and special issue", () => {
+  assert.deepEqual(
+    parseGazetteFileName(
+      "Gazette Vol. 202 26-9-2025 Special Issue (Probates).pdf"
+    ),
+    {
+      issueNo: 202,
+      datePublished: new Date("2025-09-26T00:00:00.000Z"),
+      specialIssue: true,
+    }
+  );
+  assert.deepEqual(parseGazetteFileName("scan.pdf"), {
+    issueNo: null,
+    datePublished: null,
+    specialIssue: false,
+  });
+});
+
+test("metadata falls back to the file name and flags disagreements", () => {
+  const fromName = parseGazetteMetadata("THE KENYA GAZETTE Price Sh. 60", {
+    fileName: "Gazette Vol. 193 12-9-2025 Special Issue (Probate) .pdf",
+  });
+  assert.equal(fromName.volumeNo, "No. 193");
+  assert.equal(
+    fromName.datePublished.toISOString(),
+    "2025-09-12T00:00:00.000Z"
+  );
+  assert.deepEqual(fromName.sources, {
+    issueNo: "fileName",
+    datePublished: "fileName",
+  });
+  assert.deepEqual(fromName.missing, []);
+
+  const mismatch = parseGazetteMetadata(
+    "SPECIAL ISSUE Vol. CXXVII—No. 166 NAIROBI, 1st August, 2025 Price Sh. 60",
+    { fileName: "Gazette Vol. 146 4-7-2025.pdf" }
+  );
+  assert.equal(mismatch.volumeNo, "CXXVII—No. 166");
+  assert.equal(mismatch.specialIssue, true);
+  assert.equal(mismatch.warnings.length, 2);
+});
+
+test("missing metadata is reported, not guessed", () => {
+  const metadata = parseGazetteMetadata("no masthead here", {
+    fileName: "upload.pdf",
+  });
+  assert.equal(metadata.volumeNo, null);
+  assert.equal(metadata.datePublished, null);
+  assert.deepEqual(metadata.missing, ["volumeNo", "datePublished"]);
+});
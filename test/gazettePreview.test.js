@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  changedSincePreview,
+  getGazettePreview,
+  openPreviewFilter,
+  previewTicket,
+} from "../controller/gazetteScannerController.js";
+
+const now = new Date("2025-10-03T09:00:00Z");
+
+test("a preview can be committed for 30 minutes", () => {
+  const { token, expiresAt } = previewTicket(now);
+  assert.match(token, /^[0-9a-f]{48}$/);
+  assert.equal(expiresAt.toISOString(), "2025-10-03T09:30:00.000Z");
+  assert.notEqual(previewTicket(now).token, token);
+});
+
+test("previews are looked up by token, only until they expire", () => {
+  const { token } = previewTicket(now);
+  // Commit claims with findOneAndDelete on this filter, so a second commit
+  // of the same token finds nothing
+  assert.deepEqual(openPreviewFilter(token, now), {
+    token,
+    expiresAt: { $gt: now },
+  });
+});
+
+test("a malformed or repeated token is a 404 before any lookup", async () => {
+  for (const token of ["abc", "Z".repeat(48), ["a", "b"], undefined])
+    assert.throws(() => openPreviewFilter(token, now), {
+      statusCode: 404,
+      message: "Preview not found or expired",
+    });
+
+  let error;
+  await getGazettePreview(
+    { params: { token: "../../etc" } },
+    {},
+    (err) => (error = err)
+  );
+  assert.equal(error.statusCode, 404);
+});
+
+test("records edited since the preview are flagged", () => {
+  const [kept, edited, gone] = [1, 2, 3].map(
+    () => new mongoose.Types.ObjectId()
+  );
+  const before = {
+    statusAtGP: "Pending",
+    volumeNo: "",
+    datePublished: null,
+  };
+  const changes = [kept, edited, gone].map((recordId) => ({
+    recordId,
+    before,
+  }));
+  const current = [
+    { _id: kept, statusAtGP: "Pending", volumeNo: null },
+    {
+      _id: edited,
+      statusAtGP: "Published",
+      volumeNo: "CXXVII-No.210",
+      datePublished: now,
+    },
+  ];
+  assert.deepEqual(changedSincePreview(changes, current), [edited, gone]);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { reconcileCases } from "../utils/gazetteScan.js";
+
+const stored = [
+  { causeNo: "E086/2024", courtName: "MILIMANI", nameOfDeceased: "John Doe" },
+  { causeNo: "E12/2025", courtName: "MILIMANI", nameOfDeceased: "Jane Roe" },
+  { causeNo: "E7/2025", courtName: "NAKURU", nameOfDeceased: "Ann Wanjiru" },
+];
+
+test("a re-scan reports cases sent to review as in review, not removed", () => {
+  const report = reconcileCases(
+    stored,
+    [{ ...stored[0] }],
+    [{ ...stored[1], reason: "state" }]
+  );
+  assert.deepEqual(
+    report.inReview.map((c) => [c.causeNo, c.reason]),
+    [["E12/2025", "state"]]
+  );
+  assert.deepEqual(report.removed.map((c) => c.causeNo), ["E7/2025"]);
+  assert.equal(report.unchanged, 1);
+  assert.deepEqual(report.new, []);
+});
+
+test("a renamed case is changed and an unseen one is new", () => {
+  const report = reconcileCases(stored, [
+    { ...stored[0], nameOfDeceased: "John Kamau Doe" },
+    ...stored.slice(1),
+    { causeNo: "E99/2025", courtName: "NAKURU", nameOfDeceased: "Peter" },
+  ]);
+  assert.deepEqual(report.changed.map((c) => c.causeNo), ["E086/2024"]);
+  assert.deepEqual(report.new.map((c) => c.causeNo), ["E99/2025"]);
+  assert.deepEqual(report.removed, []);
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Record from "../models/Record.js";
+import { restoreChange, stillAsWritten } from "../utils/gazetteScan.js";
+
+const admin = new mongoose.Types.ObjectId();
+const forwarded = new Date("2025-09-01T00:00:00Z");
+const published = new Date("2025-10-03T00:00:00Z");
+
+// A Record as a scan left it: published in Gazette CXXVII-No.210
+const scannedRecord = () =>
+  new Record({
+    courtStation: new mongoose.Types.ObjectId(),
+    causeNo: "E86/2024",
+    nameOfDeceased: "JOHN MWANGI KAMAU",
+    dateReceived: new Date("2025-08-20T00:00:00Z"),
+    form60Compliance: "Approved",
+    dateForwardedToGP: forwarded,
+    statusAtGP: "Published",
+    volumeNo: "CXXVII-No.210",
+    datePublished: published,
+    state: "Published",
+  });
+
+const after = {
+  statusAtGP: "Published",
+  volumeNo: "CXXVII-No.210",
+  datePublished: published,
+  state: "Published",
+};
+
+test("rollback puts back the fields and state the change recorded", () => {
+  const record = scannedRecord();
+  restoreChange(
+    record,
+    {
+      before: {
+        statusAtGP: "Pending",
+        volumeNo: "",
+        datePublished: null,
+        state: "Forwarded to GP",
+      },
+      after,
+    },
+    { by: admin, note: "Wrong issue" }
+  );
+
+  assert.equal(record.statusAtGP, "Pending");
+  assert.equal(record.volumeNo, "");
+  assert.equal(record.datePublished, null);
+  assert.equal(record.state, "Forwarded to GP");
+  assert.equal(record.dateForwardedToGP.getTime(), forwarded.getTime());
+
+  const last = record.stateHistory.at(-1);
+  assert.equal(last.from, "Published");
+  assert.equal(last.to, "Forwarded to GP");
+  assert.equal(last.source, "rollback");
+  assert.equal(last.note, "Wrong issue");
+  assert.equal(String(last.by), String(admin));
+});
+
+test("a change without a recorded state derives it from the fields", () => {
+  const record = scannedRecord();
+  restoreChange(record, { before: {} }, { by: admin, note: "Legacy scan" });
+  assert.equal(record.statusAtGP, "Pending");
+  assert.equal(record.state, "Forwarded to GP");
+});
+
+test("a Record edited since the scan is not as the scan wrote it", () => {
+  const record = scannedRecord();
+  assert.equal(stillAsWritten(record, after), true);
+  // Dates compare by instant, blanks as equal
+  assert.equal(
+    stillAsWritten(record, {
+      ...after,
+      datePublished: published.toISOString(),
+    }),
+    true
+  );
+
+  record.volumeNo = "CXXVII-No.211";
+  assert.equal(stillAsWritten(record, after), false);
+  assert.equal(
+    stillAsWritten(
+      { statusAtGP: "Pending", volumeNo: null, datePublished: null },
+      { statusAtGP: "Pending", volumeNo: "", datePublished: undefined }
+    ),
+    true
+  );
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  causeClause,
+  searchGazetteCases,
+} from "../controller/gazetteSearchController.js";
+
+// Whether a cause clause's legacy regex accepts a stored causeNo
+const matchesText = (clause, causeNo) => {
+  const { $regex, $options } = clause.$or[1]["cases.causeNo"];
+  return new RegExp($regex, $options).test(causeNo);
+};
+
+test("a cause search matches the stored key and older spellings", () => {
+  const clause = causeClause("E86 of 2024");
+  assert.deepEqual(clause.$or[0], { "cases.causeKey": "SUCC/86/2024" });
+  for (const written of ["E086/24", "86 OF 2024", "P&A 86-2024"])
+    assert.ok(matchesText(clause, written), written);
+  for (const other of ["E860/2024", "86/2023", "186/24"])
+    assert.ok(!matchesText(clause, other), other);
+});
+
+test("an unparseable cause falls back to a literal, escaped search", () => {
+  assert.deepEqual(causeClause(" HCC (misc) "), {
+    "cases.causeNo": { $regex: "HCC \\(misc\\)", $options: "i" },
+  });
+});
+
+test("a repeated query parameter is a 400, not a crash", async () => {
+  let error;
+  await searchGazetteCases(
+    { query: { causeNo: ["E86/2024", "E87/2024"] } },
+    {},
+    (err) => (error = err)
+  );
+  assert.equal(error.statusCode, 400);
+  assert.match(error.message, /^causeNo must be given once/);
+});
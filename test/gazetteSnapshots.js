@@ -0,0 +1,81 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { extractPdfText } from "../utils/pdfText.js";
+import { parseGazetteText } from "../utils/gazetteParser.js";
+
+/*
+ * Fixture gazettes and their expected parser output.
+ *
+ *   test/fixtures/gazettes/<name>.pdf            input
+ *   test/fixtures/gazettes/<name>.expected.json  snapshot
+ *
+ * After an intended parser change, regenerate the snapshots with
+ *   npm run test:update-snapshots
+ * and review the JSON diff before committing it.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURE_DIR = path.join(__dirname, "fixtures", "gazettes");
+
+export const listFixtures = async () =>
+  (await fs.readdir(FIXTURE_DIR))
+    .filter((f) => f.toLowerCase().endsWith(".pdf"))
+    .sort()
+    .map((f) => ({
+      name: f.replace(/\.pdf$/i, ""),
+      pdfPath: path.join(FIXTURE_DIR, f),
+      expectedPath: path.join(
+        FIXTURE_DIR,
+        f.replace(/\.pdf$/i, ".expected.json")
+      ),
+    }));
+
+/**
+ * The parts of the parser output a regression should notice.
+ * OCR is switched off (minPageChars 0) so results never depend on
+ * tesseract or its language data.
+ */
+export const snapshotFor = async (pdfPath) => {
+  const { pages } = await extractPdfText(pdfPath, { minPageChars: 0 });
+  const { metadata, volumeNo, datePublished, cases } = parseGazetteText(pages);
+
+  return {
+    volumeNo,
+    datePublished: datePublished ? datePublished.toISOString() : null,
+    specialIssue: metadata.specialIssue,
+    missing: metadata.missing,
+    caseCount: cases.length,
+    cases: cases.map((c) => ({
+      page: c.page,
+      noticeNo: c.noticeNo,
+      courtName: c.courtName,
+      causeNo: c.causeNo,
+      nameOfDeceased: c.nameOfDeceased,
+    })),
+  };
+};
+
+const updateSnapshots = async () => {
+  for (const fixture of await listFixtures()) {
+    const snapshot = await snapshotFor(fixture.pdfPath);
+    await fs.writeFile(
+      fixture.expectedPath,
+      `${JSON.stringify(snapshot, null, 2)}\n`
+    );
+    console.log(`📸 ${fixture.name}: ${snapshot.caseCount} cases`);
+  }
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  if (!process.argv.includes("--update")) {
+    console.error("Usage: node test/gazetteSnapshots.js --update");
+    process.exit(1);
+  }
+  updateSnapshots()
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.error("❌ Snapshot update failed:", err.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import xlsx from "xlsx";
+import { tally } from "../controller/gazetteUnmatchedController.js";
+import { sendTable } from "../utils/tableExport.js";
+
+const rows = [
+  { courtStation: "c1", court: "KANGEMA", courtName: "KANGEMA", reason: "no_match" },
+  { courtStation: null, courtName: "HIGH COURT AT ITEN", reason: "no_court" },
+  { courtStation: "c1", court: "KANGEMA", courtName: "KANGEMA", reason: "weak" },
+  { courtStation: "c1", court: "KANGEMA", courtName: "KANGEMA", reason: "no_match" },
+];
+
+test("unmatched cases are tallied per court with a count per reason", () => {
+  const byCourt = tally(
+    rows,
+    (r) => r.courtStation || `heading:${r.courtName}`,
+    (r) => ({ court: r.courtStation ? r.court : r.courtName })
+  );
+  assert.deepEqual(byCourt, [
+    { court: "KANGEMA", total: 3, reasons: { no_match: 2, weak: 1 } },
+    { court: "HIGH COURT AT ITEN", total: 1, reasons: { no_court: 1 } },
+  ]);
+});
+
+// Just enough of an Express response to capture a download
+const fakeResponse = () => ({
+  headers: {},
+  setHeader(name, value) {
+    this.headers[name] = value;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const fields = [
+  { label: "Cause No.", value: "causeNo" },
+  { label: "Date Published", value: "datePublished" },
+  { label: "Reason", value: (r) => r.reason.toUpperCase() },
+];
+const table = [
+  { causeNo: "E86/2024", datePublished: new Date("2025-09-12"), reason: "weak" },
+];
+
+test("a table downloads as CSV with its labels as the header", () => {
+  const res = fakeResponse();
+  sendTable(res, { rows: table, fields, fileName: "cases", format: "csv" });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers["Content-Disposition"], /filename="cases\.csv"/);
+  assert.equal(
+    res.body,
+    '"Cause No.","Date Published","Reason"\n"E86/2024","2025-09-12","WEAK"'
+  );
+});
+
+test("the XLSX download has the same columns as the CSV", () => {
+  const res = fakeResponse();
+  sendTable(res, { rows: table, fields, fileName: "cases", format: "xlsx" });
+  const book = xlsx.read(res.body, { type: "buffer" });
+  const sheet = book.Sheets[book.SheetNames[0]];
+  assert.deepEqual(xlsx.utils.sheet_to_json(sheet), [
+    { "Cause No.": "E86/2024", "Date Published": "2025-09-12", Reason: "WEAK" },
+  ]);
+});
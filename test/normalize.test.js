@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bestExcelNameKey, findExcelColumn } from "../utils/normalize.js";
+
+test("the deceased's name comes from the best-named header", () => {
+  assert.equal(
+    bestExcelNameKey({ Name: "Clerk", "Name of the Deceased": " JOHN DOE " }),
+    "JOHN DOE"
+  );
+  assert.equal(bestExcelNameKey({ "Deceased (late)": "JANE DOE" }), "JANE DOE");
+  assert.equal(bestExcelNameKey({ "Cause No": "E1/2024" }), "");
+  assert.equal(bestExcelNameKey(null), "");
+});
+
+const headers = ["Cause No.", "Date Received", "Date of Receipt", "Court"];
+
+test("an exact spelling wins over a header that only contains the word", () => {
+  assert.equal(
+    findExcelColumn(headers, {
+      exact: ["date of receipt"],
+      contains: ["date"],
+    }),
+    "Date of Receipt"
+  );
+  assert.equal(
+    findExcelColumn(headers, { contains: ["date"] }),
+    "Date Received"
+  );
+});
+
+test("headers already taken by another column are skipped", () => {
+  const taken = new Set(["Date Received"]);
+  assert.equal(
+    findExcelColumn(headers, { contains: ["date"] }, taken),
+    "Date of Receipt"
+  );
+  assert.equal(findExcelColumn(headers, { exact: ["volume"] }), null);
+});
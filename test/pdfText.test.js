@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MIN_PAGE_CHARS,
+  applyOcrResults,
+  ocrUnavailable,
+  sparsePages,
+} from "../utils/pdfText.js";
+
+const page = (n, text) => ({ page: n, text, source: "text" });
+const notice = "GAZETTE NOTICE NO. 1234 ".repeat(5);
+
+test("pages under the character minimum are sent to OCR", () => {
+  const pages = [
+    page(1, notice),
+    page(2, "  \n 12 \n"),
+    page(3, "x".repeat(MIN_PAGE_CHARS - 1)),
+    page(4, "x".repeat(MIN_PAGE_CHARS)),
+  ];
+  assert.deepEqual(sparsePages(pages), [2, 3]);
+  assert.deepEqual(sparsePages(pages, 10), [2]);
+});
+
+test("OCR text replaces a thin page and its confidence is averaged", () => {
+  const pages = [page(1, notice), page(2, "12"), page(3, "13")];
+  const ocr = applyOcrResults(pages, [
+    { page: 2, text: notice, confidence: 90 },
+    { page: 3, text: " 1 ", confidence: 71.5 },
+  ]);
+
+  assert.deepEqual(pages.map((p) => p.source), ["text", "ocr", "text"]);
+  assert.equal(pages[1].text, notice);
+  assert.deepEqual(ocr, {
+    used: true,
+    pages: [
+      { page: 2, confidence: 90, chars: notice.trim().length },
+      { page: 3, confidence: 71.5, chars: 1 },
+    ],
+    averageConfidence: 80.75,
+  });
+});
+
+test("without OCR the text layer is kept and the reason reported", () => {
+  const pages = [page(1, "12")];
+  const ocr = applyOcrResults(
+    pages,
+    ocrUnavailable([1], new Error("eng.traineddata not found"))
+  );
+
+  assert.deepEqual(pages, [page(1, "12")]);
+  assert.deepEqual(ocr, {
+    used: true,
+    pages: [
+      {
+        page: 1,
+        confidence: null,
+        chars: 0,
+        error: "OCR unavailable: eng.traineddata not found",
+      },
+    ],
+    averageConfidence: null,
+  });
+  assert.deepEqual(applyOcrResults([page(1, notice)], []), {
+    used: false,
+    pages: [],
+    averageConfidence: null,
+  });
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { auditSnapshot, diffRecord } from "../utils/recordAudit.js";
+
+const courtId = new mongoose.Types.ObjectId();
+
+test("only changed fields are kept, with their values before and after", () => {
+  const before = {
+    causeNo: "E086/2024",
+    nameOfDeceased: "John Doe",
+    statusAtGP: "Pending",
+    datePublished: null,
+    volumeNo: "",
+  };
+  const after = {
+    ...before,
+    statusAtGP: "Published",
+    datePublished: new Date("2025-09-12"),
+    volumeNo: "CXXVII-No. 180",
+  };
+  assert.deepEqual(diffRecord(before, after), [
+    { field: "statusAtGP", before: "Pending", after: "Published" },
+    { field: "datePublished", before: null, after: new Date("2025-09-12") },
+    { field: "volumeNo", before: "", after: "CXXVII-No. 180" },
+  ]);
+});
+
+test("equal dates, ids and empty values are not changes", () => {
+  const before = {
+    courtStation: courtId,
+    dateReceived: new Date("2025-08-01"),
+    rejectionReason: "",
+  };
+  const after = {
+    courtStation: new mongoose.Types.ObjectId(String(courtId)),
+    dateReceived: new Date("2025-08-01T00:00:00.000Z"),
+  };
+  assert.deepEqual(diffRecord(before, after), []);
+});
+
+test("snapshots drop derived fields and keep references as ids", () => {
+  const snapshot = auditSnapshot({
+    _id: new mongoose.Types.ObjectId(),
+    causeNo: "E086/2024",
+    causeKey: "SUCC/86/2024",
+    courtStation: { _id: courtId, name: "Milimani" },
+    forwardingLeadTime: 3,
+    slaBreach: { forwarding: false, publication: false },
+    stateHistory: [{ to: "Received" }],
+    state: "Received",
+  });
+  assert.deepEqual(snapshot, {
+    causeNo: "E086/2024",
+    courtStation: courtId,
+    state: "Received",
+  });
+});
+
+test("a created record lists every audited field it was given", () => {
+  const fields = diffRecord(
+    {},
+    { causeNo: "E1/2025", nameOfDeceased: "Jane", volumeNo: "", updatedAt: 1 }
+  ).map((c) => c.field);
+  assert.deepEqual(fields, ["causeNo", "nameOfDeceased"]);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { buildAdminRecordQuery } from "../controller/recordController.js";
+
+test("date ranges start at the from day and take in the whole to day", async () => {
+  const { query } = await buildAdminRecordQuery({
+    receivedFrom: "2025-09-01",
+    receivedTo: "2025-09-30",
+    publishedTo: "2025-10-03",
+  });
+  assert.deepEqual(query.dateReceived, {
+    $gte: new Date("2025-09-01T00:00:00Z"),
+    $lt: new Date("2025-10-01T00:00:00Z"),
+  });
+  assert.deepEqual(query.datePublished, {
+    $lt: new Date("2025-10-04T00:00:00Z"),
+  });
+  assert.equal(query.dateForwardedToGP, undefined);
+});
+
+test("an unreadable date is reported instead of ignored", async () => {
+  const { query, error } = await buildAdminRecordQuery({
+    forwardedFrom: "not a date",
+  });
+  assert.equal(query, undefined);
+  assert.match(error, /^forwardedFrom "not a date" is not a valid date/);
+});
+
+test("court, Form 60 status and lifecycle state narrow the query", async () => {
+  const court = new mongoose.Types.ObjectId().toString();
+  const { query } = await buildAdminRecordQuery({
+    court,
+    status: "Compliant",
+    state: "Forwarded to GP",
+  });
+  assert.deepEqual(query, {
+    courtStation: new mongoose.Types.ObjectId(court),
+    form60Compliance: "Compliant",
+    state: "Forwarded to GP",
+  });
+
+  assert.deepEqual((await buildAdminRecordQuery({ court: "All" })).query, {});
+  assert.deepEqual((await buildAdminRecordQuery({ court: "nope" })).query, {});
+  assert.match(
+    (await buildAdminRecordQuery({ state: "Lost" })).error,
+    /^state must be one of Received/
+  );
+});
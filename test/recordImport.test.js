@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import xlsx from "xlsx";
+import {
+  readSheet,
+  detectImportColumns,
+  sheetCells,
+  validateImportCells,
+  draftState,
+  REGISTER_COLUMNS,
+} from "../utils/recordImport.js";
+
+// Headers as they appear in the registry sheet (see matches.json)
+const HEADERS = [
+  "id",
+  "Column 1",
+  "Date On E-Citizen Receipt",
+  "Court Station",
+  "Cause No.",
+  "Name of The Deceased",
+  "Form 60 compliance",
+  "Date Received at the G.P/Returned to Station",
+  "Status at the G.P",
+  "Reason for Not Publishing",
+];
+
+const KANGEMA = { _id: "court-1", name: "KANGEMA" };
+const resolveCourt = (text) =>
+  /kangema/i.test(text) ? { court: KANGEMA } : null;
+
+test("columns are found by header wording", () => {
+  const { columns, missing } = detectImportColumns(HEADERS);
+  assert.deepEqual(missing, []);
+  assert.equal(columns.courtStation, "Court Station");
+  assert.equal(columns.nameOfDeceased, "Name of The Deceased");
+  assert.equal(
+    columns.dateReceived,
+    "Date Received at the G.P/Returned to Station"
+  );
+  assert.equal(columns.dateOfReceipt, "Date On E-Citizen Receipt");
+  assert.equal(columns.rejectionReason, undefined);
+
+  assert.deepEqual(detectImportColumns(["Cause No.", "Name"]).missing, [
+    "Court Station",
+    "Date Received",
+  ]);
+});
+
+test("a valid row resolves its court, cause key and serial dates", () => {
+  const { columns } = detectImportColumns(HEADERS);
+  const cells = sheetCells(
+    {
+      "Court Station": "Kangema Magistrates Courts",
+      "Cause No.": "E086/24",
+      "Name of The Deceased": "KARIUKI NJUGUNA",
+      "Form 60 compliance": "approved",
+      "Date Received at the G.P/Returned to Station": 45737,
+    },
+    columns
+  );
+  const { values, errors, courtName } = validateImportCells(
+    cells,
+    resolveCourt
+  );
+
+  assert.deepEqual(errors, []);
+  assert.equal(courtName, "KANGEMA");
+  assert.equal(values.courtStation, "court-1");
+  assert.equal(values.causeKey, "SUCC/86/2024");
+  assert.equal(values.form60Compliance, "Approved");
+  assert.equal(values.dateReceived.toISOString(), "2025-03-21T00:00:00.000Z");
+});
+
+test("date cells keep their day on a server outside UTC", (t) => {
+  const tz = process.env.TZ;
+  process.env.TZ = "Africa/Nairobi";
+  t.after(() => {
+    if (tz === undefined) delete process.env.TZ;
+    else process.env.TZ = tz;
+  });
+
+  // 12/03/2025 typed into Excel and saved as a date cell
+  const sheet = xlsx.utils.aoa_to_sheet([["Date Received"], [45728]]);
+  sheet.A2.z = "dd/mm/yyyy";
+  const book = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(book, sheet, "Register");
+  const buffer = xlsx.write(book, { type: "buffer", bookType: "xlsx" });
+
+  const { rows } = readSheet(buffer);
+  const { values } = validateImportCells(
+    { dateReceived: rows[0]["Date Received"] },
+    resolveCourt
+  );
+  assert.equal(values.dateReceived.toISOString(), "2025-03-12T00:00:00.000Z");
+});
+
+test("every unusable field is reported", () => {
+  const { errors, blank } = validateImportCells(
+    {
+      courtStation: "Nowhere",
+      causeNo: "E1/2025",
+      dateReceived: "someday",
+      statusAtGP: "Maybe",
+    },
+    resolveCourt
+  );
+  assert.equal(blank, false);
+  assert.deepEqual(
+    errors.map((e) => e.field),
+    ["nameOfDeceased", "dateReceived", "statusAtGP", "courtStation"]
+  );
+});
+
+test("draft state: blank, excluded, invalid, duplicate, conflict", () => {
+  assert.equal(draftState({ blank: true, excluded: true }), "blank");
+  assert.equal(draftState({ excluded: true, duplicateOf: 2 }), "excluded");
+  assert.equal(
+    draftState({ validationErrors: [{ message: "x" }], duplicateOf: 2 }),
+    "invalid"
+  );
+  const conflict = { record: 1 };
+  assert.equal(
+    draftState({ validationErrors: [], duplicateOf: 2, conflict }),
+    "duplicate"
+  );
+  assert.equal(draftState({ validationErrors: [], conflict }), "conflict");
+  assert.equal(draftState({ validationErrors: [], conflict: null }), "ready");
+});
+
+test("an exported register imports straight back", () => {
+  const { columns, missing } = detectImportColumns(
+    REGISTER_COLUMNS.map((c) => c.label)
+  );
+  assert.deepEqual(missing, []);
+  assert.deepEqual(Object.keys(columns).sort(), [
+    "causeNo",
+    "courtStation",
+    "dateForwardedToGP",
+    "dateOfReceipt",
+    "datePublished",
+    "dateReceived",
+    "form60Compliance",
+    "nameOfDeceased",
+    "rejectionReason",
+    "statusAtGP",
+    "volumeNo",
+  ]);
+});
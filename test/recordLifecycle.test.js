@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  deriveState,
+  transitionError,
+  allowedActions,
+  applyTransition,
+  setStateDirectly,
+  TransitionError,
+} from "../utils/recordLifecycle.js";
+
+test("records without a state get one from their legacy fields", () => {
+  assert.equal(deriveState({ form60Compliance: "Approved" }), "Approved");
+  assert.equal(deriveState({ form60Compliance: "Rejected" }), "Rejected");
+  assert.equal(
+    deriveState({
+      form60Compliance: "Approved",
+      dateForwardedToGP: new Date("2025-08-01"),
+      statusAtGP: "Pending",
+    }),
+    "Forwarded to GP"
+  );
+  assert.equal(
+    deriveState({ statusAtGP: "Published", datePublished: new Date() }),
+    "Published"
+  );
+  assert.equal(deriveState({ statusAtGP: "Not Published" }), "Not Published");
+  assert.equal(deriveState({}), "Received");
+});
+
+test("a Rejected record cannot be published, even from a gazette", () => {
+  assert.match(transitionError("Rejected", "publish"), /cannot be published/);
+  assert.ok(transitionError("Rejected", "publish", { via: "gazette" }));
+  assert.ok(transitionError("Approved", "publish"));
+  assert.equal(
+    transitionError("Approved", "publish", { via: "gazette" }),
+    null
+  );
+  assert.deepEqual(allowedActions("Rejected"), ["return"]);
+  assert.deepEqual(allowedActions("Forwarded to GP"), [
+    "forward",
+    "publish",
+    "notPublished",
+  ]);
+});
+
+test("a rejected record is returned, resubmitted and reviewed again", () => {
+  const record = { state: "Received" };
+  assert.throws(
+    () => applyTransition(record, "review", { decision: "Rejected" }),
+    (err) => err instanceof TransitionError && err.statusCode === 400
+  );
+
+  applyTransition(
+    record,
+    "review",
+    { decision: "Rejected", rejectionReason: "No Form 60" },
+    { by: "u1" }
+  );
+  assert.equal(record.state, "Rejected");
+  assert.equal(record.form60Compliance, "Rejected");
+  assert.equal(record.rejectionReason, "No Form 60");
+
+  applyTransition(record, "return");
+  applyTransition(record, "resubmit");
+  applyTransition(record, "review", { decision: "Approved" });
+  assert.equal(record.state, "Approved");
+  assert.equal(record.rejectionReason, "");
+  assert.deepEqual(
+    record.stateHistory.map((h) => [h.from, h.to, h.action]),
+    [
+      ["Received", "Rejected", "review"],
+      ["Rejected", "Returned to Station", "return"],
+      ["Returned to Station", "Resubmitted", "resubmit"],
+      ["Resubmitted", "Approved", "review"],
+    ]
+  );
+  assert.equal(record.stateHistory[0].by, "u1");
+});
+
+test("forwarding and publishing set the GP fields", () => {
+  const record = { state: "Approved", form60Compliance: "Approved" };
+  assert.throws(() => applyTransition(record, "publish"), TransitionError);
+
+  const forwarded = new Date("2025-08-04");
+  applyTransition(record, "forward", { date: forwarded });
+  assert.equal(record.statusAtGP, "Pending");
+  assert.equal(record.dateForwardedToGP, forwarded);
+
+  applyTransition(record, "notPublished", { note: "Missing fee" });
+  assert.equal(record.state, "Not Published");
+  assert.equal(record.statusAtGP, "Not Published");
+
+  const published = new Date("2025-09-12");
+  applyTransition(
+    record,
+    "publish",
+    { datePublished: published, volumeNo: "CXXVII-No. 180" },
+    { source: "gazette", via: "gazette" }
+  );
+  assert.equal(record.state, "Published");
+  assert.equal(record.statusAtGP, "Published");
+  assert.equal(record.datePublished, published);
+  assert.equal(record.volumeNo, "CXXVII-No. 180");
+  assert.equal(record.stateHistory.at(-1).source, "gazette");
+});
+
+test("setting a state directly skips the rules but is still logged", () => {
+  const record = { state: "Published", statusAtGP: "Pending" };
+  assert.equal(
+    setStateDirectly(record, "Forwarded to GP", { source: "rollback" }),
+    true
+  );
+  assert.equal(record.state, "Forwarded to GP");
+  assert.equal(record.stateHistory.at(-1).action, "rollback");
+
+  const legacy = { form60Compliance: "Approved" };
+  assert.equal(
+    setStateDirectly(legacy, undefined, { source: "import" }),
+    false
+  );
+  assert.equal(legacy.state, "Approved");
+  assert.equal(legacy.stateHistory, undefined);
+});
+
+test("re-publishing needs the corrected publication date", () => {
+  const published = new Date("2025-09-12");
+  const record = { state: "Published", datePublished: published };
+  assert.throws(
+    () => applyTransition(record, "publish"),
+    (err) => err instanceof TransitionError && err.statusCode === 400
+  );
+  assert.equal(record.datePublished, published);
+
+  const corrected = new Date("2025-09-19");
+  applyTransition(record, "publish", { datePublished: corrected });
+  assert.equal(record.datePublished, corrected);
+});
+
+test("non-string notes and reasons are refused cleanly, not crashed on", () => {
+  const record = { state: "Received" };
+  assert.throws(
+    () =>
+      applyTransition(record, "review", {
+        decision: "Rejected",
+        rejectionReason: null,
+      }),
+    (err) => err instanceof TransitionError && err.statusCode === 400
+  );
+  applyTransition(record, "review", { decision: "Approved", note: 5 });
+  assert.equal(record.stateHistory.at(-1).note, "5");
+});
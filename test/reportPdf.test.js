@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { summarizeRegister, registerReportPdf } from "../utils/reportPdf.js";
+
+const record = (no, court, extra = {}) => ({
+  no,
+  causeNo: `E${no}/2025`,
+  nameOfDeceased: `DECEASED NUMBER ${no}`,
+  courtStation: { name: court },
+  form60Compliance: "Approved",
+  statusAtGP: "Pending",
+  dateReceived: new Date("2025-08-04"),
+  ...extra,
+});
+
+test("register totals per court and per Form 60 status", () => {
+  const { byCourt, byStatus, total } = summarizeRegister([
+    record(1, "NYERI"),
+    record(2, "KISUMU", { form60Compliance: "Rejected" }),
+    record(3, "NYERI", {
+      dateForwardedToGP: new Date("2025-08-10"),
+      statusAtGP: "Published",
+    }),
+  ]);
+
+  assert.deepEqual(
+    byCourt.map((c) => [c.label, c.total, c.approved, c.rejected]),
+    [
+      ["KISUMU", 1, 0, 1],
+      ["NYERI", 2, 2, 0],
+    ]
+  );
+  assert.deepEqual(
+    byStatus.map((s) => [s.label, s.total, s.forwarded, s.published, s.pending]),
+    [
+      ["Approved", 2, 1, 1, 1],
+      ["Rejected", 1, 0, 0, 1],
+    ]
+  );
+  assert.equal(total.total, 3);
+  assert.equal(total.published, 1);
+});
+
+test("a long register renders as a multi-page PDF with page numbers", async () => {
+  const records = Array.from({ length: 120 }, (_, i) =>
+    record(i + 1, i % 2 ? "NYERI" : "KISUMU")
+  );
+  const pdf = await registerReportPdf({
+    title: "Monthly Report - August 2025",
+    records,
+  });
+
+  assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+  const pages = pdf.toString("latin1").match(/\/Type \/Page\b/g) || [];
+  assert.ok(pages.length > 1, `expected several pages, got ${pages.length}`);
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  periodContaining,
+  previousPeriod,
+  DEFAULT_SCHEDULES,
+  reportTitle,
+  emailRecipients,
+} from "../utils/reportScheduler.js";
+import cron from "node-cron";
+
+const day = (d) => d.toISOString().slice(0, 10);
+
+test("a run reports on the previous whole month", () => {
+  const p = previousPeriod("month", new Date("2025-09-01T04:00:00Z"));
+  assert.equal(day(p.start), "2025-08-01");
+  assert.equal(day(p.end), "2025-09-01");
+  assert.equal(p.label, "August 2025");
+
+  // January looks back into December of the year before
+  const jan = previousPeriod("month", new Date("2026-01-15T00:00:00Z"));
+  assert.equal(day(jan.start), "2025-12-01");
+  assert.equal(day(jan.end), "2026-01-01");
+});
+
+test("weeks run Monday to Sunday", () => {
+  // Wednesday 6 August 2025
+  const p = periodContaining("week", new Date("2025-08-06T10:00:00Z"));
+  assert.equal(day(p.start), "2025-08-04");
+  assert.equal(day(p.end), "2025-08-11");
+  assert.equal(p.label, "Week 04/08/2025 – 10/08/2025");
+
+  // A Sunday belongs to the week that started six days earlier
+  const sunday = periodContaining("week", new Date("2025-08-10T23:00:00Z"));
+  assert.equal(day(sunday.start), "2025-08-04");
+
+  // The Monday run reports on the week just ended, across a month end
+  const prev = previousPeriod("week", new Date("2025-09-01T04:00:00Z"));
+  assert.equal(day(prev.start), "2025-08-25");
+  assert.equal(day(prev.end), "2025-09-01");
+});
+
+test("default schedules have valid cron expressions", () => {
+  for (const s of DEFAULT_SCHEDULES) assert.ok(cron.validate(s.cron), s.key);
+});
+
+test("report titles follow the schedule's period", () => {
+  const on = new Date("2025-09-10T08:00:00Z");
+  const title = (period) =>
+    reportTitle({ period }, periodContaining(period, on));
+  assert.equal(title("month"), "Monthly Report - September 2025");
+  assert.equal(title("week"), "Weekly Report - 08/09/2025 – 14/09/2025");
+  assert.equal(title("day"), "Daily Report - 10/09/2025");
+});
+
+test("blank and repeated addresses are dropped from recipients", () => {
+  assert.deepEqual(
+    emailRecipients([
+      undefined,
+      "a@court.go.ke",
+      "",
+      "b@x.ke",
+      "a@court.go.ke",
+    ]),
+    { to: "a@court.go.ke", cc: ["b@x.ke"] }
+  );
+  assert.deepEqual(emailRecipients([null, " "]), { to: undefined, cc: [] });
+});
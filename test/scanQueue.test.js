@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_ATTEMPTS,
+  STALE_LOCK_MS,
+  attemptStatus,
+  claimableJobFilter,
+} from "../utils/scanQueue.js";
+
+test("workers take queued jobs and running ones with a stale lock", () => {
+  const now = new Date("2025-10-03T09:00:00Z");
+  assert.deepEqual(claimableJobFilter(now), {
+    $or: [
+      { status: "Queued" },
+      {
+        status: "Running",
+        lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) },
+      },
+    ],
+  });
+});
+
+test("a job runs MAX_ATTEMPTS times and is then given up", () => {
+  assert.equal(attemptStatus(MAX_ATTEMPTS - 1), "retryable");
+  assert.equal(attemptStatus(MAX_ATTEMPTS), "last");
+  // Reclaimed from a worker that died on its last attempt
+  assert.equal(attemptStatus(MAX_ATTEMPTS + 1), "exhausted");
+});
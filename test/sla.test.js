@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  resolveSlaDays,
+  overdueDetails,
+  slaBreachQuery,
+  DEFAULT_SLA,
+} from "../utils/sla.js";
+
+const now = new Date("2025-09-30T12:00:00Z");
+
+test("court level limits override global ones, field by field", () => {
+  const settings = [
+    { scope: "global", forwardingDays: 10, publicationDays: 21 },
+    { scope: "Kadhi Court", forwardingDays: 5, publicationDays: null },
+  ];
+  assert.deepEqual(resolveSlaDays(settings, "Kadhi Court"), {
+    forwardingDays: 5,
+    publicationDays: 21,
+  });
+  assert.deepEqual(resolveSlaDays(settings, "High Court"), {
+    forwardingDays: 10,
+    publicationDays: 21,
+  });
+  assert.deepEqual(resolveSlaDays([], "High Court"), DEFAULT_SLA);
+});
+
+test("records still waiting past a limit are overdue", () => {
+  const days = { forwardingDays: 14, publicationDays: 30 };
+
+  // Received 20 days ago, never forwarded
+  const received = { dateReceived: new Date("2025-09-10T12:00:00Z") };
+  assert.deepEqual(
+    overdueDetails(received, days, now),
+    [{ stage: "forwarding", limitDays: 14, daysWaiting: 20, daysOverdue: 6 }]
+  );
+  // Rejected Form 60s are not due for forwarding
+  assert.deepEqual(
+    overdueDetails(
+      {
+        dateReceived: new Date("2025-09-10T12:00:00Z"),
+        form60Compliance: "Rejected",
+      },
+      days,
+      now
+    ),
+    []
+  );
+  // Forwarded 40 days ago, still Pending at GP
+  const [pending] = overdueDetails(
+    {
+      dateReceived: new Date("2025-08-01T00:00:00Z"),
+      dateForwardedToGP: new Date("2025-08-21T12:00:00Z"),
+      statusAtGP: "Pending",
+    },
+    days,
+    now
+  );
+  assert.equal(pending.stage, "publication");
+  assert.equal(pending.daysOverdue, 10);
+  // Published: nothing left waiting
+  assert.deepEqual(
+    overdueDetails(
+      {
+        dateReceived: new Date("2025-08-01T00:00:00Z"),
+        dateForwardedToGP: new Date("2025-08-02T00:00:00Z"),
+        statusAtGP: "Published",
+      },
+      days,
+      now
+    ),
+    []
+  );
+});
+
+test("breach queries cut off at the limit", () => {
+  const open = slaBreachQuery("publication", 30, { now, open: true });
+  assert.equal(open.statusAtGP, "Pending");
+  assert.equal(
+    open.dateForwardedToGP.$lt.toISOString(),
+    "2025-08-31T12:00:00.000Z"
+  );
+  // Without `open`, late publications count too
+  assert.equal(slaBreachQuery("publication", 30, { now }).$or.length, 2);
+});
@@ -0,0 +1,73 @@
+import { expandYear } from "./dateInput.js";
+
+// Cause types the registry deals with, keyed by their canonical code
+export const CAUSE_TYPES = {
+  SUCC: "Succession",
+  MISC: "Miscellaneous",
+  CIT: "Citation",
+};
+
+// Checked in order; anything unmarked is a succession (P&A) cause
+const TYPE_PATTERNS = [
+  ["MISC", /\bMISC/],
+  ["CIT", /\bCIT(ATION)?\b/],
+  ["SUCC", /\b(SUCC|SUCCESSION|P\s*&\s*A|P\s*AND\s*A)\b/],
+];
+
+// Two-digit years pivot on a fixed year, not the clock, so a stored
+// causeKey never changes: "00".."50" are 20yy, "51".."99" 19yy
+const CAUSE_YEAR_PIVOT = new Date(Date.UTC(2049, 0, 1));
+
+// Optional "E" (e-filing) prefix, serial, separator and year:
+// "E086/24", "E 86 OF 2024", "86-2024"
+const SERIAL_YEAR =
+  /(?:\b(E)\s*)?0*(\d{1,6})\s*(?:\/|\bOF\b|-)\s*(\d{4}|\d{2})(?!\d)/g;
+
+/**
+ * Break a free-text cause number into its parts.
+ * "E086/24", "E86 of 2024" and "Succ. Cause No. 86 of 2024" all parse to
+ * serial 86, year 2024, type SUCC.
+ * @param {string} raw
+ * @returns {{ prefix: string, serial: number, year: number, type: string, key: string } | null}
+ *   null when no serial/year pair can be found
+ */
+export const parseCauseNo = (raw = "") => {
+  const text = String(raw ?? "")
+    .toUpperCase()
+    .replace(/\s+/g, " ")
+    .trim();
+  const matches = [...text.matchAll(SERIAL_YEAR)];
+  if (!matches.length) return null;
+
+  // The last pair wins: "No. 12 ... 86/2024" refers to cause 86/2024
+  const match = matches[matches.length - 1];
+  const [, prefix = "", serial, yy] = match;
+  const before = text.slice(0, match.index);
+  const type =
+    TYPE_PATTERNS.find(([, pattern]) => pattern.test(before))?.[0] || "SUCC";
+
+  const parts = {
+    prefix,
+    serial: Number(serial),
+    year: expandYear(yy, CAUSE_YEAR_PIVOT),
+    type,
+  };
+  return { ...parts, key: `${parts.type}/${parts.serial}/${parts.year}` };
+};
+
+/**
+ * Canonical key stored on Record.causeKey and used for uniqueness, search
+ * and gazette matching. Causes that cannot be parsed fall back to their
+ * alphanumeric characters so they still dedupe against identical entries.
+ * @param {string} raw
+ * @returns {string} empty string for blank input
+ */
+export const canonicalCauseKey = (raw = "") => {
+  const parsed = parseCauseNo(raw);
+  if (parsed) return parsed.key;
+
+  const compact = String(raw ?? "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+  return compact ? `RAW/${compact}` : "";
+};
@@ -0,0 +1,239 @@
+import stringSimilarity from "string-similarity";
+import Court from "../models/Court.js";
+import UnresolvedCourtHeading from "../models/UnresolvedCourtHeading.js";
+import { COURT_MAP } from "../stationMap/COURT_MAP.js";
+
+// Minimum Dice similarity for the fuzzy fallback
+export const FUZZY_THRESHOLD = 0.85;
+
+// Words that describe the kind of court rather than where it sits
+const GENERIC_WORDS = new Set([
+  "IN",
+  "THE",
+  "OF",
+  "AT",
+  "KENYA",
+  "REPUBLIC",
+  "HIGH",
+  "LAW",
+  "COURT",
+  "COURTS",
+  "H",
+  "C",
+  "HC",
+  "CHIEF",
+  "SENIOR",
+  "PRINCIPAL",
+  "RESIDENT",
+  "MAGISTRATE",
+  "MAGISTRATES",
+  "SUB",
+  "REGISTRY",
+  "KADHI",
+  "KADHIS",
+  "CHILDREN",
+  "CHILDRENS",
+  "FAMILY",
+  "DIVISION",
+]);
+
+/**
+ * Uppercase, strip apostrophes/punctuation and collapse spaces.
+ * "Murang’a Law Court" -> "MURANGA LAW COURT"
+ * @param {string} s
+ * @returns {string}
+ */
+export const normalizeCourtName = (s = "") =>
+  String(s ?? "")
+    .toUpperCase()
+    .replace(/[’'`]/g, "")
+    .replace(/[^A-Z0-9]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * The place part of a court name with spaces removed, so "HOMA BAY" and
+ * "HOMABAY HIGH COURT" share the key "HOMABAY".
+ * @param {string} s
+ * @returns {string}
+ */
+export const townKey = (s = "") =>
+  normalizeCourtName(s)
+    .split(" ")
+    .filter((w) => w && !GENERIC_WORDS.has(w))
+    .join("");
+
+/**
+ * Court level implied by the wording, or null when the text does not say.
+ * @param {string} s
+ * @returns {string|null} one of Court.level's enum values
+ */
+export const levelHint = (s = "") => {
+  const n = normalizeCourtName(s);
+  if (/\bKADHIS?\b/.test(n)) return "Kadhi Court";
+  if (/\bCHILDRENS?\b/.test(n)) return "Children’s Court";
+  if (/\b(HIGH COURT|H C|HC)\b/.test(n)) return "High Court";
+  if (/\b(MAGISTRATES?|LAW COURTS?)\b/.test(n)) return "Law Courts";
+  return null;
+};
+
+/**
+ * Aliases COURT_MAP gives for a stored Court name (the spreadsheet label).
+ * @param {string} courtName
+ * @returns {string[]} normalized aliases
+ */
+export const courtMapAliases = (courtName = "") => {
+  const target = normalizeCourtName(courtName);
+  return Object.entries(COURT_MAP)
+    .filter(([key]) => normalizeCourtName(key) === target)
+    .map(([, label]) => normalizeCourtName(label));
+};
+
+const pickByLevel = (courts, level) => {
+  if (courts.length === 1) return courts[0];
+  if (!level) return null;
+  const atLevel = courts.filter((c) => c.level === level);
+  return atLevel.length === 1 ? atLevel[0] : null;
+};
+
+/**
+ * Upsert headings no Court was found for, bumping their occurrence count.
+ * @param {Array<{ heading: string, sample: string, count: number }>} misses
+ * @param {"gazette"|"import"} source
+ * @returns {Promise<number>} number of distinct headings saved
+ */
+export const saveUnresolvedHeadings = async (
+  misses = [],
+  source = "gazette"
+) => {
+  if (!misses.length) return 0;
+  await UnresolvedCourtHeading.bulkWrite(
+    misses.map((m) => ({
+      updateOne: {
+        filter: { heading: m.heading, source },
+        update: {
+          $set: { sample: m.sample, lastSeenAt: new Date() },
+          $inc: { occurrences: m.count },
+        },
+        upsert: true,
+      },
+    }))
+  );
+  return misses.length;
+};
+
+/**
+ * Resolver over a given list of Courts; createCourtResolver loads them.
+ *
+ * Resolution order:
+ *  1. exact name or stored alias
+ *  2. same town, disambiguated by the level the text implies
+ *  3. fuzzy match on names, aliases and town keys
+ *
+ * @param {Object[]} courts - { _id, name, level, aliases }
+ * @param {Object} [options]
+ * @param {string} [options.defaultLevel] - level to assume when the text has none
+ * @returns {{ resolve: Function, unresolved: Function, forget: Function }}
+ */
+export const courtResolverFor = (
+  courts = [],
+  { defaultLevel = null } = {}
+) => {
+  const entries = courts.map((court) => ({
+    court,
+    names: [court.name, ...(court.aliases || [])].map(normalizeCourtName),
+    town: townKey(court.name),
+  }));
+
+  const misses = new Map();
+
+  const resolve = (text = "") => {
+    const normalized = normalizeCourtName(text);
+    if (!normalized) return null;
+    const level = levelHint(text) || defaultLevel;
+
+    // 1️⃣ exact name / alias
+    const exact = entries.filter((e) => e.names.includes(normalized));
+    const exactPick = pickByLevel(
+      exact.map((e) => e.court),
+      level
+    );
+    if (exactPick) return { court: exactPick, method: "alias", score: 1 };
+
+    // 2️⃣ same town
+    const town = townKey(text);
+    if (town) {
+      const sameTown = entries.filter(
+        (e) =>
+          e.town === town || e.names.some((n) => n.replace(/ /g, "") === town)
+      );
+      const townPick = pickByLevel(
+        sameTown.map((e) => e.court),
+        level
+      );
+      if (townPick) return { court: townPick, method: "town", score: 1 };
+    }
+
+    // 3️⃣ fuzzy fallback (a tie between two courts is not a match)
+    const compact = town || normalized.replace(/ /g, "");
+    let best = null;
+    let tied = false;
+    for (const e of entries) {
+      if (level && e.court.level !== level) continue;
+      const keys = [e.town, ...e.names.map((n) => n.replace(/ /g, ""))];
+      const score = Math.max(
+        ...keys.map((k) => stringSimilarity.compareTwoStrings(compact, k))
+      );
+      if (score < FUZZY_THRESHOLD || (best && score < best.score)) continue;
+      tied = Boolean(best) && score === best.score;
+      if (!tied) {
+        best = {
+          court: e.court,
+          method: "fuzzy",
+          score: Number(score.toFixed(4)),
+        };
+      }
+    }
+    if (best && !tied) return best;
+
+    const miss = misses.get(normalized) || {
+      heading: normalized,
+      sample: String(text).trim(),
+      count: 0,
+    };
+    miss.count += 1;
+    misses.set(normalized, miss);
+    return null;
+  };
+
+  // Headings seen so far that did not resolve
+  const unresolved = () => [...misses.values()];
+
+  return { resolve, unresolved, forget: () => misses.clear() };
+};
+
+/**
+ * Build a resolver over the current Court collection. Load once per scan or
+ * import and call `resolve` for every heading / "Court Station" value.
+ * @param {Object} [options]
+ * @param {"gazette"|"import"} [options.source] - recorded on unresolved headings
+ * @param {string} [options.defaultLevel] - level to assume when the text has none
+ */
+export const createCourtResolver = async ({
+  source = "gazette",
+  defaultLevel = null,
+} = {}) => {
+  const courts = await Court.find({}).select("_id name level aliases").lean();
+  const { resolve, unresolved, forget } = courtResolverFor(courts, {
+    defaultLevel,
+  });
+
+  // Persist the headings that did not resolve so admins can map them
+  const flushUnresolved = async () => {
+    const count = await saveUnresolvedHeadings(unresolved(), source);
+    forget();
+    return count;
+  };
+
+  return { resolve, unresolved, flushUnresolved };
+};
@@ -0,0 +1,172 @@
+/*
+ * Dates as people and spreadsheets type them, turned into UTC-midnight
+ * Dates. Used by every Record input path (createRecord, updateRecord, the
+ * bulk forwarding update and spreadsheet imports) so an unreadable value is
+ * rejected instead of being stored as Invalid Date.
+ *
+ * Accepted: Excel serial numbers (45728), dd/mm/yyyy, d-m-yyyy, dd.mm.yy,
+ * yyyy-mm-dd (and full ISO timestamps), "19th July, 2002", "19-Jul-2025",
+ * "July 19, 2002". Where day and month could be either way round the
+ * Kenyan day-first reading wins; "04/25/2025" only parses month-first
+ * because 25 cannot be a month.
+ */
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// Excel day 0 (serials count from 1899-12-30 because of the 1900 leap bug)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Serials outside this range (1927–2173) are more likely typos than dates
+export const MIN_EXCEL_SERIAL = 10000;
+export const MAX_EXCEL_SERIAL = 99999;
+
+export const DATE_FORMAT_HINT = "dd/mm/yyyy";
+
+// A real calendar date, or null ("31/02/2025" is not one)
+const utcDate = (year, month, day) => {
+  if (!(month >= 1 && month <= 12 && day >= 1 && day <= 31)) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? date
+    : null;
+};
+
+/**
+ * A year as typed -> four digits. Two-digit years pivot on the current
+ * year: up to next year they are 20yy, later ones 19yy ("99" is 1999).
+ * Cause numbers (utils/causeNumber.js) pass a fixed `now` instead.
+ * @param {string|number} y
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const expandYear = (y, now = new Date()) => {
+  const year = Number(y);
+  if (String(y).length > 2) return year;
+  return year <= (now.getUTCFullYear() % 100) + 1 ? 2000 + year : 1900 + year;
+};
+
+const monthIndex = (name = "") =>
+  MONTHS.indexOf(String(name).slice(0, 3).toLowerCase()) + 1;
+
+/**
+ * Excel serial day number -> Date (UTC midnight); the time part is dropped.
+ * @param {number} serial
+ * @returns {Date|null} null outside MIN_EXCEL_SERIAL..MAX_EXCEL_SERIAL
+ */
+export const excelSerialToDate = (serial) => {
+  const n = Number(serial);
+  if (!Number.isFinite(n) || n < MIN_EXCEL_SERIAL || n > MAX_EXCEL_SERIAL) {
+    return null;
+  }
+  return new Date(EXCEL_EPOCH + Math.floor(n) * DAY_MS);
+};
+
+/**
+ * Parse one date value from a form, an API body or a spreadsheet cell.
+ * @param {Date|number|string} value
+ * @returns {Date|null} null when the value is not a recognisable date
+ */
+export const parseDateInput = (value) => {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (typeof value === "number") return excelSerialToDate(value);
+
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+
+  // 45728 / 45728.5
+  if (/^\d{5}(\.\d+)?$/.test(text)) return excelSerialToDate(Number(text));
+
+  // 2025-03-10, optionally with a time
+  let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:$|[T\s])/);
+  if (m) {
+    if (text.length > 10) {
+      const stamp = new Date(text);
+      return isNaN(stamp) ? null : stamp;
+    }
+    return utcDate(Number(m[1]), Number(m[2]), Number(m[3]));
+  }
+
+  // 10/03/2025, 10-3-2025, 10.03.25 — day first unless it cannot be
+  m = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (m) {
+    const [a, b, year] = [Number(m[1]), Number(m[2]), expandYear(m[3])];
+    return utcDate(year, b, a) || (b > 12 ? utcDate(year, a, b) : null);
+  }
+
+  // 19th July, 2002 / 19-Jul-2025 / 19 Jul 25
+  m = text.match(
+    /^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([A-Za-z]{3,9})\.?,?[\s-]+(\d{2}|\d{4})$/
+  );
+  if (m && monthIndex(m[2])) {
+    return utcDate(expandYear(m[3]), monthIndex(m[2]), Number(m[1]));
+  }
+
+  // July 19, 2002
+  m = text.match(
+    /^([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/
+  );
+  if (m && monthIndex(m[1])) {
+    return utcDate(Number(m[3]), monthIndex(m[1]), Number(m[2]));
+  }
+
+  return null;
+};
+
+/**
+ * Parse the date fields present in an input object. Absent fields are left
+ * out, empty ones become null (clearing the date), unreadable ones are
+ * reported per field.
+ * @param {Object} input - e.g. req.body or an import row's values
+ * @param {Object<string, string>} fields - field -> label for messages
+ * @returns {{ values: Object<string, Date|null>, errors: Array<{ field: string, message: string }> }}
+ */
+export const normalizeDateFields = (input = {}, fields = {}) => {
+  const values = {};
+  const errors = [];
+  for (const [field, label] of Object.entries(fields)) {
+    const raw = input[field];
+    if (raw === undefined) continue;
+    if (raw === null || String(raw).trim() === "") {
+      values[field] = null;
+      continue;
+    }
+    const date = parseDateInput(raw);
+    if (date) values[field] = date;
+    else {
+      errors.push({
+        field,
+        message: `${label} "${raw}" is not a valid date (use ${DATE_FORMAT_HINT})`,
+      });
+    }
+  }
+  return { values, errors };
+};
+
+/**
+ * Date -> "dd/mm/yyyy", the way the registry writes dates (UTC day).
+ * @param {Date|string|null} value
+ * @returns {string} "" for no date
+ */
+export const formatDateDMY = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  if (isNaN(date)) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  const day = pad(date.getUTCDate());
+  const month = pad(date.getUTCMonth() + 1);
+  return `${day}/${month}/${date.getUTCFullYear()}`;
+};
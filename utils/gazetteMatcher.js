@@ -0,0 +1,220 @@
+import { tokenizeName, jaccard } from "./normalize.js";
+import { parseCauseNo, canonicalCauseKey } from "./causeNumber.js";
+
+// Score cut-offs used to turn a numeric score into a confidence level
+export const MATCH_THRESHOLDS = {
+  strong: 0.8,
+  weak: 0.5,
+};
+
+// Bonus added to the name score when the key fields agree
+const CAUSE_BONUS = 0.15;
+const COURT_BONUS = 0.1;
+
+const nameTokens = (name = "") => tokenizeName(name).split(" ").filter(Boolean);
+
+export const escapeRegex = (s = "") =>
+  String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Similarity of two deceased names in the range 0..1.
+ * Word order and titles ("the late", "Mr") are ignored. A name that is fully
+ * contained in the other (e.g. an extra middle name) still scores high.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const nameSimilarity = (a = "", b = "") => {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  if (!tokensA.length || !tokensB.length) return 0;
+
+  // Same words in any order (tokenizeName sorts them)
+  if (tokensA.join(" ") === tokensB.join(" ")) return 1;
+
+  const overlap = jaccard(tokensA, tokensB);
+
+  // Containment only counts when the shorter name has at least two tokens,
+  // otherwise a lone first name would match everybody sharing it.
+  const shorter = tokensA.length <= tokensB.length ? tokensA : tokensB;
+  const longer = new Set(shorter === tokensA ? tokensB : tokensA);
+  const shared = shorter.filter((t) => longer.has(t)).length;
+  const containment = shorter.length >= 2 ? (shared / shorter.length) * 0.9 : 0;
+
+  return Math.max(overlap, containment);
+};
+
+/**
+ * Map a numeric score to a confidence level.
+ * @param {number} score
+ * @param {number} nameScore
+ * @returns {"exact"|"strong"|"weak"|"none"}
+ */
+export const confidenceFor = (score, nameScore) => {
+  if (nameScore === 1) return "exact";
+  if (score >= MATCH_THRESHOLDS.strong) return "strong";
+  if (score >= MATCH_THRESHOLDS.weak) return "weak";
+  return "none";
+};
+
+/**
+ * Score a DB Record against a case extracted from the gazette.
+ * @param {Object} gazetteCase - { nameOfDeceased, causeNo, courtStation }
+ * @param {Object} record - Record document (lean or hydrated)
+ * @returns {{ score: number, nameScore: number, causeAgrees: boolean, courtAgrees: boolean, confidence: string }}
+ */
+export const scoreCandidate = (gazetteCase, record) => {
+  const nameScore = nameSimilarity(
+    gazetteCase.nameOfDeceased,
+    record.nameOfDeceased
+  );
+
+  // Only a parsed gazette cause counts; "N/A" placeholders never agree
+  const causeA = parseCauseNo(gazetteCase.causeNo)?.key;
+  const causeB = record.causeKey || canonicalCauseKey(record.causeNo);
+  const causeAgrees = Boolean(causeA) && causeA === causeB;
+
+  const courtA = gazetteCase.courtStation?.toString();
+  const courtB = (record.courtStation?._id || record.courtStation)?.toString();
+  const courtAgrees = Boolean(courtA) && courtA === courtB;
+
+  // Key fields only strengthen a name that already resembles the record
+  const bonus =
+    nameScore > 0
+      ? (causeAgrees ? CAUSE_BONUS : 0) + (courtAgrees ? COURT_BONUS : 0)
+      : 0;
+  const score = Math.min(1, Number((nameScore + bonus).toFixed(4)));
+
+  return {
+    score,
+    nameScore: Number(nameScore.toFixed(4)),
+    causeAgrees,
+    courtAgrees,
+    confidence: confidenceFor(score, nameScore),
+  };
+};
+
+/**
+ * Whether a scored candidate agrees on the composite key (cause number +
+ * court station). An unresolved gazette court cannot disagree.
+ * @param {Object} gazetteCase
+ * @param {ReturnType<typeof scoreCandidate>} scored
+ * @returns {boolean}
+ */
+export const keyAgrees = (gazetteCase, scored) =>
+  scored.causeAgrees && (scored.courtAgrees || !gazetteCase.courtStation);
+
+/**
+ * Which fields of a gazette case agreed with the Record.
+ * @param {ReturnType<typeof scoreCandidate>} scored
+ * @returns {string[]} subset of ["causeNo", "courtStation", "name"]
+ */
+export const matchedFields = (scored) =>
+  [
+    scored.causeAgrees && "causeNo",
+    scored.courtAgrees && "courtStation",
+    scored.nameScore >= MATCH_THRESHOLDS.weak && "name",
+  ].filter(Boolean);
+
+/**
+ * Rank candidate Records for a gazette case, best first.
+ * Candidates agreeing on the composite key outrank name-only lookalikes.
+ * @param {Object} gazetteCase
+ * @param {Object[]} records
+ * @returns {Array<{ record: Object, keyAgrees: boolean, matchedOn: string[] } & ReturnType<typeof scoreCandidate>>}
+ */
+export const rankCandidates = (gazetteCase, records = []) =>
+  records
+    .map((record) => {
+      const scored = scoreCandidate(gazetteCase, record);
+      return {
+        record,
+        ...scored,
+        keyAgrees: keyAgrees(gazetteCase, scored),
+        matchedOn: matchedFields(scored),
+      };
+    })
+    .filter((c) => c.causeAgrees || c.confidence !== "none")
+    .sort(
+      (a, b) => Number(b.keyAgrees) - Number(a.keyAgrees) || b.score - a.score
+    );
+
+/**
+ * Decide what the scanner should do with a ranked candidate list.
+ * The composite key finds the Record; the name only confirms it.
+ *  - "auto":   one Record agrees on the key and its name confirms
+ *  - "review": key hit with a different name, several key hits, or a
+ *              name-only lookalike
+ *  - "none":   nothing resembled the gazette case
+ * @param {ReturnType<typeof rankCandidates>} ranked
+ * @returns {{ action: "auto"|"review"|"none", reason: string|null }}
+ */
+export const classifyMatch = (ranked = []) => {
+  const [best] = ranked;
+  if (!best) return { action: "none", reason: null };
+
+  if (best.keyAgrees) {
+    const confirmed = ranked.filter(
+      (c) => c.keyAgrees && c.nameScore >= MATCH_THRESHOLDS.weak
+    );
+    if (confirmed.length > 1) return { action: "review", reason: "ambiguous" };
+    if (!confirmed.length) return { action: "review", reason: "name_mismatch" };
+    return { action: "auto", reason: null };
+  }
+
+  return { action: "review", reason: "name_only" };
+};
+
+// Most name-only lookalikes fetched per gazette case
+export const NAME_CANDIDATE_LIMIT = 50;
+
+/**
+ * Mongo filters for the Records a gazette case could be: `keyQuery` for the
+ * same cause number (within the resolved court, if any) and `nameQuery` for
+ * Records sharing at least one name token.
+ * @param {Object} gazetteCase - { nameOfDeceased, causeNo, courtStation }
+ * @returns {{ keyQuery: Object|null, nameQuery: Object|null }}
+ */
+export const buildCandidateQueries = (gazetteCase = {}) => {
+  const causeKey = parseCauseNo(gazetteCase.causeNo)?.key;
+  const keyQuery = causeKey
+    ? {
+        causeKey,
+        ...(gazetteCase.courtStation && {
+          courtStation: gazetteCase.courtStation,
+        }),
+      }
+    : null;
+
+  const nameClauses = nameTokens(gazetteCase.nameOfDeceased)
+    .filter((t) => t.length >= 3)
+    .map((t) => ({
+      nameOfDeceased: { $regex: `\\b${escapeRegex(t)}\\b`, $options: "i" },
+    }));
+
+  return {
+    keyQuery,
+    nameQuery: nameClauses.length ? { $or: nameClauses } : null,
+  };
+};
+
+/**
+ * Records to rank for a gazette case. Every composite-key hit is fetched;
+ * common names only add up to NAME_CANDIDATE_LIMIT lookalikes, so a name
+ * shared by hundreds of Records never crowds out the key match.
+ * @param {Object} gazetteCase
+ * @param {import("mongoose").Model} Model - the Record model
+ * @returns {Promise<Object[]>} lean Records, key hits first
+ */
+export const findCandidates = async (gazetteCase, Model) => {
+  const { keyQuery, nameQuery } = buildCandidateQueries(gazetteCase);
+  const keyHits = keyQuery ? await Model.find(keyQuery).lean() : [];
+  if (!nameQuery) return keyHits;
+
+  const seen = keyHits.map((r) => r._id);
+  const lookalikes = await Model.find({ ...nameQuery, _id: { $nin: seen } })
+    .limit(NAME_CANDIDATE_LIMIT)
+    .lean();
+  const ids = new Set(seen.map(String));
+  return [...keyHits, ...lookalikes.filter((r) => !ids.has(String(r._id)))];
+};
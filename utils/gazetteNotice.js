@@ -0,0 +1,169 @@
+/*
+ * Field extraction for a single probate notice. Works on whitespace-
+ * collapsed text, one "CAUSE NO. ..." block at a time:
+ *
+ *   CAUSE NO. E429 OF 2025 By (1) Njeri Catherine Mutuku and (2) Martin
+ *   Maina Mutuku, both of P.O. Box 360–00100, Nairobi in Kenya, the
+ *   deceased’s widow and son, respectively, ... to the estate of John
+ *   Mutugi Mutuku, late of Starehe, who died at Mater Hospital in Kenya,
+ *   on 14th December, 2023.
+ */
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+// Notice fields carried on Gazette cases and reviews alongside the cause
+export const NOTICE_FIELDS = [
+  "noticeNo",
+  "objectionPeriodDays",
+  "page",
+  "petitioners",
+  "residence",
+  "placeOfDeath",
+  "dateOfDeath",
+  "dateOfDeathText",
+  "snippet",
+];
+
+// Longest snippet kept per case for auditing
+export const SNIPPET_MAX_CHARS = 1200;
+
+const LONG_DATE =
+  /(\d{1,2})(?:st|nd|rd|th)?\s+(January|February|March|April|May|June|July|August|September|October|November|December),?\s+(\d{4})/i;
+
+/**
+ * "14th December, 2023" -> Date (UTC midnight), or null.
+ * @param {string} text
+ * @returns {Date|null}
+ */
+export const parseLongDate = (text = "") => {
+  const m = String(text).match(LONG_DATE);
+  if (!m) return null;
+  const date = new Date(
+    Date.UTC(Number(m[3]), MONTHS.indexOf(m[2].toLowerCase()), Number(m[1]))
+  );
+  return Number(date.getUTCDate()) === Number(m[1]) ? date : null;
+};
+
+const tidy = (s = "") =>
+  s
+    .replace(/\s+/g, " ")
+    .replace(/\s+,/g, ",")
+    .trim();
+
+/**
+ * "(1) A B and (2) C D" -> ["A B", "C D"]; "A B" -> ["A B"].
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const splitPetitionerNames = (text = "") => {
+  const numbered = text.split(/\(\d+\)/).slice(1);
+  const parts = numbered.length ? numbered : [text];
+  return parts
+    .map((p) => tidy(p.replace(/^\s*(and|,)\s*|\s*(,|and)\s*$/gi, "")))
+    .filter(Boolean);
+};
+
+/**
+ * Petitioners with their relationship to the deceased, when the notice
+ * says it. "the deceased’s widow and son, respectively" is paired up in
+ * order; a shared description ("the deceased’s children") goes on everyone.
+ * @param {string} block
+ * @returns {Array<{ name: string, relationship: string|null }>}
+ */
+export const parsePetitioners = (block = "") => {
+  const head = block.split(/\bfor\s+a\s+grant\b/i)[0];
+  const byMatch = head.match(
+    /\bBy\s+(.+?)(?=,\s*(?:(?:all|both)\s+)?of\s|,\s*the\s|,\s*through\b|$)/i
+  );
+  if (!byMatch) return [];
+  const names = splitPetitionerNames(byMatch[1]);
+
+  const relMatch = head
+    .slice(byMatch.index + byMatch[0].length)
+    .match(/,\s*the\s+(.+?)(,\s*respectively)?(?=,\s*through\b|,?\s*$)/i);
+  const phrase = relMatch
+    ? tidy(relMatch[1].replace(/^deceased[’']s\s+/i, ""))
+    : null;
+
+  let relationships = names.map(() => phrase);
+  if (phrase && relMatch[2]) {
+    const each = phrase.split(/\s*,\s*|\s+and\s+/).filter(Boolean);
+    relationships =
+      each.length === names.length ? each : names.map(() => phrase);
+  }
+
+  return names.map((name, i) => ({ name, relationship: relationships[i] }));
+};
+
+/**
+ * Everything a single cause block says about the notice.
+ * @param {string} block - one "CAUSE NO. ..." block
+ * @returns {{
+ *   petitioners: Array<{ name: string, relationship: string|null }>,
+ *   residence: string|null,
+ *   placeOfDeath: string|null,
+ *   dateOfDeath: Date|null,
+ *   dateOfDeathText: string|null,
+ *   snippet: string
+ * }}
+ */
+export const parseNoticeBlock = (block = "") => {
+  // The closing boilerplate belongs to the notice, not to this cause
+  const body = tidy(block.split(/\bThe\s+Court\s+will\s+proceed\b/i)[0]);
+
+  const residence =
+    body.match(/\blate\s+of\s+(.+?),?\s+(?=who\s+died\b)/i)?.[1] || null;
+  const died = body.match(/\bwho\s+died\b(.*?)(?:\.\s*$|$)/i)?.[1] || "";
+  const placeOfDeath =
+    died.match(
+      /^\s*(?:at|in)\s+(.+?)(?=,?\s+on\s+\d|,?\s+in\s+\d{4}|\.?\s*$)/i
+    )?.[1] || null;
+  const dateOfDeathText =
+    died.match(LONG_DATE)?.[0] || died.match(/\bin\s+(\d{4})\b/)?.[1] || null;
+
+  return {
+    petitioners: parsePetitioners(body),
+    residence: residence ? tidy(residence.replace(/,$/, "")) : null,
+    placeOfDeath: placeOfDeath ? tidy(placeOfDeath) : null,
+    dateOfDeath: parseLongDate(dateOfDeathText || ""),
+    dateOfDeathText,
+    snippet: body.slice(0, SNIPPET_MAX_CHARS),
+  };
+};
+
+/**
+ * Days allowed for objections: "within thirty (30) days" -> 30.
+ * @param {string} text - the whole notice
+ * @returns {number|null}
+ */
+export const parseObjectionPeriod = (text = "") => {
+  const m = String(text).match(
+    /\bwithin\s+[a-z\s-]*?\(?(\d{1,3})\)?\s*days\b/i
+  );
+  return m ? Number(m[1]) : null;
+};
+
+/**
+ * Gazette notice number printed just before a court heading.
+ * @param {string} text
+ * @param {number} headingIndex - offset of "IN THE HIGH COURT ..."
+ * @returns {string|null}
+ */
+export const noticeNumberBefore = (text, headingIndex) => {
+  const lead = text.slice(Math.max(0, headingIndex - 200), headingIndex);
+  const all = [...lead.matchAll(/GAZETTE\s+NOTICE\s+NO\.?\s*(\d+)/gi)];
+  return all.length ? all[all.length - 1][1] : null;
+};
@@ -0,0 +1,245 @@
+import {
+  parseLongDate,
+  parseNoticeBlock,
+  parseObjectionPeriod,
+  noticeNumberBefore,
+} from "./gazetteNotice.js";
+
+/*
+ * Pure gazette parsing: page text in, metadata and cases out. No database,
+ * no files, no clock, so it can be run against fixture PDFs in
+ * test/gazetteParser.test.js. Court headings come out as text; resolving
+ * them to Courts is left to the caller (utils/gazetteScan.js).
+ */
+
+/**
+ * Join pages into one whitespace-collapsed string, remembering where each
+ * page starts so an offset can be mapped back to its page.
+ * @param {Array<{ page: number, text: string }>|string} pages
+ * @returns {{ text: string, pageAt: (offset: number) => number|null }}
+ */
+export const joinPages = (pages) => {
+  const list =
+    typeof pages === "string" ? [{ page: 1, text: pages }] : pages || [];
+  const pageStarts = [];
+  let text = "";
+  for (const page of list) {
+    const pageText = String(page.text || "")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (!pageText) continue;
+    if (text) text += " ";
+    pageStarts.push({ page: page.page, offset: text.length });
+    text += pageText;
+  }
+  const pageAt = (offset) =>
+    pageStarts.filter((p) => p.offset <= offset).pop()?.page ?? null;
+  return { text, pageAt };
+};
+
+// The masthead sits at the top of the first page
+const MASTHEAD_CHARS = 800;
+
+/**
+ * Volume, issue number and date as given in an uploaded file's name, e.g.
+ * "Gazette Vol. 202 26-9-2025 Special Issue (Probates).pdf". Uploaders
+ * write the issue number after "Vol." and dates day-first.
+ * @param {string} fileName
+ * @returns {{ issueNo: number|null, datePublished: Date|null, specialIssue: boolean }}
+ */
+export const parseGazetteFileName = (fileName = "") => {
+  const name = String(fileName || "").replace(/\.pdf$/i, "");
+  const issueNo =
+    name.match(/\bNo\.?\s*(\d{1,4})\b/i)?.[1] ||
+    name.match(/\bVol\.?\s*(\d{1,4})\b/i)?.[1] ||
+    null;
+
+  const dmy = name.match(/\b(\d{1,2})[-_.](\d{1,2})[-_.](\d{4})\b/);
+  let datePublished = null;
+  if (dmy) {
+    const [, d, m, y] = dmy.map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCMonth() === m - 1 && date.getUTCDate() === d) {
+      datePublished = date;
+    }
+  }
+  datePublished = datePublished || parseLongDate(name);
+
+  return {
+    issueNo: issueNo ? Number(issueNo) : null,
+    datePublished,
+    specialIssue: /\bspecial\s+issue\b/i.test(name),
+  };
+};
+
+/**
+ * Volume, issue number, issue date and special-issue flag, read from the
+ * masthead ("Vol. CXXVII—No. 166 NAIROBI, 1st August, 2025") and checked
+ * against the file name. Nothing is guessed: whatever cannot be found is
+ * listed in `missing`, and disagreements between the two in `warnings`.
+ * @param {string} text - whitespace-collapsed
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - original upload name
+ * @returns {{
+ *   volumeNo: string|null,
+ *   volume: string|null,
+ *   issueNo: number|null,
+ *   datePublished: Date|null,
+ *   specialIssue: boolean,
+ *   sources: { issueNo: string|null, datePublished: string|null },
+ *   missing: string[],
+ *   warnings: string[]
+ * }}
+ */
+export const parseGazetteMetadata = (text = "", { fileName } = {}) => {
+  const masthead = text.slice(0, MASTHEAD_CHARS);
+  const fromName = parseGazetteFileName(fileName);
+  const warnings = [];
+
+  const volMatch = masthead.match(
+    /\bVol\.?\s*([CLXVI]+)?\s*[—–-]*\s*No\.?\s*(\d{1,4})\b/i
+  );
+  const volume = volMatch?.[1]?.toUpperCase() || null;
+  const mastheadIssueNo = volMatch ? Number(volMatch[2]) : null;
+
+  // The issue date follows the place of publication; otherwise the first
+  // date on the masthead
+  const mastheadDate =
+    parseLongDate(masthead.match(/\bNAIROBI,\s*([^,]+,\s*\d{4})/i)?.[1]) ||
+    parseLongDate(masthead);
+
+  const issueNo = mastheadIssueNo ?? fromName.issueNo;
+  const datePublished = mastheadDate || fromName.datePublished;
+
+  if (
+    mastheadIssueNo &&
+    fromName.issueNo &&
+    mastheadIssueNo !== fromName.issueNo
+  ) {
+    warnings.push(
+      `File name says No. ${fromName.issueNo} but the masthead says No. ${mastheadIssueNo}`
+    );
+  }
+  if (
+    mastheadDate &&
+    fromName.datePublished &&
+    mastheadDate.getTime() !== fromName.datePublished.getTime()
+  ) {
+    warnings.push(
+      `File name date ${fromName.datePublished.toISOString().slice(0, 10)} differs from the masthead date ${mastheadDate.toISOString().slice(0, 10)}`
+    );
+  }
+
+  const missing = [];
+  if (!issueNo) missing.push("volumeNo");
+  if (!datePublished) missing.push("datePublished");
+
+  return {
+    volumeNo: issueNo ? `${volume ? `${volume}—` : ""}No. ${issueNo}` : null,
+    volume,
+    issueNo,
+    datePublished,
+    specialIssue:
+      /\bSPECIAL\s+ISSUE\b/i.test(masthead) || fromName.specialIssue,
+    sources: {
+      issueNo: mastheadIssueNo
+        ? "masthead"
+        : fromName.issueNo
+          ? "fileName"
+          : null,
+      datePublished: mastheadDate
+        ? "masthead"
+        : fromName.datePublished
+          ? "fileName"
+          : null,
+    },
+    missing,
+    warnings,
+  };
+};
+
+/**
+ * Court heading of a notice: "ELDAMA RAVINE SUCCESSION CAUSE ..." -> "ELDAMA RAVINE".
+ * @param {string} section - text following "IN THE HIGH COURT OF KENYA AT"
+ * @returns {string} uppercased heading, "UNKNOWN" when there is none
+ */
+export const parseCourtHeading = (section = "") => {
+  const heading =
+    section.match(
+      /^(.{1,60}?)\s+(?=SUCCESSION|PROBATE|CAUSE|MISC|IN THE MATTER)/i
+    )?.[1] ||
+    section.match(/^([A-Z]+)/i)?.[1] ||
+    "";
+  return (
+    heading
+      .replace(/[^A-Z\s’'()-]/gi, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+      .toUpperCase() || "UNKNOWN"
+  );
+};
+
+/**
+ * Split a gazette into its probate causes.
+ * @param {Array<{ page: number, text: string }>|string} pages
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - checked against the masthead
+ * @returns {{
+ *   text: string,
+ *   metadata: Object,
+ *   volumeNo: string|null,
+ *   datePublished: Date|null,
+ *   cases: Array<Object>
+ * }} metadata as from parseGazetteMetadata; cases carry courtName, causeNo,
+ *   nameOfDeceased (lowercased) and the notice fields from parseNoticeBlock
+ */
+export const parseGazetteText = (pages, { fileName } = {}) => {
+  const { text, pageAt } = joinPages(pages);
+  const metadata = parseGazetteMetadata(text, { fileName });
+  const { volumeNo, datePublished } = metadata;
+  if (!text) {
+    return { text, metadata, volumeNo, datePublished, cases: [] };
+  }
+
+  // Split Gazette by courts (one notice per court heading)
+  const headings = [...text.matchAll(/IN THE HIGH COURT OF KENYA AT\s+/gi)];
+  const cases = [];
+
+  headings.forEach((h, i) => {
+    const start = h.index + h[0].length;
+    const section = text.slice(start, headings[i + 1]?.index);
+    const courtName = parseCourtHeading(section);
+    const noticeNo = noticeNumberBefore(text, h.index);
+    const objectionPeriodDays = parseObjectionPeriod(section);
+
+    // Extract individual causes for this court
+    const causeBlocks = section.matchAll(/CAUSE\s+NO\.\s*[\w/]+\s+.*?(?=(CAUSE\s+NO\.|GAZETTE NOTICE|$))/gis);
+
+    for (const { 0: block, index } of causeBlocks) {
+      // Keep the year too ("E86 OF 2024") so the cause key can be built
+      const causeNo =
+        block
+          .match(/CAUSE\s+NO\.?\s*((?:E\s*)?\d+\s*(?:\/|OF)\s*\d{2,4}|[\w/]+)/i)?.[1]
+          ?.replace(/\s+/g, " ")
+          .trim() || "N/A";
+
+      // Extract Deceased Name
+      const deceasedMatch = block.match(/estate\s+of\s+([A-Z\s.'’]+?)(?=,|\slate|\swho|\sdeceased)/i);
+      const nameOfDeceased = deceasedMatch
+        ? deceasedMatch[1].replace(/\s+/g, " ").trim()
+        : "Unknown Deceased";
+
+      cases.push({
+        causeNo,
+        courtName,
+        nameOfDeceased: nameOfDeceased.toLowerCase(),
+        noticeNo,
+        objectionPeriodDays,
+        page: pageAt(start + index),
+        ...parseNoticeBlock(block),
+      });
+    }
+  });
+
+  return { text, metadata, volumeNo, datePublished, cases };
+};
@@ -0,0 +1,872 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import Record from "../models/Record.js";
+import Gazette from "../models/Gazette.js";
+import ScanLog from "../models/scanLogModel.js";
+import GazetteReview from "../models/GazetteReview.js";
+import {
+  findCandidates,
+  rankCandidates,
+  classifyMatch,
+} from "./gazetteMatcher.js";
+import {
+  createCourtResolver,
+  saveUnresolvedHeadings,
+} from "./courtResolver.js";
+import { extractPdfText } from "./pdfText.js";
+import { parseCauseNo, canonicalCauseKey } from "./causeNumber.js";
+import { tokenizeName } from "./normalize.js";
+import { NOTICE_FIELDS } from "./gazetteNotice.js";
+import { parseGazetteText } from "./gazetteParser.js";
+import {
+  applyTransition,
+  currentState,
+  setStateDirectly,
+  transitionError,
+  TransitionError,
+} from "./recordLifecycle.js";
+import { auditSnapshot, logRecordChange } from "./recordAudit.js";
+
+/*
+ * A gazette scan runs in three phases so it can be previewed:
+ *   parseGazetteFile  -> text, metadata and extracted cases (reads Courts;
+ *                        the text itself is parsed by gazetteParser.js)
+ *   planGazetteScan   -> which Records change and which cases need review
+ *                        (reads Records, writes nothing)
+ *   applyGazettePlan  -> writes Records, Gazette, reviews and the ScanLog
+ * The plan is plain data (ids, not documents) so it can be stored and
+ * applied later exactly as it was shown.
+ *
+ * Every file is fingerprinted by content hash and by volume/date. A re-scan
+ * of an issue already on file is planned as a reconciliation against the
+ * existing Gazette instead of creating a duplicate.
+ */
+
+/* =========================================================
+ * 🔏 FINGERPRINTS
+ * ========================================================= */
+export const hashFile = async (filePath) =>
+  crypto
+    .createHash("sha256")
+    .update(await fs.readFile(filePath))
+    .digest("hex");
+
+/**
+ * Volume + issue date, e.g. "CXXVIINO166|2025-08-01".
+ * Null while the volume is unknown so unrelated issues never collide.
+ */
+export const issueKeyFor = (volumeNo, datePublished) => {
+  const volume = String(volumeNo || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+  const date = datePublished ? new Date(datePublished) : null;
+  if (!volume || volume === "UNKNOWNVOLUME" || !date || isNaN(date)) {
+    return null;
+  }
+  return `${volume}|${date.toISOString().slice(0, 10)}`;
+};
+
+export const pickNoticeFields = (c) =>
+  Object.fromEntries(NOTICE_FIELDS.map((f) => [f, c[f]]));
+
+// Identifies a case across scans of the same issue
+const gazetteCaseKey = (c) =>
+  `${parseCauseNo(c.causeNo)?.key || String(c.causeNo).toUpperCase()}@${c.courtStation || c.courtName || ""}`;
+
+/**
+ * Compare the cases already stored on a Gazette with a fresh scan. Cases
+ * the scan sent to review are still in the issue: they are reported as
+ * in review, never as removed.
+ * @param {Object[]} existingCases - Gazette.cases
+ * @param {Object[]} scannedCases - matched and unmatched cases of the scan
+ * @param {Object[]} [reviewCases] - cases of the scan waiting for an admin
+ * @returns {{ new: Object[], changed: Object[], removed: Object[],
+ *   inReview: Object[], unchanged: number }}
+ */
+export const reconcileCases = (
+  existingCases = [],
+  scannedCases = [],
+  reviewCases = []
+) => {
+  const existingByKey = new Map(
+    existingCases.map((c) => [gazetteCaseKey(c), c])
+  );
+  const scannedKeys = new Set();
+  const report = {
+    new: [],
+    changed: [],
+    removed: [],
+    inReview: [],
+    unchanged: 0,
+  };
+
+  for (const c of reviewCases) {
+    const key = gazetteCaseKey(c);
+    scannedKeys.add(key);
+    report.inReview.push({
+      key,
+      causeNo: c.causeNo,
+      nameOfDeceased: c.nameOfDeceased,
+      reason: c.reason,
+    });
+  }
+
+  for (const c of scannedCases) {
+    const key = gazetteCaseKey(c);
+    scannedKeys.add(key);
+    const previous = existingByKey.get(key);
+    if (!previous) {
+      report.new.push({
+        key,
+        causeNo: c.causeNo,
+        nameOfDeceased: c.nameOfDeceased,
+      });
+    } else if (
+      tokenizeName(previous.nameOfDeceased) !==
+      tokenizeName(c.nameOfDeceased)
+    ) {
+      report.changed.push({
+        key,
+        causeNo: c.causeNo,
+        before: { nameOfDeceased: previous.nameOfDeceased },
+        after: { nameOfDeceased: c.nameOfDeceased },
+      });
+    } else {
+      report.unchanged += 1;
+    }
+  }
+
+  for (const [key, c] of existingByKey) {
+    if (!scannedKeys.has(key) && c.status !== "Removed") {
+      report.removed.push({
+        key,
+        causeNo: c.causeNo,
+        nameOfDeceased: c.nameOfDeceased,
+      });
+    }
+  }
+
+  return report;
+};
+
+/* =========================================================
+ * 1️⃣ PARSE — PDF -> metadata + extracted cases
+ * ========================================================= */
+/**
+ * Apply admin-supplied metadata over what the parser found.
+ * @param {Object} metadata - from parseGazetteMetadata
+ * @param {{ volumeNo?: string, datePublished?: string|Date }} [overrides]
+ */
+const applyMetadataOverrides = (metadata, overrides = {}) => {
+  const result = { ...metadata, sources: { ...metadata.sources } };
+  if (overrides.volumeNo) {
+    result.volumeNo = String(overrides.volumeNo).trim();
+    result.sources.issueNo = "override";
+  }
+  if (overrides.datePublished) {
+    const date = new Date(overrides.datePublished);
+    if (isNaN(date)) {
+      throw new Error("datePublished override is not a valid date");
+    }
+    result.datePublished = date;
+    result.sources.datePublished = "override";
+  }
+  result.missing = [
+    ...(result.volumeNo ? [] : ["volumeNo"]),
+    ...(result.datePublished ? [] : ["datePublished"]),
+  ];
+  return result;
+};
+
+/**
+ * Why a parsed gazette cannot be applied, or null when it can.
+ * Missing metadata is never guessed: the scan is refused until the
+ * volume/date are supplied with the upload.
+ */
+export const metadataProblem = (parsed) =>
+  parsed.metadata?.missing.length
+    ? `Could not find the Gazette ${parsed.metadata.missing.join(" and ")} on the masthead or in the file name. Upload again with ${parsed.metadata.missing.join(" and ")} filled in.`
+    : null;
+
+export const parseGazetteFile = async (
+  pdfPath,
+  { onProgress, fileName, overrides } = {}
+) => {
+  // Image-only pages are OCR'd
+  const pdfData = await extractPdfText(pdfPath, { onPage: onProgress });
+  const fileHash = await hashFile(pdfPath);
+
+  if (pdfData.ocr.used) {
+    console.log(
+      `🔍 OCR'd page(s) ${pdfData.ocr.pages.map((p) => p.page).join(", ")} (avg confidence ${pdfData.ocr.averageConfidence ?? "n/a"})`
+    );
+  }
+
+  const parsed = parseGazetteText(pdfData.pages, { fileName });
+  const { text } = parsed;
+  const metadata = applyMetadataOverrides(parsed.metadata, overrides);
+
+  if (!text) {
+    return {
+      text,
+      fileHash,
+      metadata,
+      ocr: pdfData.ocr,
+      numPages: pdfData.numPages,
+      extractedCases: [],
+      unresolvedHeadings: [],
+    };
+  }
+
+  console.log("📄 PDF sample:", text.slice(0, 400));
+
+  const { volumeNo, datePublished } = metadata;
+
+  console.log(
+    "📘 Volume:",
+    volumeNo,
+    "| 📅 Date:",
+    datePublished,
+    metadata.specialIssue ? "| ⭐ Special Issue" : ""
+  );
+  metadata.warnings.forEach((w) => console.warn("⚠", w));
+
+  const courtResolver = await createCourtResolver({
+    source: "gazette",
+    defaultLevel: "High Court",
+  });
+
+  const extractedCases = parsed.cases.map((c) => {
+    const courtMatch =
+      c.courtName !== "UNKNOWN" ? courtResolver.resolve(c.courtName) : null;
+    return {
+      ...c,
+      causeKey: canonicalCauseKey(c.causeNo),
+      courtStation: courtMatch ? courtMatch.court._id : null,
+      volumeNo,
+      datePublished,
+      status: "Published",
+    };
+  });
+
+  const unresolvedHeadings = courtResolver.unresolved();
+  onProgress?.({ casesExtracted: extractedCases.length });
+  console.log(
+    `🧾 Extracted ${extractedCases.length} cases (${unresolvedHeadings.length} unresolved court heading(s))`
+  );
+
+  return {
+    text,
+    fileHash,
+    metadata,
+    ocr: pdfData.ocr,
+    numPages: pdfData.numPages,
+    volumeNo,
+    datePublished,
+    extractedCases,
+    unresolvedHeadings,
+  };
+};
+
+/* =========================================================
+ * 2️⃣ PLAN — match cases against Records (read-only)
+ * Cause No. + court find the Record and the name confirms it; anything
+ * less certain waits for an admin in the review queue.
+ * ========================================================= */
+export const planGazetteScan = async (parsed, { onProgress } = {}) => {
+  const { extractedCases, volumeNo, datePublished } = parsed;
+  const problem = metadataProblem(parsed);
+  if (problem) throw new Error(problem);
+
+  const matchedCases = [];
+  // No Record found; kept on the Gazette with a reason for follow-up
+  const unmatchedCases = [];
+  const reviewCases = [];
+  const matchResults = [];
+  const changes = [];
+
+  for (const [i, c] of extractedCases.entries()) {
+    onProgress?.({ casesChecked: i, casesMatched: matchedCases.length });
+    const candidates = await findCandidates(c, Record);
+    const ranked = rankCandidates(c, candidates);
+    const classified = classifyMatch(ranked);
+    const best = ranked[0];
+    // A sure match still waits for an admin if its Record cannot be
+    // published yet (Rejected, never reviewed, returned to the station)
+    const { action, reason } =
+      classified.action === "auto" &&
+      transitionError(currentState(best.record), "publish", {
+        via: "gazette",
+      })
+        ? { action: "review", reason: "state" }
+        : classified;
+
+    matchResults.push({
+      ...c,
+      recordId: best?.record._id || null,
+      matchScore: best?.score || 0,
+      matchConfidence: best?.confidence || "none",
+      matchedOn: best?.matchedOn || [],
+      action,
+    });
+
+    if (action === "review") {
+      reviewCases.push({
+        causeNo: c.causeNo,
+        courtName: c.courtName,
+        courtStation: c.courtStation,
+        nameOfDeceased: c.nameOfDeceased,
+        volumeNo: c.volumeNo,
+        datePublished: c.datePublished,
+        ...pickNoticeFields(c),
+        reason,
+        candidates: ranked
+          .slice(0, 5)
+          .map(({ record, keyAgrees, ...scores }) => ({
+            record: record._id,
+            ...scores,
+          })),
+        selectedRecord: best.record._id,
+      });
+      continue;
+    }
+
+    if (action === "none") {
+      unmatchedCases.push({
+        ...c,
+        record: null,
+        status: "Unmatched",
+        unmatchedReason: c.courtStation ? "no_match" : "no_court",
+      });
+      continue;
+    }
+
+    if (action === "auto") {
+      const record = best.record;
+      matchedCases.push({
+        ...c,
+        record: record._id,
+        courtStation: record.courtStation,
+        matchScore: best.score,
+        matchConfidence: best.confidence,
+        matchedOn: best.matchedOn,
+      });
+
+      changes.push({
+        recordId: record._id,
+        causeNo: record.causeNo,
+        nameOfDeceased: record.nameOfDeceased,
+        before: {
+          statusAtGP: record.statusAtGP,
+          volumeNo: record.volumeNo,
+          datePublished: record.datePublished,
+          state: currentState(record),
+        },
+        after: {
+          statusAtGP: "Published",
+          volumeNo,
+          datePublished,
+          state: "Published",
+        },
+      });
+    }
+  }
+
+  onProgress?.({
+    casesChecked: extractedCases.length,
+    casesMatched: matchedCases.length,
+  });
+  console.log(
+    `✅ Matched ${matchedCases.length} with DB, ${reviewCases.length} for review, ${unmatchedCases.length} unmatched`
+  );
+
+  // Same file or same issue already scanned? Plan a reconciliation instead.
+  const issueKey = issueKeyFor(volumeNo, datePublished);
+  const existing = await Gazette.findOne({
+    $or: [
+      { fileHash: parsed.fileHash },
+      { "rescans.fileHash": parsed.fileHash },
+      ...(issueKey ? [{ issueKey }] : []),
+    ],
+  })
+    .select("_id fileName fileHash issueKey cases")
+    .lean();
+
+  const existingGazette = existing
+    ? {
+        _id: existing._id,
+        fileName: existing.fileName,
+        duplicateBy:
+          existing.issueKey && existing.issueKey === issueKey
+            ? "issue"
+            : "fileHash",
+        identicalFile: existing.fileHash === parsed.fileHash,
+      }
+    : null;
+
+  return {
+    fileHash: parsed.fileHash,
+    issueKey,
+    existingGazette,
+    reconciliation: existing
+      ? reconcileCases(
+          existing.cases,
+          [...matchedCases, ...unmatchedCases],
+          reviewCases
+        )
+      : null,
+    volumeNo,
+    datePublished,
+    metadata: parsed.metadata,
+    totalRecords: extractedCases.length,
+    matchedCases,
+    unmatchedCases,
+    reviewCases,
+    matchResults,
+    changes,
+    unresolvedHeadings: parsed.unresolvedHeadings,
+    ocr: parsed.ocr,
+  };
+};
+
+/* =========================================================
+ * 🔗 LINKS — Record.gazetteNotices mirrors Gazette.cases[].record
+ * ========================================================= */
+export const gazetteNoticeLink = (gazette, c) => ({
+  gazette: gazette._id,
+  case: c._id,
+  volumeNo: gazette.volumeNo,
+  datePublished: gazette.datePublished,
+  noticeNo: c.noticeNo ?? null,
+  page: c.page ?? null,
+  linkedAt: new Date(),
+});
+
+/**
+ * Point every Record published by this Gazette at it, and drop the link
+ * from Records that no longer are (removed or rolled-back cases).
+ * @param {Object} gazette - Gazette document with its cases
+ */
+export const syncGazetteLinks = async (gazette) => {
+  const linked = gazette.cases.filter(
+    (c) => c.record && c.status === "Published"
+  );
+  const linkedIds = linked.map((c) => c.record);
+
+  await Record.updateMany(
+    { "gazetteNotices.gazette": gazette._id, _id: { $nin: linkedIds } },
+    { $pull: { gazetteNotices: { gazette: gazette._id } } }
+  );
+  if (!linked.length) return;
+
+  // Pull then push so a re-scan refreshes the link instead of adding another
+  await Record.bulkWrite(
+    linked.flatMap((c) => [
+      {
+        updateOne: {
+          filter: { _id: c.record },
+          update: { $pull: { gazetteNotices: { gazette: gazette._id } } },
+        },
+      },
+      {
+        updateOne: {
+          filter: { _id: c.record },
+          update: { $push: { gazetteNotices: gazetteNoticeLink(gazette, c) } },
+        },
+      },
+    ])
+  );
+};
+
+// A matched case whose Record turned out not to be publishable
+const stateReview = (c) => ({
+  causeNo: c.causeNo,
+  courtName: c.courtName,
+  courtStation: c.courtStation,
+  nameOfDeceased: c.nameOfDeceased,
+  volumeNo: c.volumeNo,
+  datePublished: c.datePublished,
+  ...pickNoticeFields(c),
+  reason: "state",
+  candidates: [
+    {
+      record: c.record,
+      score: c.matchScore ?? 0,
+      confidence: c.matchConfidence || "none",
+      matchedOn: c.matchedOn || [],
+    },
+  ],
+  selectedRecord: c.record,
+});
+
+/* =========================================================
+ * 3️⃣ APPLY — write a plan (fresh or from a preview)
+ * A plan against an existing Gazette merges into it: new cases are added,
+ * changed ones updated and removed ones flagged, never duplicated.
+ * ========================================================= */
+export const applyGazettePlan = async (
+  plan,
+  { uploadedBy, fileName, job = null }
+) => {
+  const { volumeNo, datePublished } = plan;
+  let { matchedCases, reviewCases } = plan;
+  // Plans stored before unmatched cases were kept have none
+  const unmatchedCases = [...(plan.unmatchedCases || [])];
+
+  // Kept on the Gazette so the scan can be rolled back
+  const appliedChanges = [];
+  // Records the plan matched but that could not be published after all
+  const notPublished = new Map();
+  for (const change of plan.changes) {
+    const record = await Record.findById(change.recordId);
+    if (!record) {
+      notPublished.set(String(change.recordId), "gone");
+      continue;
+    }
+    const snapshot = auditSnapshot(record);
+    try {
+      applyTransition(
+        record,
+        "publish",
+        {
+          volumeNo: change.after.volumeNo,
+          datePublished: change.after.datePublished,
+        },
+        { source: "gazette", via: "gazette", by: uploadedBy }
+      );
+    } catch (err) {
+      // Moved on since the plan was made (e.g. Rejected in the meantime)
+      if (!(err instanceof TransitionError)) throw err;
+      console.warn(`⚠️ Not publishing ${change.causeNo}: ${err.message}`);
+      notPublished.set(String(record._id), "state");
+      continue;
+    }
+    await record.save();
+    await logRecordChange("update", {
+      before: snapshot,
+      after: record,
+      source: "gazette",
+      by: uploadedBy,
+      note: `Gazette ${volumeNo}`,
+    });
+    appliedChanges.push({
+      record: record._id,
+      causeNo: change.causeNo,
+      nameOfDeceased: change.nameOfDeceased,
+      before: change.before,
+      after: change.after,
+    });
+  }
+
+  // Their cases wait for an admin instead (or are Unmatched when the
+  // Record is gone), so the Gazette only claims what was published
+  if (notPublished.size) {
+    const published = [];
+    for (const c of matchedCases) {
+      const why = notPublished.get(String(c.record));
+      if (!why) published.push(c);
+      else if (why === "state") reviewCases = [...reviewCases, stateReview(c)];
+      else
+        unmatchedCases.push({
+          ...c,
+          record: null,
+          status: "Unmatched",
+          unmatchedReason: "no_match",
+        });
+    }
+    matchedCases = published;
+  }
+
+  const unresolvedCourts = await saveUnresolvedHeadings(
+    plan.unresolvedHeadings,
+    "gazette"
+  );
+
+  let gazette;
+  let remarks;
+  if (plan.existingGazette) {
+    gazette = await Gazette.findById(plan.existingGazette._id);
+    if (!gazette) throw new Error("Gazette to reconcile no longer exists");
+
+    const scannedCases = [...matchedCases, ...unmatchedCases];
+    const scannedByKey = new Map(
+      scannedCases.map((c) => [gazetteCaseKey(c), c])
+    );
+    // Still in the gazette, just waiting on an admin again
+    const inReview = new Set(reviewCases.map(gazetteCaseKey));
+    const existingKeys = new Set();
+    for (const c of gazette.cases) {
+      const key = gazetteCaseKey(c);
+      existingKeys.add(key);
+      const scanned = scannedByKey.get(key);
+      if (!scanned) {
+        if (!inReview.has(key)) c.status = "Removed";
+      } else {
+        c.record = scanned.record;
+        c.courtStation = scanned.courtStation;
+        c.unmatchedReason = scanned.unmatchedReason ?? null;
+        c.set(pickNoticeFields(scanned));
+        c.nameOfDeceased = scanned.nameOfDeceased;
+        c.status = scanned.status;
+        c.matchScore = scanned.matchScore;
+        c.matchConfidence = scanned.matchConfidence;
+        c.matchedOn = scanned.matchedOn;
+      }
+    }
+    scannedCases
+      .filter((c) => !existingKeys.has(gazetteCaseKey(c)))
+      .forEach((c) => gazette.cases.push(c));
+    gazette.changes.push(...appliedChanges);
+
+    gazette.totalRecords = plan.totalRecords;
+    gazette.publishedCount = gazette.cases.filter(
+      (c) => c.status === "Published"
+    ).length;
+    gazette.rescans.push({
+      fileHash: plan.fileHash,
+      fileName,
+      uploadedBy,
+      newCount: plan.reconciliation?.new.length || 0,
+      changedCount: plan.reconciliation?.changed.length || 0,
+      removedCount: plan.reconciliation?.removed.length || 0,
+    });
+    await gazette.save();
+
+    // Don't queue a case that is still waiting for review on this Gazette,
+    // or one an accepted review already published; rejected ones go back
+    // into the queue
+    const openReviews = await GazetteReview.find({
+      gazette: gazette._id,
+      status: { $in: ["Pending", "Accepting"] },
+    })
+      .select("causeNo courtStation courtName")
+      .lean();
+    const reviewedKeys = new Set([
+      ...openReviews.map(gazetteCaseKey),
+      ...gazette.cases
+        .filter((c) => c.status === "Published")
+        .map(gazetteCaseKey),
+    ]);
+    reviewCases = reviewCases.filter(
+      (c) => !reviewedKeys.has(gazetteCaseKey(c))
+    );
+
+    const r = plan.reconciliation || { new: [], changed: [], removed: [] };
+    remarks = `Gazette ${fileName} reconciled with existing scan ${gazette.fileName}: ${r.new.length} new, ${r.changed.length} changed, ${r.removed.length} removed, ${r.inReview?.length || 0} in review.`;
+  } else {
+    gazette = await Gazette.create({
+      uploadedBy,
+      fileName,
+      fileHash: plan.fileHash,
+      issueKey: plan.issueKey,
+      volumeNo,
+      datePublished,
+      specialIssue: Boolean(plan.metadata?.specialIssue),
+      metadataWarnings: plan.metadata?.warnings || [],
+      totalRecords: plan.totalRecords,
+      publishedCount: appliedChanges.length,
+      cases: [...matchedCases, ...unmatchedCases],
+      changes: appliedChanges,
+    });
+    remarks = `Gazette ${fileName} scanned successfully.`;
+  }
+
+  await syncGazetteLinks(gazette);
+
+  if (reviewCases.length) {
+    await GazetteReview.insertMany(
+      reviewCases.map((c) => ({ ...c, gazette: gazette._id }))
+    );
+  }
+
+  const scanLog = await ScanLog.create({
+    uploadedBy,
+    fileName,
+    fileHash: plan.fileHash,
+    gazette: gazette._id,
+    job,
+    totalRecords: plan.totalRecords,
+    publishedCount: appliedChanges.length,
+    remarks: [
+      remarks,
+      `${reviewCases.length} case(s) pending review.`,
+      ...(unmatchedCases.length
+        ? [`${unmatchedCases.length} case(s) unmatched.`]
+        : []),
+      ...(plan.metadata?.warnings || []).map((w) => `⚠ ${w}.`),
+    ].join(" "),
+    volumeNo,
+    datePublished,
+    ocrPages: plan.ocr?.pages || [],
+    ocrAverageConfidence: plan.ocr?.averageConfidence ?? null,
+  });
+
+  return { gazette, scanLog, unresolvedCourts };
+};
+
+/* =========================================================
+ * ↩️ ROLLBACK — restore the Record fields a scan wrote
+ * A Record edited since the scan (its fields no longer match what the
+ * scan wrote) is skipped unless `force` is set.
+ * ========================================================= */
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    const time = (d) => (d ? new Date(d).getTime() : null);
+    return time(a) === time(b);
+  }
+  return (a ?? "") === (b ?? "");
+};
+
+// Whether a Record still holds what a scan wrote to it
+export const stillAsWritten = (record, after) =>
+  sameValue(record.statusAtGP, after.statusAtGP) &&
+  sameValue(record.volumeNo, after.volumeNo) &&
+  sameValue(record.datePublished, after.datePublished);
+
+/**
+ * Put back the fields a Gazette change recorded as `before`; the caller
+ * saves the Record. Changes from before lifecycle states take the state
+ * the restored fields imply.
+ * @param {Object} record - Record document
+ * @param {Object} change - an entry of Gazette.changes
+ * @param {{ by: string, note: string }} who - rollback user and reason
+ */
+export const restoreChange = (record, change, { by, note }) => {
+  record.statusAtGP = change.before?.statusAtGP || "Pending";
+  record.volumeNo = change.before?.volumeNo || "";
+  record.datePublished = change.before?.datePublished || null;
+  setStateDirectly(record, change.before?.state, {
+    by,
+    source: "rollback",
+    note,
+  });
+};
+
+/**
+ * @param {Object} gazette - Gazette document (not lean)
+ * @param {Object} options
+ * @param {string} options.reason - required, stored on the Gazette and ScanLog
+ * @param {string[]} [options.recordIds] - only these Records; all when omitted
+ * @param {boolean} [options.force] - also revert Records edited since the scan
+ * @param {string} options.user - admin performing the rollback
+ * @returns {Promise<{ reverted: Object[], skipped: Object[], scanLog: Object|null }>}
+ */
+export const rollbackGazetteScan = async (
+  gazette,
+  { reason, recordIds, force = false, user }
+) => {
+  const selected = recordIds?.length ? new Set(recordIds.map(String)) : null;
+  const reverted = [];
+  const skipped = [];
+
+  // Newest first, so a Record changed twice ends on its oldest "before"
+  const pending = gazette.changes
+    .filter((c) => !c.revertedAt)
+    .filter((c) => !selected || selected.has(c.record.toString()))
+    .reverse();
+
+  for (const change of pending) {
+    const record = await Record.findById(change.record);
+    if (!record) {
+      skipped.push({
+        record: change.record,
+        reason: "Record no longer exists",
+      });
+      continue;
+    }
+    if (!force && !stillAsWritten(record, change.after)) {
+      skipped.push({
+        record: record._id,
+        causeNo: record.causeNo,
+        reason: "Record was edited after the scan",
+      });
+      continue;
+    }
+
+    const snapshot = auditSnapshot(record);
+    restoreChange(record, change, { by: user, note: reason });
+    await record.save();
+    await logRecordChange("update", {
+      before: snapshot,
+      after: record,
+      source: "rollback",
+      by: user,
+      note: reason,
+    });
+
+    change.revertedAt = new Date();
+    change.revertedBy = user;
+    reverted.push({
+      record: record._id,
+      causeNo: record.causeNo,
+      nameOfDeceased: record.nameOfDeceased,
+      restored: change.before,
+    });
+  }
+
+  if (!reverted.length) return { reverted, skipped, scanLog: null };
+
+  const revertedIds = new Set(reverted.map((r) => r.record.toString()));
+  for (const c of gazette.cases) {
+    if (c.record && revertedIds.has(c.record.toString())) {
+      c.status = "RolledBack";
+    }
+  }
+  gazette.publishedCount = gazette.cases.filter(
+    (c) => c.status === "Published"
+  ).length;
+  gazette.status = gazette.changes.every((c) => c.revertedAt)
+    ? "RolledBack"
+    : "PartiallyRolledBack";
+  gazette.rollbacks.push({
+    reason,
+    records: [...revertedIds],
+    rolledBackBy: user,
+  });
+  await gazette.save();
+  await syncGazetteLinks(gazette);
+
+  const scanLog = await ScanLog.create({
+    uploadedBy: user,
+    fileName: gazette.fileName,
+    action: "rollback",
+    fileHash: gazette.fileHash,
+    gazette: gazette._id,
+    totalRecords: reverted.length,
+    publishedCount: gazette.publishedCount,
+    remarks: `Rolled back ${reverted.length} record(s) from Gazette ${gazette.volumeNo} (${skipped.length} skipped): ${reason}`,
+  });
+
+  return { reverted, skipped, scanLog };
+};
+
+/* =========================================================
+ * 🧾 Response table shared by real scans and previews
+ * ========================================================= */
+export const buildScanSummary = (plan) => ({
+  fileHash: plan.fileHash,
+  metadata: plan.metadata,
+  existingGazette: plan.existingGazette,
+  reconciliation: plan.reconciliation,
+  publishedCount: plan.matchedCases.length,
+  unmatchedCount: plan.unmatchedCases?.length || 0,
+  pendingReviewCount: plan.reviewCases.length,
+  totalRecords: plan.totalRecords,
+  ocr: plan.ocr,
+  tableData: plan.matchedCases.map((c) => ({
+    volumeNo: c.volumeNo,
+    courtStation: c.courtName,
+    nameOfDeceased: c.nameOfDeceased,
+    causeNo: c.causeNo,
+    datePublished: c.datePublished,
+    matchScore: c.matchScore,
+    matchConfidence: c.matchConfidence,
+    matchedOn: c.matchedOn,
+  })),
+  matchSummary: ["exact", "strong", "weak", "none"].reduce((acc, level) => {
+    acc[level] = plan.matchResults.filter(
+      (m) => m.matchConfidence === level
+    ).length;
+    return acc;
+  }, {}),
+});
@@ -1,10 +1,40 @@
-async function getNextSequence(name) {
-  const counter = await Counter.findByIdAndUpdate(
-    name,
+import Counter from "../models/Counter.js";
+
+/**
+ * Next value of a Counter sequence (e.g. "record" for Record.no). Atomic on
+ * the Counter document, so concurrent callers never share a number.
+ * @param {string} counterId
+ * @returns {Promise<number>}
+ */
+export default async function getNextSequence(counterId) {
+  if (!counterId) throw new Error("Counter id is required");
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: counterId },
     { $inc: { seq: 1 } },
     { new: true, upsert: true, setDefaultsOnInsert: true }
-  );
+  ).lean();
 
   // Defensive fallback — avoid null sequence
   return counter?.seq ?? 1;
 }
+
+/**
+ * Reserve `count` consecutive values of a sequence in one atomic step, so a
+ * bulk insert gets an unbroken block no other writer can interleave with.
+ * @param {string} counterId
+ * @param {number} count
+ * @returns {Promise<number>} the first reserved value
+ */
+export async function reserveSequence(counterId, count) {
+  if (!counterId) throw new Error("Counter id is required");
+  if (!(count > 0)) throw new Error("Reserve at least one value");
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: counterId },
+    { $inc: { seq: count } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  return counter.seq - count + 1;
+}
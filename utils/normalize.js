@@ -33,30 +33,60 @@ const normKey = (k = "") =>
     .replace(/\s+/g, " ")
     .trim();
 
+// Header spellings of the deceased's name column, best first
+export const EXCEL_NAME_KEYS = [
+  "name of the deceased",
+  "name of deceased",
+  "name deceased",
+  "deceased name",
+  "deceased s name",
+  "name deceased s",
+  "name (deceased)",
+  "full name",
+  "fullname",
+  "deceased",
+  "name",
+];
+
 export function bestExcelNameKey(row) {
   if (!row || typeof row !== "object") return "";
   const map = {};
   for (const [k, v] of Object.entries(row)) map[normKey(k)] = v;
 
-  const candidates = [
-    "name of the deceased",
-    "name of deceased",
-    "name deceased",
-    "deceased name",
-    "deceased s name",
-    "name deceased s",
-    "name (deceased)",
-    "full name",
-    "fullname",
-    "deceased",
-    "name",
-  ];
-  for (const key of candidates) if (map[key]) return String(map[key]).trim();
+  for (const key of EXCEL_NAME_KEYS)
+    if (map[key]) return String(map[key]).trim();
   for (const [k, v] of Object.entries(map))
     if (k.includes("deceased") && v) return String(v).trim();
   return "";
 }
 
+/**
+ * The sheet header that holds a column, found the same way as
+ * bestExcelNameKey: an exact spelling first, then any header containing
+ * one of the `contains` words.
+ * @param {string[]} headers - as written in the sheet
+ * @param {{ exact?: string[], contains?: string[] }} spellings - normalized
+ * @param {Set<string>} [taken] - headers already assigned to other columns
+ * @returns {string|null} the original header
+ */
+export function findExcelColumn(
+  headers = [],
+  spellings = {},
+  taken = new Set()
+) {
+  const free = headers.filter((h) => !taken.has(h));
+  const normalized = free.map((h) => [h, normKey(h)]);
+  for (const key of spellings.exact || []) {
+    const hit = normalized.find(([, n]) => n === key);
+    if (hit) return hit[0];
+  }
+  for (const word of spellings.contains || []) {
+    const hit = normalized.find(([, n]) => n.includes(word));
+    if (hit) return hit[0];
+  }
+  return null;
+}
+
 export function jaccard(tokensA = [], tokensB = []) {
   const setA = new Set(tokensA.filter(Boolean));
   const setB = new Set(tokensB.filter(Boolean));
@@ -0,0 +1,201 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import pdfParse from "pdf-parse";
+
+// A page with fewer characters than this is treated as an image scan
+export const MIN_PAGE_CHARS = 80;
+
+// Same line-joining as pdf-parse's default renderer, but per page
+const renderPageText = (pageData) =>
+  pageData.getTextContent().then((content) => {
+    let lastY;
+    let text = "";
+    for (const item of content.items) {
+      text +=
+        lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    return text;
+  });
+
+/**
+ * OCR results for pages that could not be OCRed at all (no tesseract
+ * data, no ImageMagick), so the scan goes on with their text layer.
+ * @param {number[]} pageNumbers
+ * @param {Error|string} err
+ */
+export const ocrUnavailable = (pageNumbers, err) =>
+  pageNumbers.map((page) => ({
+    page,
+    text: "",
+    confidence: null,
+    error: `OCR unavailable: ${err?.message || err}`,
+  }));
+
+/**
+ * Rasterize the given pages and OCR them with tesseract.js.
+ * Images are written to the OS temp dir and removed afterwards.
+ * @param {string} pdfPath
+ * @param {number[]} pageNumbers - 1-based
+ * @returns {Promise<Array<{ page: number, text: string, confidence: number|null, error?: string }>>}
+ */
+export const ocrPdfPages = async (pdfPath, pageNumbers = []) => {
+  if (!pageNumbers.length) return [];
+
+  // Loaded lazily: both are heavy and need ImageMagick/poppler on the host
+  const { PDFImage } = (await import("pdf-image")).default;
+  const { createWorker } = (await import("tesseract.js")).default;
+
+  const outputDirectory = await fs.mkdtemp(
+    path.join(os.tmpdir(), "gazette-ocr-")
+  );
+  const pdfImage = new PDFImage(pdfPath, {
+    outputDirectory,
+    convertOptions: { "-density": "300", "-quality": "100" },
+  });
+
+  let worker;
+  try {
+    worker = await createWorker({
+      ...(process.env.OCR_LANG_PATH && { langPath: process.env.OCR_LANG_PATH }),
+      // Default handler throws from the worker thread and kills the process
+      errorHandler: (err) => console.error("❌ OCR worker error:", err),
+    });
+    await worker.loadLanguage("eng");
+    await worker.initialize("eng");
+  } catch (err) {
+    await worker?.terminate().catch(() => {});
+    await fs.rm(outputDirectory, { recursive: true, force: true });
+    return ocrUnavailable(pageNumbers, err);
+  }
+
+  const results = [];
+  try {
+    for (const page of pageNumbers) {
+      try {
+        const imagePath = await pdfImage.convertPage(page - 1);
+        const { data } = await worker.recognize(imagePath);
+        results.push({
+          page,
+          text: data.text || "",
+          confidence: Number((data.confidence ?? 0).toFixed(2)),
+        });
+      } catch (err) {
+        results.push({
+          page,
+          text: "",
+          confidence: null,
+          error: err?.message || err?.error?.message || "OCR failed",
+        });
+      }
+    }
+  } finally {
+    await worker.terminate();
+    await fs.rm(outputDirectory, { recursive: true, force: true });
+  }
+
+  return results;
+};
+
+/**
+ * Pages whose text layer is too thin to be anything but an image scan.
+ * @param {Array<{ page: number, text: string }>} pages
+ * @param {number} [minPageChars]
+ * @returns {number[]} 1-based page numbers
+ */
+export const sparsePages = (pages = [], minPageChars = MIN_PAGE_CHARS) =>
+  pages
+    .filter((p) => p.text.replace(/\s+/g, "").length < minPageChars)
+    .map((p) => p.page);
+
+/**
+ * Put OCR text on the pages it improves and summarize the OCR run. A page
+ * keeps its text layer when OCR failed or read less.
+ * @param {Array<{ page: number, text: string, source: string }>} pages - updated in place
+ * @param {Awaited<ReturnType<typeof ocrPdfPages>>} ocrResults
+ * @returns {{ used: boolean, pages: Array<{ page: number, confidence: number|null, chars: number, error?: string }>, averageConfidence: number|null }}
+ */
+export const applyOcrResults = (pages, ocrResults = []) => {
+  for (const result of ocrResults) {
+    const page = pages[result.page - 1];
+    if (result.text.trim().length > page.text.trim().length) {
+      page.text = result.text;
+      page.source = "ocr";
+    }
+  }
+
+  const confidences = ocrResults
+    .map((r) => r.confidence)
+    .filter((c) => typeof c === "number");
+
+  return {
+    used: ocrResults.length > 0,
+    pages: ocrResults.map(({ page, confidence, text, error }) => ({
+      page,
+      confidence,
+      chars: text.trim().length,
+      ...(error && { error }),
+    })),
+    averageConfidence: confidences.length
+      ? Number(
+          (
+            confidences.reduce((a, b) => a + b, 0) / confidences.length
+          ).toFixed(2)
+        )
+      : null,
+  };
+};
+
+/**
+ * Extract text from a gazette PDF, falling back to OCR for pages that have
+ * no (or almost no) text layer.
+ * @param {string} pdfPath
+ * @param {Object} [options]
+ * @param {number} [options.minPageChars]
+ * @param {(progress: { pagesParsed: number, totalPages: number|null }) => void} [options.onPage]
+ *   called as each page's text layer is read, and once more with the page count
+ * @returns {Promise<{
+ *   text: string,
+ *   numPages: number,
+ *   pages: Array<{ page: number, text: string, source: "text"|"ocr" }>,
+ *   ocr: { used: boolean, pages: Array<{ page: number, confidence: number|null, chars: number, error?: string }>, averageConfidence: number|null }
+ * }>}
+ */
+export const extractPdfText = async (
+  pdfPath,
+  { minPageChars = MIN_PAGE_CHARS, onPage } = {}
+) => {
+  const buffer = await fs.readFile(pdfPath);
+
+  const pageTexts = [];
+  const pdfData = await pdfParse(buffer, {
+    pagerender: (pageData) =>
+      renderPageText(pageData).then((text) => {
+        pageTexts.push(text);
+        onPage?.({ pagesParsed: pageTexts.length, totalPages: null });
+        return text;
+      }),
+  });
+
+  const pages = pageTexts.map((text, i) => ({
+    page: i + 1,
+    text,
+    source: "text",
+  }));
+
+  onPage?.({ pagesParsed: pages.length, totalPages: pdfData.numpages });
+
+  const ocrResults = await ocrPdfPages(
+    pdfPath,
+    sparsePages(pages, minPageChars)
+  );
+  const ocr = applyOcrResults(pages, ocrResults);
+
+  return {
+    text: pages.map((p) => p.text).join("\n\n"),
+    numPages: pdfData.numpages,
+    pages,
+    ocr,
+  };
+};
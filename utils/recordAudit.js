@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+import RecordAudit from "../models/RecordAudit.js";
+
+/*
+ * Field-level audit of Record changes. Every path that writes Records takes
+ * a snapshot before changing one and calls logRecordChange after saving it;
+ * the entry keeps only the fields that differ. Fields the system derives
+ * or keeps its own log of are left out.
+ */
+
+const UNAUDITED_FIELDS = [
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  // derived from causeNo and the dates by the Record hooks
+  "causeKey",
+  "receivingLeadTime",
+  "forwardingLeadTime",
+  // recomputed nightly by utils/sla.js
+  "slaBreach",
+  // logs of their own: lifecycle moves, gazette links
+  "stateHistory",
+  "gazetteNotices",
+];
+
+const plainValue = (value) => {
+  if (value instanceof mongoose.Types.ObjectId || value instanceof Date)
+    return value;
+  if (Array.isArray(value)) return value.map(plainValue);
+  if (value && typeof value === "object") {
+    // A populated reference is audited as its id
+    if (value._id) return value._id;
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, plainValue(v)])
+    );
+  }
+  return value;
+};
+
+// Missing, null and "" are all "empty"; dates and ids compare by value
+const comparable = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+/**
+ * The audited fields of a Record, as a plain copy. Take it before changing
+ * a document, since the document itself changes in place.
+ * @param {Object} record - Record document, lean object or snapshot
+ * @returns {Object}
+ */
+export const auditSnapshot = (record) => {
+  if (!record) return {};
+  const source =
+    typeof record.toObject === "function"
+      ? record.toObject({ depopulate: true })
+      : record;
+  return Object.fromEntries(
+    Object.entries(source)
+      .filter(([field]) => !UNAUDITED_FIELDS.includes(field))
+      .map(([field, value]) => [field, plainValue(value)])
+  );
+};
+
+/**
+ * Fields whose value differs between two snapshots.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {{ field: string, before: *, after: * }[]}
+ */
+export const diffRecord = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(after), ...Object.keys(before)])];
+  return fields
+    .filter((field) => !UNAUDITED_FIELDS.includes(field))
+    .filter((field) => comparable(before[field]) !== comparable(after[field]))
+    .map((field) => ({
+      field,
+      before: before[field] ?? null,
+      after: after[field] ?? null,
+    }));
+};
+
+/**
+ * Write the audit entry for a Record change. Never throws: the change is
+ * already saved, so a failed entry is logged rather than failing the
+ * request. An update that changed no audited field writes nothing.
+ * @param {"create"|"update"|"delete"} action
+ * @param {Object} options
+ * @param {Object} [options.before] - snapshot (or lean Record) before; not
+ *   for create
+ * @param {Object} [options.after] - the saved Record; not for delete
+ * @param {string} options.source - one of AUDIT_SOURCES
+ * @param {string} [options.by] - acting user
+ * @param {string} [options.note]
+ * @returns {Promise<Object|null>} the entry written, if any
+ */
+export const logRecordChange = async (
+  action,
+  { before = null, after = null, source, by = null, note = "" }
+) => {
+  const was = auditSnapshot(before);
+  const now = auditSnapshot(after);
+  const subject = action === "delete" ? before : after;
+  try {
+    const changes = diffRecord(was, now);
+    if (action === "update" && !changes.length) return null;
+
+    const fields = action === "delete" ? was : now;
+    return await RecordAudit.create({
+      record: subject._id,
+      no: fields.no,
+      causeNo: fields.causeNo,
+      nameOfDeceased: fields.nameOfDeceased,
+      courtStation: fields.courtStation,
+      action,
+      source,
+      changes,
+      snapshot:
+        action === "delete"
+          ? typeof before.toObject === "function"
+            ? before.toObject({ depopulate: true })
+            : before
+          : undefined,
+      note,
+      by,
+    });
+  } catch (err) {
+    console.error(
+      `❌ Audit entry for record ${subject?._id} failed:`,
+      err.message || err
+    );
+    return null;
+  }
+};
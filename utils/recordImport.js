@@ -0,0 +1,600 @@
+import xlsx from "xlsx";
+import Record from "../models/Record.js";
+import ImportBatch from "../models/ImportBatch.js";
+import ImportDraft from "../models/ImportDraft.js";
+import { reserveSequence } from "./getNextSequence.js";
+import { canonicalCauseKey } from "./causeNumber.js";
+import { createCourtResolver } from "./courtResolver.js";
+import { setStateDirectly } from "./recordLifecycle.js";
+import { auditSnapshot, logRecordChange } from "./recordAudit.js";
+import { EXCEL_NAME_KEYS, findExcelColumn } from "./normalize.js";
+import {
+  parseDateInput,
+  formatDateDMY,
+  DATE_FORMAT_HINT,
+} from "./dateInput.js";
+
+/*
+ * Bulk Record import from the registry spreadsheets (XLSX or CSV). Columns
+ * are found by header wording rather than position and every row is
+ * validated on its own. Rows are staged as ImportDrafts under an
+ * ImportBatch; admins fix or exclude drafts, and only committing the batch
+ * writes Records.
+ */
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Record fields a sheet can fill, with the header spellings that name them
+// (normalized: lowercase, punctuation as spaces)
+export const IMPORT_COLUMNS = {
+  courtStation: {
+    label: "Court Station",
+    required: true,
+    exact: ["court station", "court", "station", "court name"],
+    contains: ["court"],
+  },
+  causeNo: {
+    label: "Cause No.",
+    required: true,
+    exact: ["cause no", "cause number", "succession cause no", "cause"],
+    contains: ["cause"],
+  },
+  nameOfDeceased: {
+    label: "Name of the Deceased",
+    required: true,
+    exact: EXCEL_NAME_KEYS,
+    contains: ["deceased"],
+  },
+  dateReceived: {
+    label: "Date Received",
+    required: true,
+    date: true,
+    exact: ["date received"],
+    contains: ["date received"],
+  },
+  dateOfReceipt: {
+    label: "Date on E-Citizen Receipt",
+    date: true,
+    exact: ["date of receipt", "receipt date"],
+    contains: ["receipt"],
+  },
+  dateForwardedToGP: {
+    label: "Date Forwarded to GP",
+    date: true,
+    exact: ["date forwarded to gp"],
+    contains: ["forwarded"],
+  },
+  form60Compliance: {
+    label: "Form 60 Compliance",
+    oneOf: ["Approved", "Rejected"],
+    exact: ["form 60 compliance", "form 60"],
+    contains: ["form 60", "compliance"],
+  },
+  rejectionReason: {
+    label: "Reason for Rejection",
+    exact: ["reason for rejection"],
+    contains: ["rejection"],
+  },
+  statusAtGP: {
+    label: "Status at the G.P",
+    oneOf: ["Pending", "Published", "Not Published"],
+    exact: ["status"],
+    contains: ["status at"],
+  },
+  volumeNo: {
+    label: "Volume No.",
+    exact: ["volume no", "volume", "vol no", "gazette volume"],
+    contains: ["volume"],
+  },
+  datePublished: {
+    label: "Date Published",
+    date: true,
+    exact: ["date published"],
+    contains: ["date published"],
+  },
+};
+
+// The registry's own register, column for column. Exports use it so a
+// downloaded sheet can be edited and imported straight back.
+export const REGISTER_COLUMNS = [
+  { label: "No", value: "no" },
+  { label: "Court Station", value: (r) => r.courtStation?.name || "" },
+  { label: "Cause No.", value: "causeNo" },
+  { label: "Name of the Deceased", value: "nameOfDeceased" },
+  {
+    label: "Date Received at CP/Returned to Station",
+    value: (r) => formatDateDMY(r.dateReceived),
+  },
+  {
+    label: "Date on E-Citizen Receipt",
+    value: (r) => formatDateDMY(r.dateOfReceipt),
+  },
+  { label: "Lead Time", value: "receivingLeadTime" },
+  { label: "Form 60 compliance", value: "form60Compliance" },
+  { label: "Reason for Rejection", value: "rejectionReason" },
+  { label: "Status at the C.P", value: "statusAtGP" },
+  { label: "Volume No.", value: "volumeNo" },
+  { label: "Date Published", value: (r) => formatDateDMY(r.datePublished) },
+  {
+    label: "Date Forwarded to GP",
+    value: (r) => formatDateDMY(r.dateForwardedToGP),
+  },
+];
+
+/* =========================================================
+ * 1️⃣ READ THE SHEET
+ * ========================================================= */
+/**
+ * Rows of the first sheet, keyed by header. Text formats are read raw so
+ * "03/04/2025" is not reinterpreted month-first, and date cells stay Excel
+ * serials: SheetJS would build their Dates in the server's timezone.
+ * @param {Buffer} buffer - XLSX, XLS or CSV file contents
+ * @returns {{ sheetName: string, headers: string[], rows: Object[] }}
+ */
+export const readSheet = (buffer) => {
+  const workbook = xlsx.read(buffer, {
+    type: "buffer",
+    cellDates: false,
+    raw: true,
+  });
+  const sheetName = workbook.SheetNames[0];
+  const sheet = sheetName && workbook.Sheets[sheetName];
+  if (!sheet) return { sheetName: null, headers: [], rows: [] };
+
+  const [headerRow = []] = xlsx.utils.sheet_to_json(sheet, {
+    header: 1,
+    blankrows: false,
+  });
+  return {
+    sheetName,
+    headers: headerRow.map((h) => String(h ?? "").trim()).filter(Boolean),
+    rows: xlsx.utils.sheet_to_json(sheet, { defval: "", raw: true }),
+  };
+};
+
+/* =========================================================
+ * 2️⃣ DETECT COLUMNS
+ * ========================================================= */
+/**
+ * Assign a sheet header to each Record field. Exact spellings are tried for
+ * every field before any "contains" match, so "Court Station" is not taken
+ * by a header that merely mentions a station.
+ * @param {string[]} headers
+ * @returns {{ columns: Object<string, string>, missing: string[], ignored: string[] }}
+ *   missing lists the labels of required columns not found
+ */
+export const detectImportColumns = (headers = []) => {
+  const columns = {};
+  const taken = new Set();
+  const assign = (pass) => {
+    for (const [field, spec] of Object.entries(IMPORT_COLUMNS)) {
+      if (columns[field]) continue;
+      const header = findExcelColumn(headers, { [pass]: spec[pass] }, taken);
+      if (header) {
+        columns[field] = header;
+        taken.add(header);
+      }
+    }
+  };
+  assign("exact");
+  assign("contains");
+
+  return {
+    columns,
+    missing: Object.entries(IMPORT_COLUMNS)
+      .filter(([field, spec]) => spec.required && !columns[field])
+      .map(([, spec]) => spec.label),
+    ignored: headers.filter((h) => !taken.has(h)),
+  };
+};
+
+/* =========================================================
+ * 3️⃣ VALIDATE A ROW
+ * ========================================================= */
+const cellText = (value) =>
+  value instanceof Date ? value : String(value ?? "").trim();
+
+/**
+ * A sheet row's cells keyed by Record field ("" where the sheet has no
+ * such column).
+ * @param {Object} row - as from readSheet
+ * @param {Object<string, string>} columns - from detectImportColumns
+ * @returns {Object<string, string|Date>}
+ */
+export const sheetCells = (row, columns) =>
+  Object.fromEntries(
+    Object.keys(IMPORT_COLUMNS).map((field) => [
+      field,
+      columns[field] ? cellText(row[columns[field]]) : "",
+    ])
+  );
+
+/**
+ * Record values for one row's cells, with an error per field that is
+ * missing or unusable. Courts go through the shared resolver (names,
+ * aliases, town).
+ * @param {Object<string, string|Date>} cells - from sheetCells or an edit
+ * @param {(text: string) => ({ court: Object }|null)} resolveCourt
+ * @returns {{
+ *   blank: boolean,
+ *   values: Object,
+ *   courtName: string|null,
+ *   errors: Array<{ field: string, message: string }>
+ * }}
+ */
+export const validateImportCells = (cells, resolveCourt) => {
+  const values = {};
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  const raw = Object.fromEntries(
+    Object.keys(IMPORT_COLUMNS).map((field) => [field, cellText(cells[field])])
+  );
+  const blank = Object.values(raw).every((v) => v === "");
+  if (blank) return { blank, values, courtName: null, errors };
+
+  for (const [field, spec] of Object.entries(IMPORT_COLUMNS)) {
+    const value = raw[field];
+    if (value === "") {
+      if (spec.required) fail(field, `${spec.label} is required`);
+      continue;
+    }
+
+    if (spec.date) {
+      const date = parseDateInput(value);
+      if (date) values[field] = date;
+      else {
+        fail(
+          field,
+          `${spec.label} "${value}" is not a valid date (use ${DATE_FORMAT_HINT})`
+        );
+      }
+    } else if (spec.oneOf) {
+      const match = spec.oneOf.find(
+        (option) => option.toLowerCase() === value.toLowerCase()
+      );
+      if (match) values[field] = match;
+      else {
+        fail(
+          field,
+          `${spec.label} must be ${spec.oneOf.join(" or ")}, not "${value}"`
+        );
+      }
+    } else {
+      values[field] = value;
+    }
+  }
+
+  let courtName = null;
+  if (values.courtStation) {
+    const resolved = resolveCourt(values.courtStation);
+    if (resolved) {
+      courtName = resolved.court.name;
+      values.courtStation = resolved.court._id;
+    } else {
+      fail("courtStation", `Court "${values.courtStation}" is not recognised`);
+      delete values.courtStation;
+    }
+  }
+  if (values.causeNo) values.causeKey = canonicalCauseKey(values.causeNo);
+
+  return { blank, values, courtName, errors };
+};
+
+/* =========================================================
+ * 4️⃣ DRAFT STATE
+ * ========================================================= */
+export const DRAFT_STATES = [
+  "ready",
+  "conflict",
+  "duplicate",
+  "invalid",
+  "excluded",
+  "blank",
+];
+
+/**
+ * What committing would do with a draft: create (ready), update an existing
+ * Record (conflict), or leave it out for the reason given.
+ * @param {Object} draft
+ * @returns {"ready"|"conflict"|"duplicate"|"invalid"|"excluded"|"blank"}
+ */
+export const draftState = (draft) => {
+  if (draft.blank) return "blank";
+  if (draft.excluded) return "excluded";
+  if (draft.validationErrors?.length) return "invalid";
+  if (draft.duplicateOf) return "duplicate";
+  if (draft.conflict?.record) return "conflict";
+  return "ready";
+};
+
+const draftKey = (values) => `${values.courtStation}:${values.causeKey}`;
+
+/**
+ * Re-check every draft of a batch against the others (same court and cause
+ * earlier in the sheet) and against existing Records, then refresh the
+ * batch's counts. Run after staging, after each edit and before commit,
+ * since both the drafts and Record change in between.
+ * @param {import("mongoose").Document} batch
+ * @returns {Promise<import("mongoose").Document>} the saved batch
+ */
+export const refreshImportBatch = async (batch) => {
+  const drafts = await ImportDraft.find({ batch: batch._id })
+    .select("row values blank excluded validationErrors conflict duplicateOf")
+    .sort({ row: 1 })
+    .lean();
+
+  const checkable = new Set(
+    drafts.filter((d) => !d.blank && !d.excluded && !d.validationErrors.length)
+  );
+  const causeKeys = [...new Set([...checkable].map((d) => d.values.causeKey))];
+  const existing = causeKeys.length
+    ? await Record.find({ causeKey: { $in: causeKeys } })
+        .select("no causeNo nameOfDeceased courtStation causeKey")
+        .lean()
+    : [];
+  const existingByKey = new Map(existing.map((r) => [draftKey(r), r]));
+
+  const firstRowFor = new Map();
+  const ops = [];
+  for (const d of drafts) {
+    let conflict = null;
+    let duplicateOf = null;
+    if (checkable.has(d)) {
+      const key = draftKey(d.values);
+      if (firstRowFor.has(key)) duplicateOf = firstRowFor.get(key);
+      else firstRowFor.set(key, d.row);
+
+      const record = existingByKey.get(key);
+      if (record) {
+        conflict = {
+          record: record._id,
+          no: record.no,
+          causeNo: record.causeNo,
+          nameOfDeceased: record.nameOfDeceased,
+        };
+      }
+    }
+
+    if (
+      duplicateOf !== d.duplicateOf ||
+      String(conflict?.record ?? "") !== String(d.conflict?.record ?? "")
+    ) {
+      ops.push({
+        updateOne: {
+          filter: { _id: d._id },
+          update: { $set: { conflict, duplicateOf } },
+        },
+      });
+    }
+    d.conflict = conflict;
+    d.duplicateOf = duplicateOf;
+  }
+  if (ops.length) await ImportDraft.bulkWrite(ops);
+
+  const summary = { total: drafts.length, duplicates: 0, conflicts: 0 };
+  for (const state of ["ready", "invalid", "excluded", "blank"]) {
+    summary[state] = 0;
+  }
+  for (const d of drafts) {
+    const state = draftState(d);
+    if (state === "duplicate") summary.duplicates += 1;
+    else if (state === "conflict") summary.conflicts += 1;
+    else summary[state] += 1;
+  }
+  batch.summary = summary;
+  return batch.save();
+};
+
+/* =========================================================
+ * 5️⃣ STAGE
+ * ========================================================= */
+/**
+ * Parse a sheet into drafts under a new batch. Nothing is written to Record.
+ * @param {Object} options
+ * @param {{ sheetName: string, rows: Object[] }} options.sheet - from readSheet
+ * @param {Object<string, string>} options.columns - from detectImportColumns
+ * @param {string[]} [options.ignored]
+ * @param {string} options.fileName
+ * @param {string|null} [options.uploadedBy] - null from the command line
+ * @returns {Promise<import("mongoose").Document>} the staged batch
+ */
+export const stageImport = async ({
+  sheet,
+  columns,
+  ignored = [],
+  fileName,
+  uploadedBy = null,
+}) => {
+  const resolver = await createCourtResolver({ source: "import" });
+  const batch = await ImportBatch.create({
+    fileName,
+    sheetName: sheet.sheetName,
+    columns,
+    ignoredColumns: ignored,
+    uploadedBy,
+  });
+
+  const drafts = sheet.rows.map((row, i) => {
+    const cells = sheetCells(row, columns);
+    const { blank, values, courtName, errors } = validateImportCells(
+      cells,
+      resolver.resolve
+    );
+    return {
+      batch: batch._id,
+      // Row 1 is the header
+      row: i + 2,
+      cells,
+      values,
+      courtName,
+      validationErrors: errors,
+      blank,
+    };
+  });
+  await ImportDraft.insertMany(drafts);
+  await resolver.flushUnresolved();
+
+  return refreshImportBatch(batch);
+};
+
+/**
+ * Apply an admin's edit to a staged draft: changed cells are re-validated,
+ * `excluded` takes the draft in or out of the commit.
+ * @param {import("mongoose").Document} draft
+ * @param {Object} edit
+ * @param {Object<string, string>} [edit.cells] - Record field -> new text
+ * @param {boolean} [edit.excluded]
+ * @returns {Promise<import("mongoose").Document>} the saved draft
+ */
+export const editImportDraft = async (draft, { cells, excluded } = {}) => {
+  if (cells && typeof cells === "object") {
+    const merged = { ...draft.cells };
+    for (const field of Object.keys(IMPORT_COLUMNS)) {
+      if (cells[field] !== undefined) merged[field] = cells[field];
+    }
+    const resolver = await createCourtResolver({ source: "import" });
+    const { blank, values, courtName, errors } = validateImportCells(
+      merged,
+      resolver.resolve
+    );
+    Object.assign(draft, {
+      cells: merged,
+      values,
+      courtName,
+      validationErrors: errors,
+      blank,
+    });
+  }
+  if (typeof excluded === "boolean") draft.excluded = excluded;
+  return draft.save();
+};
+
+/* =========================================================
+ * 6️⃣ COMMIT
+ * ========================================================= */
+const LEFT_OUT = {
+  blank: "Blank row",
+  excluded: "Excluded by an admin",
+};
+
+/**
+ * Write a staged batch to Record. Ready drafts become new Records numbered
+ * from one block reserved on the "record" Counter; conflicting drafts update
+ * the existing Record with the cells the sheet fills. Every draft keeps its
+ * outcome, and the batch who committed it and the `no` range used.
+ * @param {string} batchId
+ * @param {Object} options
+ * @param {string} options.user - committing admin
+ * @returns {Promise<import("mongoose").Document|null>} the committed batch,
+ *   or null when the batch is not (or no longer) Staged
+ */
+export const commitImportBatch = async (batchId, { user }) => {
+  // Claim the batch so a second commit cannot run alongside this one
+  const batch = await ImportBatch.findOneAndUpdate(
+    { _id: batchId, status: "Staged" },
+    { $set: { status: "Committing" } },
+    { new: true }
+  );
+  if (!batch) return null;
+
+  try {
+    await refreshImportBatch(batch);
+    const drafts = await ImportDraft.find({ batch: batch._id }).sort({
+      row: 1,
+    });
+    const toCreate = drafts.filter((d) => draftState(d) === "ready");
+    const firstNo = toCreate.length
+      ? await reserveSequence("record", toCreate.length)
+      : null;
+
+    const auditOf = (d) => ({
+      source: "import",
+      by: user,
+      note: `Row ${d.row} of ${batch.fileName}`,
+    });
+
+    for (const d of drafts) {
+      const state = draftState(d);
+      try {
+        if (state === "ready") {
+          const record = await Record.create({
+            ...d.values,
+            no: firstNo + toCreate.indexOf(d),
+          });
+          d.record = record._id;
+          d.outcome = "created";
+          await logRecordChange("create", { after: record, ...auditOf(d) });
+        } else if (state === "conflict") {
+          const record = await Record.findById(d.conflict.record);
+          if (!record) throw new Error("The conflicting Record was deleted");
+          const before = auditSnapshot(record);
+          record.set(d.values);
+          // The sheet is the register as it stands, not a lifecycle move
+          setStateDirectly(record, undefined, { by: user, source: "import" });
+          d.record = record._id;
+          d.outcome = record.isModified() ? "updated" : "unchanged";
+          if (d.outcome === "updated") {
+            await record.save();
+            await logRecordChange("update", {
+              before,
+              after: record,
+              ...auditOf(d),
+            });
+          }
+        } else if (state === "invalid" || state === "duplicate") {
+          d.outcome = "failed";
+          d.outcomeMessage =
+            state === "duplicate"
+              ? `Same cause and court as row ${d.duplicateOf}`
+              : d.validationErrors.map((e) => e.message).join("; ");
+        } else {
+          d.outcome = "skipped";
+          d.outcomeMessage = LEFT_OUT[state];
+        }
+      } catch (err) {
+        d.outcome = "failed";
+        d.outcomeMessage = err.message;
+      }
+    }
+
+    await ImportDraft.bulkWrite(
+      drafts.map((d) => ({
+        updateOne: {
+          filter: { _id: d._id },
+          update: {
+            $set: {
+              outcome: d.outcome,
+              outcomeMessage: d.outcomeMessage,
+              record: d.record,
+            },
+          },
+        },
+      }))
+    );
+
+    const result = {};
+    for (const outcome of [
+      "created",
+      "updated",
+      "unchanged",
+      "skipped",
+      "failed",
+    ]) {
+      result[outcome] = drafts.filter((d) => d.outcome === outcome).length;
+    }
+    Object.assign(batch, {
+      status: "Committed",
+      committedBy: user,
+      committedAt: new Date(),
+      firstNo,
+      lastNo: firstNo && firstNo + toCreate.length - 1,
+      result,
+    });
+    return batch.save();
+  } catch (err) {
+    batch.status = "Staged";
+    await batch.save();
+    throw err;
+  }
+};
@@ -0,0 +1,216 @@
+/*
+ * A Record's lifecycle as explicit states. Each action moves a Record from
+ * the states listed in `from` to its target state and keeps the older
+ * fields (form60Compliance, statusAtGP, dateForwardedToGP, datePublished)
+ * in step, so reports and queries that read them keep working. Every move
+ * is appended to Record.stateHistory.
+ *
+ *   Received, Resubmitted        --review-->       Approved | Rejected
+ *   Rejected                     --return-->       Returned to Station
+ *   Returned to Station          --resubmit-->     Resubmitted
+ *   Approved, Not Published      --forward-->      Forwarded to GP
+ *   Forwarded to GP, Not Publ.   --publish-->      Published
+ *   Forwarded to GP              --notPublished--> Not Published
+ */
+
+export const RECORD_STATES = [
+  "Received",
+  "Approved",
+  "Rejected",
+  "Returned to Station",
+  "Resubmitted",
+  "Forwarded to GP",
+  "Published",
+  "Not Published",
+];
+
+// Forward and publish also accept their own target state, to correct
+// the date (and volume) already recorded; correcting a publication needs
+// the corrected date.
+export const LIFECYCLE_ACTIONS = {
+  review: { from: ["Received", "Resubmitted"], to: null },
+  return: { from: ["Rejected"], to: "Returned to Station" },
+  resubmit: { from: ["Returned to Station"], to: "Resubmitted" },
+  forward: {
+    from: ["Approved", "Forwarded to GP", "Not Published"],
+    to: "Forwarded to GP",
+  },
+  publish: {
+    from: ["Forwarded to GP", "Not Published", "Published"],
+    to: "Published",
+  },
+  notPublished: { from: ["Forwarded to GP"], to: "Not Published" },
+};
+
+// A gazette notice is proof of publication, so the scanner and review
+// queue may also publish an Approved Record whose forwarding was never
+// entered. Rejected or unreviewed Records still need an admin first.
+const GAZETTE_PUBLISH_FROM = [...LIFECYCLE_ACTIONS.publish.from, "Approved"];
+
+const ACTION_PAST = {
+  review: "reviewed",
+  return: "returned to the station",
+  resubmit: "resubmitted",
+  forward: "forwarded to GP",
+  publish: "published",
+  notPublished: "marked not published",
+};
+
+export class TransitionError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * The state a Record's legacy fields imply, for Records saved before
+ * lifecycle states existed and for imported rows.
+ * @param {Object} record
+ * @returns {string} one of RECORD_STATES
+ */
+export const deriveState = (record) => {
+  if (record.statusAtGP === "Published" || record.datePublished)
+    return "Published";
+  if (record.statusAtGP === "Not Published") return "Not Published";
+  if (record.form60Compliance === "Rejected") return "Rejected";
+  if (record.dateForwardedToGP) return "Forwarded to GP";
+  if (record.form60Compliance === "Approved") return "Approved";
+  return "Received";
+};
+
+export const currentState = (record) => record.state || deriveState(record);
+
+/**
+ * Why `action` cannot run on a Record in `state`, or null if it can.
+ * @param {string} state
+ * @param {string} action - a LIFECYCLE_ACTIONS key
+ * @param {{ via?: "gazette" }} [options]
+ * @returns {string|null}
+ */
+export const transitionError = (state, action, { via } = {}) => {
+  const spec = LIFECYCLE_ACTIONS[action];
+  if (!spec) return `Unknown action "${action}"`;
+  const from =
+    action === "publish" && via === "gazette"
+      ? GAZETTE_PUBLISH_FROM
+      : spec.from;
+  if (from.includes(state)) return null;
+  return `A record that is ${state} cannot be ${ACTION_PAST[action]} (only from ${from.join(", ")})`;
+};
+
+/**
+ * Actions a Record in `state` can take next.
+ * @param {string} state
+ * @returns {string[]}
+ */
+export const allowedActions = (state) =>
+  Object.keys(LIFECYCLE_ACTIONS).filter((a) => !transitionError(state, a));
+
+const pushHistory = (record, entry) => {
+  if (!record.stateHistory) record.stateHistory = [];
+  record.stateHistory.push({ ...entry, at: new Date() });
+};
+
+/**
+ * Run an action on a Record document (not lean); the caller saves it.
+ * @param {Object} record - Mongoose Record document
+ * @param {string} action - a LIFECYCLE_ACTIONS key
+ * @param {Object} [params]
+ * @param {"Approved"|"Rejected"} [params.decision] - review
+ * @param {string} [params.rejectionReason] - review, required to reject
+ * @param {Date} [params.date] - forward: date forwarded to GP (required)
+ * @param {Date} [params.datePublished] - publish, default now; required
+ *   to correct a Record already Published
+ * @param {string} [params.volumeNo] - publish
+ * @param {string} [params.note] - kept in the history; required for
+ *   notPublished (the reason)
+ * @param {Object} [options]
+ * @param {string} [options.by] - acting user
+ * @param {string} [options.source] - manual, bulk, verify, gazette, review
+ * @param {"gazette"} [options.via] - publication proven by a gazette notice
+ * @returns {{ from: string, to: string }}
+ * @throws {TransitionError}
+ */
+export const applyTransition = (
+  record,
+  action,
+  params = {},
+  { by = null, source = "manual", via } = {}
+) => {
+  const from = currentState(record);
+  const problem = transitionError(from, action, { via });
+  if (problem) throw new TransitionError(problem);
+
+  let to = LIFECYCLE_ACTIONS[action].to;
+  // Bodies come from clients: anything that is not a string is coerced
+  const note = String(params.note ?? "").trim();
+
+  switch (action) {
+    case "review": {
+      const { decision } = params;
+      const rejectionReason = String(params.rejectionReason ?? "").trim();
+      if (!["Approved", "Rejected"].includes(decision))
+        throw new TransitionError(
+          'decision must be "Approved" or "Rejected"',
+          400
+        );
+      if (decision === "Rejected" && !rejectionReason)
+        throw new TransitionError("A rejection needs a reason", 400);
+      record.form60Compliance = decision;
+      record.rejectionReason = decision === "Rejected" ? rejectionReason : "";
+      to = decision;
+      break;
+    }
+    case "forward":
+      if (!(params.date instanceof Date) || isNaN(params.date))
+        throw new TransitionError("A valid forwarding date is required", 400);
+      record.dateForwardedToGP = params.date;
+      record.statusAtGP = "Pending";
+      break;
+    case "publish":
+      // Re-publishing would otherwise overwrite the real date with today
+      if (from === "Published" && !params.datePublished)
+        throw new TransitionError(
+          "Already published; give the corrected datePublished",
+          400
+        );
+      record.statusAtGP = "Published";
+      record.datePublished = params.datePublished || new Date();
+      if (params.volumeNo !== undefined) record.volumeNo = params.volumeNo;
+      break;
+    case "notPublished":
+      if (!note)
+        throw new TransitionError("Give the reason it was not published", 400);
+      record.statusAtGP = "Not Published";
+      break;
+  }
+
+  record.state = to;
+  pushHistory(record, { from, to, action, source, note, by });
+  return { from, to };
+};
+
+/**
+ * Put a Record back in an earlier state without the transition rules
+ * (gazette rollback), or re-derive it after its fields were written
+ * directly (import). Does nothing when the state is unchanged.
+ * @param {Object} record - Mongoose Record document; the caller saves it
+ * @param {string} [state] - default: derived from the Record's fields
+ * @param {{ by?: string, source: string, note?: string }} options
+ * @returns {boolean} whether the state changed
+ */
+export const setStateDirectly = (
+  record,
+  state = deriveState(record),
+  { by = null, source, note = "" }
+) => {
+  const from = currentState(record);
+  if (from === state) {
+    record.state = state; // fills it in on Records saved before states
+    return false;
+  }
+  record.state = state;
+  pushHistory(record, { from, to: state, action: source, source, note, by });
+  return true;
+};
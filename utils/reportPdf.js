@@ -0,0 +1,355 @@
+import fs from "fs";
+import PDFDocument from "pdfkit";
+import { formatDateDMY } from "./dateInput.js";
+
+/*
+ * The monthly register as a real PDF (pdfkit), so nobody has to print the
+ * HTML preview from a browser: letterhead, the register table with its
+ * header repeated on every page, totals per court and per Form 60 status,
+ * a signature block and "Page x of y" footers.
+ */
+
+const NAVY = "#003366";
+const ZEBRA = "#f2f2f2";
+const RULE = "#999999";
+const PAD = 4;
+// Kept clear at the bottom of each page for the footer
+const FOOTER_SPACE = 30;
+// Optional local image for the letterhead (PNG/JPEG)
+const LOGO_PATH = process.env.REPORT_LOGO_PATH;
+
+const REGISTER_TABLE = [
+  { label: "#", width: 30, value: (r, i) => i + 1 },
+  { label: "Cause No", width: 110, value: (r) => r.causeNo },
+  { label: "Name of Deceased", width: 190, value: (r) => r.nameOfDeceased },
+  { label: "Court", width: 170, value: (r) => r.courtStation?.name || "—" },
+  { label: "Status", width: 72, value: (r) => r.form60Compliance },
+  {
+    label: "Date Received",
+    width: 85,
+    value: (r) => formatDateDMY(r.dateReceived) || "—",
+  },
+  {
+    label: "Forwarded to GP",
+    width: 105,
+    value: (r) => formatDateDMY(r.dateForwardedToGP) || "—",
+  },
+];
+
+const countColumn = (label, key, width = 90) => ({
+  label,
+  width,
+  value: (r) => r[key],
+  align: "right",
+});
+
+const COURT_TABLE = [
+  { label: "Court Station", width: 292, value: (r) => r.label },
+  countColumn("Records", "total"),
+  countColumn("Approved", "approved"),
+  countColumn("Rejected", "rejected"),
+  countColumn("Forwarded to GP", "forwarded", 110),
+  countColumn("Published", "published"),
+];
+
+const STATUS_TABLE = [
+  { label: "Form 60 Status", width: 292, value: (r) => r.label },
+  countColumn("Records", "total"),
+  countColumn("Forwarded to GP", "forwarded", 110),
+  countColumn("Published", "published"),
+  countColumn("Pending at GP", "pending", 110),
+];
+
+const emptyCounts = (label) => ({
+  label,
+  total: 0,
+  approved: 0,
+  rejected: 0,
+  forwarded: 0,
+  published: 0,
+  pending: 0,
+});
+
+const addTo = (counts, r) => {
+  counts.total += 1;
+  if (r.form60Compliance === "Rejected") counts.rejected += 1;
+  else counts.approved += 1;
+  if (r.dateForwardedToGP) counts.forwarded += 1;
+  if (r.statusAtGP === "Published") counts.published += 1;
+  else counts.pending += 1;
+};
+
+/**
+ * Totals of a register per court station and per Form 60 status.
+ * @param {Object[]} records - with courtStation populated (name)
+ * @returns {{ byCourt: Object[], byStatus: Object[], total: Object }}
+ *   rows of { label, total, approved, rejected, forwarded, published,
+ *   pending }; courts by name, statuses Approved then Rejected
+ */
+export const summarizeRegister = (records) => {
+  const courts = new Map();
+  const statuses = new Map(
+    ["Approved", "Rejected"].map((s) => [s, emptyCounts(s)])
+  );
+  const total = emptyCounts("Total");
+
+  for (const r of records) {
+    const court = r.courtStation?.name || "—";
+    if (!courts.has(court)) courts.set(court, emptyCounts(court));
+    addTo(courts.get(court), r);
+    addTo(statuses.get(r.form60Compliance) || statuses.get("Approved"), r);
+    addTo(total, r);
+  }
+
+  return {
+    byCourt: [...courts.values()].sort((a, b) =>
+      a.label.localeCompare(b.label)
+    ),
+    byStatus: [...statuses.values()],
+    total,
+  };
+};
+
+/* ===============================
+ * 1️⃣ LAYOUT HELPERS
+ * =============================== */
+
+const contentBottom = (doc) =>
+  doc.page.height - doc.page.margins.bottom - FOOTER_SPACE;
+
+const contentWidth = (doc) =>
+  doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// Start a new page unless `height` still fits on this one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > contentBottom(doc)) doc.addPage();
+};
+
+const rowHeight = (doc, columns, cells) =>
+  Math.max(
+    ...cells.map((text, j) =>
+      doc.heightOfString(text, { width: columns[j].width - 2 * PAD })
+    )
+  ) +
+  2 * PAD;
+
+const drawRow = (doc, columns, cells, { fill, color = "black" } = {}) => {
+  const x0 = doc.page.margins.left;
+  const width = columns.reduce((sum, c) => sum + c.width, 0);
+  const y = doc.y;
+  const height = rowHeight(doc, columns, cells);
+
+  if (fill) doc.rect(x0, y, width, height).fill(fill);
+  let x = x0;
+  cells.forEach((text, j) => {
+    const { width: w, align = "left" } = columns[j];
+    doc
+      .fillColor(color)
+      .text(text, x + PAD, y + PAD, { width: w - 2 * PAD, align });
+    doc
+      .moveTo(x, y)
+      .lineTo(x, y + height)
+      .lineWidth(0.5)
+      .strokeColor(RULE)
+      .stroke();
+    x += w;
+  });
+  doc
+    .rect(x0, y, width, height)
+    .lineWidth(0.5)
+    .strokeColor(RULE)
+    .stroke();
+
+  doc.x = x0;
+  doc.y = y + height;
+};
+
+/**
+ * A table whose header row is drawn again at the top of every page it
+ * runs onto. Rows are never split across pages.
+ */
+const drawTable = (doc, columns, rows, { totalRow } = {}) => {
+  const header = () => {
+    doc.font("Helvetica-Bold").fontSize(9);
+    drawRow(
+      doc,
+      columns,
+      columns.map((c) => c.label),
+      { fill: NAVY, color: "white" }
+    );
+  };
+  const cellsOf = (row, i) =>
+    columns.map((c) => String(c.value(row, i) ?? ""));
+
+  doc.font("Helvetica-Bold").fontSize(9);
+  ensureSpace(
+    doc,
+    rowHeight(doc, columns, columns.map((c) => c.label)) + 20
+  );
+  header();
+
+  const body = totalRow ? [...rows, totalRow] : rows;
+  body.forEach((row, i) => {
+    const isTotal = totalRow && i === rows.length;
+    doc.font(isTotal ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    const cells = cellsOf(row, i);
+    if (doc.y + rowHeight(doc, columns, cells) > contentBottom(doc)) {
+      doc.addPage();
+      header();
+      doc.font(isTotal ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    }
+    drawRow(doc, columns, cells, { fill: i % 2 ? ZEBRA : null });
+  });
+};
+
+const heading = (doc, text) => {
+  ensureSpace(doc, 60);
+  doc.moveDown(1.2);
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(12)
+    .fillColor(NAVY)
+    .text(text, doc.page.margins.left);
+  doc.moveDown(0.4);
+  doc.fillColor("black");
+};
+
+/* ===============================
+ * 2️⃣ SECTIONS
+ * =============================== */
+
+const letterhead = (doc, { title, count }) => {
+  const width = contentWidth(doc);
+  const left = doc.page.margins.left;
+
+  if (LOGO_PATH && fs.existsSync(LOGO_PATH)) {
+    doc.image(LOGO_PATH, left + width / 2 - 30, doc.y, { width: 60 });
+    doc.y += 66;
+  }
+  doc.fillColor("black").font("Helvetica-Bold").fontSize(10);
+  doc.text("REPUBLIC OF KENYA", left, doc.y, { width, align: "center" });
+  doc.text("THE JUDICIARY", { width, align: "center" });
+  doc
+    .fontSize(16)
+    .fillColor(NAVY)
+    .text("Principal Registry of High Court", { width, align: "center" });
+  doc
+    .fontSize(13)
+    .fillColor("black")
+    .text(title, { width, align: "center" });
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor("#444444")
+    .text(`Total Records: ${count}`, { width, align: "center" });
+
+  doc.moveDown(0.5);
+  const y = doc.y;
+  doc
+    .moveTo(left, y)
+    .lineTo(left + width, y)
+    .lineWidth(1.5)
+    .strokeColor("black")
+    .stroke();
+  doc
+    .moveTo(left, y + 3)
+    .lineTo(left + width, y + 3)
+    .lineWidth(0.5)
+    .stroke();
+  doc.y = y + 12;
+  doc.fillColor("black");
+};
+
+const signatureBlock = (doc, { generatedBy }) => {
+  ensureSpace(doc, 150);
+  doc.moveDown(2);
+  const left = doc.page.margins.left;
+  const line = "_".repeat(34);
+
+  doc.font("Helvetica").fontSize(10).fillColor("black");
+  const roles = ["Prepared by", "Checked and approved by (Deputy Registrar)"];
+  for (const role of roles) {
+    doc.text(`${role}:`, left);
+    doc.moveDown(0.8);
+    doc.text(`Name: ${line}    Signature: ${line}    Date: ${"_".repeat(18)}`);
+    doc.moveDown(1.2);
+  }
+  doc.text("Official stamp:", left);
+  doc.moveDown(2);
+
+  doc
+    .fontSize(8)
+    .fillColor("#777777")
+    .text(
+      `Generated by the Principal Registry system on ${formatDateDMY(
+        new Date()
+      )}${generatedBy ? ` for ${generatedBy}` : ""}.`,
+      left
+    );
+  doc.fillColor("black");
+};
+
+// "Page x of y" on every page, once the page count is known
+const pageFooters = (doc, title) => {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const { left, bottom } = doc.page.margins;
+    const width = contentWidth(doc);
+    const y = doc.page.height - bottom - 14;
+    // Writing below the bottom margin would otherwise open a new page
+    doc.page.margins.bottom = 0;
+    doc.font("Helvetica").fontSize(8).fillColor("#555555");
+    doc.text(title, left, y, { width, align: "left", lineBreak: false });
+    doc.text(`Page ${i - start + 1} of ${count}`, left, y, {
+      width,
+      align: "right",
+      lineBreak: false,
+    });
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+/* ===============================
+ * 3️⃣ REGISTER PDF
+ * =============================== */
+
+/**
+ * Render a register of records as an A4 landscape PDF.
+ * @param {Object} params
+ * @param {string} params.title - e.g. "Monthly Report - August 2025"
+ * @param {Object[]} params.records - sorted, with courtStation populated (name)
+ * @param {string} [params.generatedBy] - name shown under the signatures
+ * @returns {Promise<Buffer>}
+ */
+export const registerReportPdf = ({ title, records, generatedBy }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: "landscape",
+      margin: 40,
+      bufferPages: true,
+      info: { Title: title, Author: "Principal Registry of High Court" },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      letterhead(doc, { title, count: records.length });
+      drawTable(doc, REGISTER_TABLE, records);
+
+      const { byCourt, byStatus, total } = summarizeRegister(records);
+      heading(doc, "Summary by Court Station");
+      drawTable(doc, COURT_TABLE, byCourt, { totalRow: total });
+      heading(doc, "Summary by Form 60 Compliance");
+      drawTable(doc, STATUS_TABLE, byStatus, { totalRow: total });
+
+      signatureBlock(doc, { generatedBy });
+      pageFooters(doc, title);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
@@ -0,0 +1,536 @@
+import cron from "node-cron";
+import Record from "../models/Record.js";
+import Court from "../models/Court.js";
+import { User } from "../models/userModel.js";
+import ReportSchedule from "../models/ReportSchedule.js";
+import ReportRun from "../models/ReportRun.js";
+import { sendEmail } from "./sendMail.js";
+import { formatDateDMY } from "./dateInput.js";
+import { registerReportPdf } from "./reportPdf.js";
+import { loadSlaGroups, overdueQuery, overdueDetails } from "./sla.js";
+import {
+  adminReportEmailTemplate,
+  courtSummaryEmailTemplate,
+  overdueDigestEmailTemplate,
+} from "./reportTemplates.js";
+
+/*
+ * Reports sent without anyone opening a URL. Schedules live in the
+ * ReportSchedule collection and are registered with node-cron when the
+ * server starts (and again whenever one is edited). Each run reports on
+ * the last whole month, week or day and is logged as a ReportRun; a cron run
+ * claims its period first, so several servers never send it twice.
+ */
+
+// Seeded on first start; edit them through /api/v1/reports/schedules
+export const DEFAULT_SCHEDULES = [
+  {
+    key: "monthly-admin-register",
+    name: "Monthly register to Admins",
+    report: "adminRegister",
+    period: "month",
+    cron: "0 7 1 * *",
+    recipients: { admins: true, courts: false, extra: [] },
+  },
+  {
+    key: "monthly-court-summary",
+    name: "Monthly summary to each court",
+    report: "courtSummary",
+    period: "month",
+    cron: "30 7 1 * *",
+    recipients: { admins: false, courts: true, extra: [] },
+  },
+  {
+    key: "weekly-court-summary",
+    name: "Weekly summary to each court",
+    report: "courtSummary",
+    period: "week",
+    cron: "0 7 * * 1",
+    recipients: { admins: false, courts: true, extra: [] },
+    enabled: false,
+  },
+  {
+    key: "daily-overdue-digest",
+    name: "Daily overdue-at-GP digest",
+    report: "overdueDigest",
+    period: "day",
+    cron: "0 7 * * *",
+    recipients: { admins: true, courts: false, extra: [] },
+  },
+];
+
+const tasks = new Map();
+
+/* ===============================
+ * 1️⃣ REPORT PERIODS (UTC, like downloadMonthlyReport)
+ * =============================== */
+
+/**
+ * The calendar month, Monday–Sunday week or day that contains `date`.
+ * @param {"month"|"week"|"day"} period
+ * @param {Date} date
+ * @returns {{ start: Date, end: Date, label: string }} end is exclusive
+ */
+export const periodContaining = (period, date) => {
+  const d = new Date(date);
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth();
+
+  if (period === "month") {
+    const start = new Date(Date.UTC(y, m, 1));
+    const label = start.toLocaleString("en-GB", {
+      month: "long",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+    return { start, end: new Date(Date.UTC(y, m + 1, 1)), label };
+  }
+
+  if (period === "day") {
+    const start = new Date(Date.UTC(y, m, d.getUTCDate()));
+    const end = new Date(Date.UTC(y, m, d.getUTCDate() + 1));
+    return { start, end, label: formatDateDMY(start) };
+  }
+
+  // getUTCDay: Sunday = 0, so Monday is 6 days back from a Sunday
+  const back = (d.getUTCDay() + 6) % 7;
+  const start = new Date(Date.UTC(y, m, d.getUTCDate() - back));
+  const end = new Date(Date.UTC(y, m, d.getUTCDate() - back + 7));
+  const last = new Date(end.getTime() - 1);
+  const label = `Week ${formatDateDMY(start)} – ${formatDateDMY(last)}`;
+  return { start, end, label };
+};
+
+/**
+ * The last whole period before `date` — what a run on `date` reports on.
+ */
+export const previousPeriod = (period, date = new Date()) => {
+  const { start } = periodContaining(period, date);
+  return periodContaining(period, new Date(start.getTime() - 1));
+};
+
+/* ===============================
+ * 2️⃣ REPORT DATA
+ * =============================== */
+
+const inRange = (field, { start, end }) => ({
+  $and: [{ $gte: [field, start] }, { $lt: [field, end] }],
+});
+
+/**
+ * Received / rejected / forwarded / published counts per court station.
+ * Received and rejected go by dateReceived, forwarded by
+ * dateForwardedToGP, published by datePublished.
+ * @returns {Promise<Map<string, Object>>} keyed by Court id
+ */
+const countsByCourt = async (range) => {
+  const { start, end } = range;
+  const within = { $gte: start, $lt: end };
+  const rows = await Record.aggregate([
+    {
+      $match: {
+        $or: [
+          { dateReceived: within },
+          { dateForwardedToGP: within },
+          { datePublished: within },
+        ],
+      },
+    },
+    {
+      $group: {
+        _id: "$courtStation",
+        received: {
+          $sum: { $cond: [inRange("$dateReceived", range), 1, 0] },
+        },
+        rejected: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  inRange("$dateReceived", range),
+                  { $eq: ["$form60Compliance", "Rejected"] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+        forwarded: {
+          $sum: { $cond: [inRange("$dateForwardedToGP", range), 1, 0] },
+        },
+        published: {
+          $sum: { $cond: [inRange("$datePublished", range), 1, 0] },
+        },
+      },
+    },
+  ]);
+  return new Map(rows.map(({ _id, ...counts }) => [String(_id), counts]));
+};
+
+const totalCounts = (byCourt) => {
+  const total = { received: 0, rejected: 0, forwarded: 0, published: 0 };
+  for (const counts of byCourt.values())
+    for (const k of Object.keys(total)) total[k] += counts[k];
+  return total;
+};
+
+const REPORT_TITLES = {
+  month: "Monthly Report",
+  week: "Weekly Report",
+  day: "Daily Report",
+};
+
+/**
+ * Title of a register report, after the schedule's period type.
+ * @param {{ period: "month"|"week"|"day" }} schedule
+ * @param {{ label: string }} range - from periodContaining
+ * @returns {string} e.g. "Weekly Report - 01/09/2025 – 07/09/2025"
+ */
+export const reportTitle = (schedule, range) =>
+  `${REPORT_TITLES[schedule.period]} - ${range.label.replace(/^Week /, "")}`;
+
+/**
+ * First address as `to`, the rest as `cc`; blanks and repeats dropped.
+ * @param {(string|null|undefined)[]} addresses
+ * @returns {{ to: string|undefined, cc: string[] }} `to` is undefined when
+ *   no address is left
+ */
+export const emailRecipients = (addresses) => {
+  const [to, ...cc] = [
+    ...new Set(addresses.map((a) => a?.trim()).filter(Boolean)),
+  ];
+  return { to, cc };
+};
+
+/* ===============================
+ * 3️⃣ SENDING
+ * =============================== */
+
+// Send one email and log the outcome on the run
+const deliver = async (run, email) => {
+  const { to, cc = [], subject, court } = email;
+  try {
+    await sendEmail({ ...email, cc });
+    run.emails.push({ to, cc, subject, court, status: "Sent" });
+  } catch (err) {
+    run.emails.push({
+      to,
+      cc,
+      subject,
+      court,
+      status: "Failed",
+      error: err.message,
+    });
+  }
+};
+
+// Logged on the run instead of sending to nobody
+const skip = (run, { subject, court }, reason) =>
+  run.emails.push({
+    to: null,
+    cc: [],
+    subject,
+    court,
+    status: "Skipped",
+    error: reason,
+  });
+
+// Verified Admins (when enabled) plus `extra`, without repeats
+const adminRecipients = async (schedule) => {
+  const to = [...schedule.recipients.extra];
+  if (schedule.recipients.admins) {
+    const admins = await User.find({ role: "Admin", accountVerified: true })
+      .select("email")
+      .lean();
+    to.push(...admins.map((a) => a.email));
+  }
+  return [...new Set(to.filter(Boolean))];
+};
+
+// Full register to Admins (and `extra`), as a PDF attachment
+const sendAdminRegister = async (schedule, range, run) => {
+  const [records, byCourt] = await Promise.all([
+    Record.find({ dateReceived: { $gte: range.start, $lt: range.end } })
+      .populate("courtStation", "name")
+      .sort({ no: 1 })
+      .lean(),
+    countsByCourt(range),
+  ]);
+  run.recordCount = records.length;
+
+  const to = await adminRecipients(schedule);
+  if (!to.length) throw new Error("No recipients for this report");
+
+  const title = reportTitle(schedule, range);
+  const attachment = {
+    filename: `${title.replace(/[^\w-]+/g, "_")}.pdf`,
+    content: await registerReportPdf({ title, records }),
+    contentType: "application/pdf",
+  };
+  const html = adminReportEmailTemplate({
+    title,
+    periodLabel: range.label,
+    counts: totalCounts(byCourt),
+  });
+
+  for (const email of to) {
+    await deliver(run, {
+      to: email,
+      subject: `📊 ${title}`,
+      html,
+      attachments: [attachment],
+    });
+  }
+};
+
+// Each court with activity in the period gets its own counts
+const sendCourtSummaries = async (schedule, range, run) => {
+  const { courts: toCourts, extra } = schedule.recipients;
+  if (!toCourts && !extra.length)
+    throw new Error("No recipients for this report");
+
+  const byCourt = await countsByCourt(range);
+  const courts = await Court.find({
+    _id: { $in: [...byCourt.keys()] },
+  }).lean();
+  const rejected = await Record.find({
+    form60Compliance: "Rejected",
+    dateReceived: { $gte: range.start, $lt: range.end },
+  })
+    .select("courtStation causeNo nameOfDeceased rejectionReason")
+    .sort({ no: 1 })
+    .lean();
+  run.recordCount = totalCounts(byCourt).received;
+
+  for (const court of courts) {
+    const id = String(court._id);
+    const html = courtSummaryEmailTemplate({
+      courtName: court.name,
+      periodLabel: range.label,
+      counts: byCourt.get(id),
+      rejected: rejected.filter((r) => String(r.courtStation) === id),
+    });
+    const subject = `📋 ${court.name} — Registry summary, ${range.label}`;
+
+    // Without court recipients the summaries go to `extra` only
+    const { to, cc } = emailRecipients(
+      toCourts
+        ? [court.primaryEmail, ...(court.secondaryEmails || []), ...extra]
+        : extra
+    );
+    if (!to) {
+      skip(run, { subject, court: court._id }, "Court has no email address");
+      continue;
+    }
+    await deliver(run, { to, cc, subject, html, court: court._id });
+  }
+};
+
+// Records still Pending at GP past their SLA, grouped by court station:
+// the whole list to Admins, and (when enabled) each court its own part.
+// Nothing is sent on a day with nothing overdue.
+const sendOverdueDigest = async (schedule, range, run) => {
+  const admins = await adminRecipients(schedule);
+  if (!admins.length && !schedule.recipients.courts)
+    throw new Error("No recipients for this report");
+
+  const now = new Date();
+  const groups = await loadSlaGroups();
+  const daysByCourt = new Map(
+    groups.flatMap((g) => g.courts.map((id) => [String(id), g]))
+  );
+  const records = await Record.find(overdueQuery(groups, "publication", now))
+    .populate("courtStation", "name primaryEmail secondaryEmails")
+    .sort({ dateForwardedToGP: 1 })
+    .lean();
+  run.recordCount = records.length;
+  if (!records.length) return;
+
+  const byCourt = new Map();
+  for (const r of records) {
+    const id = String(r.courtStation._id);
+    const [overdue] = overdueDetails(r, daysByCourt.get(id), now).filter(
+      (d) => d.stage === "publication"
+    );
+    if (!byCourt.has(id)) byCourt.set(id, { court: r.courtStation, rows: [] });
+    byCourt.get(id).rows.push({ ...r, overdue });
+  }
+  const sections = [...byCourt.values()].sort((a, b) =>
+    a.court.name.localeCompare(b.court.name)
+  );
+  const asOf = formatDateDMY(now);
+
+  const html = overdueDigestEmailTemplate({ asOf, sections });
+  for (const email of admins) {
+    await deliver(run, {
+      to: email,
+      subject: `⏰ ${records.length} record(s) overdue at the Government Printer — ${asOf}`,
+      html,
+    });
+  }
+
+  if (!schedule.recipients.courts) return;
+  for (const section of sections) {
+    const { court } = section;
+    const subject = `⏰ ${court.name} — ${section.rows.length} record(s) overdue at the Government Printer`;
+    const { to, cc } = emailRecipients([
+      court.primaryEmail,
+      ...(court.secondaryEmails || []),
+    ]);
+    if (!to) {
+      skip(run, { subject, court: court._id }, "Court has no email address");
+      continue;
+    }
+    await deliver(run, {
+      to,
+      cc,
+      subject,
+      html: overdueDigestEmailTemplate({ asOf, sections: [section] }),
+      court: court._id,
+    });
+  }
+};
+
+const SENDERS = {
+  adminRegister: sendAdminRegister,
+  courtSummary: sendCourtSummaries,
+  overdueDigest: sendOverdueDigest,
+};
+
+/* ===============================
+ * 4️⃣ RUNNING A SCHEDULE
+ * =============================== */
+
+/**
+ * Run a schedule now and log it.
+ * @param {Object|string} scheduleOrId - ReportSchedule document or id
+ * @param {Object} [options]
+ * @param {"cron"|"manual"} [options.trigger]
+ * @param {string} [options.user] - who triggered a manual run
+ * @param {Date} [options.date] - report on the period containing this
+ *   date; by default the last whole period before now
+ * @returns {Promise<Object|null>} the ReportRun, or null when a cron run
+ *   for this period was already claimed
+ */
+export const runReportSchedule = async (
+  scheduleOrId,
+  { trigger = "manual", user = null, date } = {}
+) => {
+  const schedule =
+    typeof scheduleOrId === "object" && scheduleOrId.report
+      ? scheduleOrId
+      : await ReportSchedule.findById(scheduleOrId);
+  if (!schedule) return null;
+
+  const range = date
+    ? periodContaining(schedule.period, date)
+    : previousPeriod(schedule.period);
+
+  let run;
+  try {
+    run = await ReportRun.create({
+      schedule: schedule._id,
+      key: schedule.key,
+      report: schedule.report,
+      trigger,
+      triggeredBy: user,
+      periodStart: range.start,
+      periodEnd: range.end,
+      periodLabel: range.label,
+    });
+  } catch (err) {
+    if (err.code === 11000) return null; // another server has this period
+    throw err;
+  }
+
+  try {
+    await SENDERS[schedule.report](schedule, range, run);
+    // Skipped emails count against the run like failed ones
+    const sent = run.emails.filter((e) => e.status === "Sent").length;
+    run.status =
+      sent === run.emails.length
+        ? "Succeeded"
+        : sent === 0
+          ? "Failed"
+          : "Partial";
+  } catch (err) {
+    run.status = "Failed";
+    run.error = err.message;
+  }
+  run.finishedAt = new Date();
+  await run.save();
+
+  await ReportSchedule.updateOne(
+    { _id: schedule._id },
+    { lastRunAt: run.finishedAt, lastRunStatus: run.status }
+  );
+  console.log(
+    `📨 Report ${schedule.key} (${range.label}): ${run.status}, ${run.emails.length} email(s)`
+  );
+  return run;
+};
+
+/* ===============================
+ * 5️⃣ CRON REGISTRATION
+ * =============================== */
+
+const register = (schedule) => {
+  const task = cron.schedule(
+    schedule.cron,
+    () =>
+      runReportSchedule(schedule._id, { trigger: "cron" }).catch((err) =>
+        console.error(`Report ${schedule.key} failed:`, err.message || err)
+      ),
+    { timezone: schedule.timezone, name: schedule.key }
+  );
+  tasks.set(String(schedule._id), task);
+};
+
+/**
+ * Next cron time of a registered schedule, or null when it is disabled.
+ */
+export const nextReportRun = (scheduleId) =>
+  tasks.get(String(scheduleId))?.getNextRun() ?? null;
+
+export const stopReportScheduler = () => {
+  for (const task of tasks.values()) task.destroy();
+  tasks.clear();
+};
+
+/**
+ * Re-read every schedule and register the enabled ones.
+ */
+export const reloadReportScheduler = async () => {
+  stopReportScheduler();
+  const schedules = await ReportSchedule.find({ enabled: true });
+  for (const schedule of schedules) {
+    try {
+      register(schedule);
+    } catch (err) {
+      console.error(`Report ${schedule.key} not scheduled:`, err.message);
+    }
+  }
+  return schedules.length;
+};
+
+/**
+ * Seed missing default schedules, then register them all.
+ */
+export const startReportScheduler = async () => {
+  try {
+    await Promise.all(
+      DEFAULT_SCHEDULES.map((s) =>
+        ReportSchedule.updateOne(
+          { key: s.key },
+          { $setOnInsert: s },
+          { upsert: true }
+        )
+      )
+    );
+    const count = await reloadReportScheduler();
+    console.log(`⏰ Report scheduler started (${count} schedule(s))`);
+  } catch (err) {
+    console.error("Report scheduler failed to start:", err.message || err);
+  }
+};
@@ -0,0 +1,244 @@
+import { formatDateDMY } from "./dateInput.js";
+
+/*
+ * HTML for the registry's reports: the register preview behind the
+ * monthly-report link (the PDF comes from utils/reportPdf.js) and the
+ * scheduled emails to Admins and court stations.
+ */
+
+const LOGO_URL =
+  "https://judiciary.go.ke/wp-content/uploads/2023/05/logo1-Copy-2.png";
+
+/**
+ * Printable register of records.
+ * @param {Object} params
+ * @param {string} params.title - e.g. "Monthly Report - August 2025"
+ * @param {Object[]} params.records - with courtStation populated (name)
+ * @param {string} [params.pdfUrl] - adds a "Download PDF" link
+ * @returns {string} a complete HTML document
+ */
+export function registerReportHtml({ title, records, pdfUrl }) {
+  const tableRows = records.map((r, i) => `
+      <tr>
+        <td>${i + 1}</td>
+        <td>${r.causeNo}</td>
+        <td>${r.nameOfDeceased}</td>
+        <td>${r.courtStation?.name || "—"}</td>
+        <td>${r.form60Compliance}</td>
+        <td>${r.dateReceived ? new Date(r.dateReceived).toLocaleDateString() : "—"}</td>
+        <td>${r.dateForwardedToGP ? new Date(r.dateForwardedToGP).toLocaleDateString() : "—"}</td>
+      </tr>
+    `).join("");
+
+  return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="UTF-8" />
+          <title>${title}</title>
+          <style>
+            body { font-family: 'Arial', sans-serif; margin:40px; background:#fff; color:#000; }
+            .header { text-align:center; border-bottom:2px solid #000; padding-bottom:10px; margin-bottom:20px; }
+            .header img { width:80px; height:80px; margin-bottom:10px; }
+            .header h1 { font-size:22px; margin:5px 0; color:#003366; }
+            .header h2 { font-size:18px; margin:5px 0; }
+            .header h3 { font-size:16px; margin:5px 0; color:#444; }
+            table { width:100%; border-collapse:collapse; margin-top:20px; }
+            th, td { border:1px solid #999; padding:8px; font-size:14px; text-align:left; }
+            th { background-color:#003366; color:#fff; }
+            tr:nth-child(even) { background-color:#f2f2f2; }
+            .print-btn { margin-bottom:20px; }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <img src="${LOGO_URL}" alt="Logo"/>
+            <h1>Principal Registry of High Court</h1>
+            <h2>${title}</h2>
+            <h3>Total Records: ${records.length}</h3>
+          </div>
+          <button class="print-btn" onclick="window.print()">Print</button>
+          ${pdfUrl ? `<a class="print-btn" href="${pdfUrl}">Download PDF</a>` : ""}
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Cause No</th>
+                <th>Name of Deceased</th>
+                <th>Court</th>
+                <th>Status</th>
+                <th>Date Received</th>
+                <th>Date Forwarded to GP</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${tableRows}
+            </tbody>
+          </table>
+        </body>
+      </html>
+    `;
+}
+
+const countCell = (label, value, color) => `
+  <td style="border:1px solid #ccc; padding:12px; text-align:center;">
+    <div style="font-size:22px; font-weight:bold; color:${color};">${value}</div>
+    <div style="font-size:12px; color:#555;">${label}</div>
+  </td>`;
+
+/**
+ * Covering email for the scheduled admin register.
+ * @param {Object} params
+ * @param {string} params.title
+ * @param {string} params.periodLabel
+ * @param {{ received: number, rejected: number, forwarded: number, published: number }} params.counts
+ * @returns {string}
+ */
+export function adminReportEmailTemplate({ title, periodLabel, counts }) {
+  return `
+    <div style="font-family:Arial,sans-serif; border:1px solid #ddd; border-radius:8px;">
+      <div style="background:#003366; color:#fff; text-align:center; padding:20px;"><h2 style="margin:0;">${title}</h2></div>
+      <div style="padding:20px;">
+        <p>Dear Admin,</p>
+        <p>Here is the registry summary for <strong>${periodLabel}</strong>. The full register is attached.</p>
+        <table style="width:100%; border-collapse:collapse; margin-top:16px;">
+          <tr>
+            ${countCell("Received", counts.received, "#003366")}
+            ${countCell("Rejected", counts.rejected, "#b22222")}
+            ${countCell("Forwarded to G.P", counts.forwarded, "#b48222")}
+            ${countCell("Published", counts.published, "#006400")}
+          </tr>
+        </table>
+        <p style="margin-top:20px;">Regards,<br><strong>Principal Registry System</strong></p>
+      </div>
+      <div style="background:#f4f4f4; text-align:center; font-size:12px; color:#777; padding:12px;">⚖️ This is a system-generated email. Please do not reply directly to this message.</div>
+    </div>
+  `;
+}
+
+/**
+ * A court station's own summary for the period, with the rejected records
+ * listed so the station can follow them up.
+ * @param {Object} params
+ * @param {string} params.courtName
+ * @param {string} params.periodLabel
+ * @param {{ received: number, rejected: number, forwarded: number, published: number }} params.counts
+ * @param {Object[]} params.rejected - records with causeNo, nameOfDeceased, rejectionReason
+ * @returns {string}
+ */
+export function courtSummaryEmailTemplate({
+  courtName,
+  periodLabel,
+  counts,
+  rejected,
+}) {
+  const rejectedRows = rejected
+    .map(
+      (r) => `
+    <tr>
+      <td style="border:1px solid #ccc; padding:8px;">${r.causeNo}</td>
+      <td style="border:1px solid #ccc; padding:8px;">${r.nameOfDeceased}</td>
+      <td style="border:1px solid #ccc; padding:8px;">${r.rejectionReason || "—"}</td>
+    </tr>`
+    )
+    .join("");
+
+  return `
+    <div style="font-family:Arial,sans-serif; border:1px solid #ddd; border-radius:8px;">
+      <div style="display:flex; align-items:center; background:#006400; color:#fff; padding:15px;">
+        <img src="${LOGO_URL}" alt="Judiciary Logo" width="50" height="50" style="margin-right:15px;"/>
+        <div>
+          <h2 style="margin:0; font-size:20px;">${courtName}</h2>
+          <p style="margin:0; font-size:14px;">Registry summary — ${periodLabel}</p>
+        </div>
+      </div>
+      <div style="padding:20px;">
+        <table style="width:100%; border-collapse:collapse;">
+          <tr>
+            ${countCell("Received", counts.received, "#003366")}
+            ${countCell("Rejected", counts.rejected, "#b22222")}
+            ${countCell("Forwarded to G.P", counts.forwarded, "#b48222")}
+            ${countCell("Published", counts.published, "#006400")}
+          </tr>
+        </table>
+        ${
+          rejected.length
+            ? `<h3 style="color:#b22222; margin-top:24px;">Rejected records</h3>
+        <table style="width:100%; border-collapse:collapse;">
+          <thead>
+            <tr style="background-color:#e8f0fe; color:#003366;">
+              <th style="border:1px solid #ccc; padding:8px;">Cause No</th>
+              <th style="border:1px solid #ccc; padding:8px;">Deceased</th>
+              <th style="border:1px solid #ccc; padding:8px;">Reason</th>
+            </tr>
+          </thead>
+          <tbody>${rejectedRows}</tbody>
+        </table>`
+            : ""
+        }
+        <p style="margin-top:20px;">Regards,<br><strong>Principal Registry System</strong></p>
+      </div>
+      <div style="background:#f1f1f1; color:#555; padding:12px; text-align:center; font-size:12px;">⚖️ This is a system-generated email from the ORHC of Kenya.<br/>Please do not reply directly to this message.</div>
+    </div>
+  `;
+}
+
+/**
+ * Daily list of Records still Pending at the Government Printer past
+ * their SLA, one table per court station.
+ * @param {Object} params
+ * @param {string} params.asOf - dd/mm/yyyy
+ * @param {Array<{ court: { name: string }, rows: Object[] }>} params.sections
+ *   rows are records with `overdue` ({ limitDays, daysWaiting, daysOverdue })
+ * @returns {string}
+ */
+export function overdueDigestEmailTemplate({ asOf, sections }) {
+  const cell = (v) => `<td style="border:1px solid #ccc; padding:8px;">${v}</td>`;
+  const total = sections.reduce((sum, s) => sum + s.rows.length, 0);
+
+  const tables = sections
+    .map(
+      ({ court, rows }) => `
+        <h3 style="color:#003366; margin:24px 0 8px;">${court.name} (${rows.length})</h3>
+        <table style="width:100%; border-collapse:collapse;">
+          <thead>
+            <tr style="background-color:#e8f0fe; color:#003366;">
+              <th style="border:1px solid #ccc; padding:8px;">Cause No</th>
+              <th style="border:1px solid #ccc; padding:8px;">Deceased</th>
+              <th style="border:1px solid #ccc; padding:8px;">Forwarded to G.P</th>
+              <th style="border:1px solid #ccc; padding:8px;">Days at G.P</th>
+              <th style="border:1px solid #ccc; padding:8px;">Days over SLA</th>
+            </tr>
+          </thead>
+          <tbody>${rows
+            .map(
+              (r) => `
+            <tr>
+              ${cell(r.causeNo)}
+              ${cell(r.nameOfDeceased)}
+              ${cell(formatDateDMY(r.dateForwardedToGP))}
+              ${cell(`${r.overdue?.daysWaiting ?? "—"} (limit ${r.overdue?.limitDays ?? "—"})`)}
+              ${cell(`<strong style="color:#b22222;">${r.overdue?.daysOverdue ?? "—"}</strong>`)}
+            </tr>`
+            )
+            .join("")}
+          </tbody>
+        </table>`
+    )
+    .join("");
+
+  return `
+    <div style="font-family:Arial,sans-serif; border:1px solid #ddd; border-radius:8px;">
+      <div style="background:#b22222; color:#fff; text-align:center; padding:20px;">
+        <h2 style="margin:0;">Overdue at the Government Printer</h2>
+        <p style="margin:4px 0 0;">${total} record(s) as of ${asOf}</p>
+      </div>
+      <div style="padding:20px;">
+        <p>These records were forwarded to the Government Printer and are still pending publication past the agreed lead time.</p>
+        ${tables}
+        <p style="margin-top:20px;">Regards,<br><strong>Principal Registry System</strong></p>
+      </div>
+      <div style="background:#f4f4f4; text-align:center; font-size:12px; color:#777; padding:12px;">⚖️ This is a system-generated email. Please do not reply directly to this message.</div>
+    </div>
+  `;
+}
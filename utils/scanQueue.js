@@ -0,0 +1,278 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import ScanJob from "../models/ScanJob.js";
+import GazettePreview from "../models/GazettePreview.js";
+import {
+  parseGazetteFile,
+  planGazetteScan,
+  applyGazettePlan,
+  buildScanSummary,
+  metadataProblem,
+} from "./gazetteScan.js";
+
+/*
+ * Gazette scans run here, outside the HTTP request. Jobs live in the
+ * ScanJob collection, so nothing but MongoDB is needed: the worker polls
+ * for the oldest queued job, claims it atomically and runs it. One job at
+ * a time per process; several processes can share the queue safely.
+ */
+
+const POLL_MS = Number(process.env.SCAN_JOB_POLL_MS) || 5000;
+// A running job whose lock is older than this is assumed dead and re-queued
+export const STALE_LOCK_MS =
+  Number(process.env.SCAN_JOB_STALE_MINUTES || 15) * 60 * 1000;
+// Progress is written at most this often
+const PROGRESS_EVERY_MS = 1000;
+// After this many attempts a failed job is final and its upload deleted
+export const MAX_ATTEMPTS = Number(process.env.SCAN_JOB_MAX_ATTEMPTS) || 3;
+const RECONCILE_TTL_MINUTES =
+  Number(process.env.GAZETTE_PREVIEW_TTL_MINUTES) || 30;
+
+let timer = null;
+let busy = false;
+
+/**
+ * Queue a scan for an uploaded file.
+ * @returns {Promise<Object>} the ScanJob document
+ */
+export const enqueueScanJob = async ({
+  filePath,
+  fileName,
+  uploadedBy,
+  overrides = {},
+}) => {
+  const job = await ScanJob.create({
+    filePath,
+    fileName,
+    uploadedBy,
+    overrides,
+  });
+  setImmediate(runNextJob);
+  return job;
+};
+
+/**
+ * Put a failed job back on the queue. The uploaded file must still exist.
+ * Metadata overrides given here replace the job's earlier ones.
+ * @returns {Promise<Object|null>} the re-queued job, or null if it was not failed
+ */
+export const retryScanJob = async (jobId, overrides = {}) => {
+  const job = await ScanJob.findOneAndUpdate(
+    { _id: jobId, status: "Failed" },
+    {
+      $set: {
+        status: "Queued",
+        stage: "waiting",
+        error: null,
+        lockedAt: null,
+        finishedAt: null,
+        ...(Object.keys(overrides).length && { overrides }),
+        progress: {
+          pagesParsed: 0,
+          totalPages: null,
+          casesExtracted: 0,
+          casesChecked: 0,
+          casesMatched: 0,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (job) setImmediate(runNextJob);
+  return job;
+};
+
+// Coalesces progress callbacks into one write per PROGRESS_EVERY_MS
+const progressReporter = (jobId) => {
+  const progress = {};
+  let lastWrite = 0;
+
+  const write = () => {
+    lastWrite = Date.now();
+    const $set = { lockedAt: new Date() };
+    for (const [k, v] of Object.entries(progress)) {
+      if (v !== undefined && v !== null) $set[`progress.${k}`] = v;
+    }
+    return ScanJob.updateOne({ _id: jobId }, { $set }).catch((err) =>
+      console.error("⚠ Could not record scan progress:", err.message)
+    );
+  };
+
+  const report = (patch) => {
+    Object.assign(progress, patch);
+    if (Date.now() - lastWrite >= PROGRESS_EVERY_MS) write();
+  };
+
+  const stage = (name) =>
+    ScanJob.updateOne(
+      { _id: jobId },
+      { $set: { stage: name, lockedAt: new Date() } }
+    );
+
+  return { report, flush: write, stage };
+};
+
+// Jobs a worker may take: queued ones, and running ones whose worker has
+// not touched the lock for STALE_LOCK_MS (it crashed or was killed)
+export const claimableJobFilter = (now = new Date()) => ({
+  $or: [
+    { status: "Queued" },
+    {
+      status: "Running",
+      lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) },
+    },
+  ],
+});
+
+/**
+ * What a claimed job's attempt count (this attempt included) allows.
+ *  - "exhausted": past MAX_ATTEMPTS; a job that keeps crashing its worker
+ *                 comes back as a stale lock, so it is failed unrun
+ *  - "last":      this is the final attempt; a failure deletes the upload
+ *  - "retryable": a failure can still be retried
+ * @param {number} attempts
+ * @returns {"exhausted"|"last"|"retryable"}
+ */
+export const attemptStatus = (attempts) => {
+  if (attempts > MAX_ATTEMPTS) return "exhausted";
+  return attempts === MAX_ATTEMPTS ? "last" : "retryable";
+};
+
+const claimNextJob = () =>
+  ScanJob.findOneAndUpdate(
+    claimableJobFilter(),
+    {
+      $set: {
+        status: "Running",
+        stage: "parsing",
+        lockedAt: new Date(),
+        startedAt: new Date(),
+        error: null,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+const runJob = async (job) => {
+  const progress = progressReporter(job._id);
+
+  // 1️⃣ Parse
+  const parsed = await parseGazetteFile(job.filePath, {
+    onProgress: progress.report,
+    fileName: job.fileName,
+    overrides: job.overrides,
+  });
+  await progress.flush();
+  if (!parsed.text) {
+    throw new Error("No readable text found in the PDF, even after OCR");
+  }
+  // Retry with volumeNo/datePublished once an admin has read them off the PDF
+  const problem = metadataProblem(parsed);
+  if (problem) throw new Error(problem);
+
+  // 2️⃣ Match
+  await progress.stage("matching");
+  const plan = await planGazetteScan(parsed, { onProgress: progress.report });
+  await progress.flush();
+
+  const { tableData, ...summary } = buildScanSummary(plan);
+
+  // Issue already on file: leave a reconcile token instead of writing
+  if (plan.existingGazette) {
+    const preview = await GazettePreview.create({
+      token: crypto.randomBytes(24).toString("hex"),
+      uploadedBy: job.uploadedBy,
+      fileName: job.fileName,
+      plan,
+      expiresAt: new Date(Date.now() + RECONCILE_TTL_MINUTES * 60 * 1000),
+    });
+    return { outcome: "reconcile", previewToken: preview.token, summary };
+  }
+
+  // 3️⃣ Write
+  await progress.stage("saving");
+  const { gazette, scanLog, unresolvedCourts } = await applyGazettePlan(plan, {
+    uploadedBy: job.uploadedBy,
+    fileName: job.fileName,
+    job: job._id,
+  });
+
+  return {
+    outcome: "applied",
+    gazette: gazette._id,
+    scanLog: scanLog._id,
+    summary: { ...summary, unresolvedCourts },
+  };
+};
+
+/**
+ * Claim and run queued jobs until none are left.
+ */
+export const runNextJob = async () => {
+  if (busy) return;
+  busy = true;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      console.log(`⚙️ Scan job ${job._id} started (${job.fileName})`);
+      try {
+        if (attemptStatus(job.attempts) === "exhausted")
+          throw new Error(`Gave up after ${MAX_ATTEMPTS} attempts`);
+        const result = await runJob(job);
+        await ScanJob.updateOne(
+          { _id: job._id },
+          {
+            $set: {
+              status: "Completed",
+              stage: "done",
+              result,
+              lockedAt: null,
+              finishedAt: new Date(),
+            },
+          }
+        );
+        await fs.unlink(job.filePath).catch(() => {});
+        console.log(`✅ Scan job ${job._id} completed (${result.outcome})`);
+      } catch (err) {
+        console.error(`❌ Scan job ${job._id} failed:`, err.message);
+        // Out of attempts: no retry can use the file any more
+        const final = attemptStatus(job.attempts) !== "retryable";
+        await ScanJob.updateOne(
+          { _id: job._id },
+          {
+            $set: {
+              status: "Failed",
+              error: final
+                ? `${err.message} (no retries left; upload the file again)`
+                : err.message,
+              lockedAt: null,
+              finishedAt: new Date(),
+            },
+          }
+        );
+        if (final) await fs.unlink(job.filePath).catch(() => {});
+      }
+    }
+  } catch (err) {
+    console.error("❌ Scan queue error:", err.message);
+  } finally {
+    busy = false;
+  }
+};
+
+/**
+ * Start polling for queued scan jobs. Safe to call more than once.
+ */
+export const startScanWorker = () => {
+  if (timer) return;
+  timer = setInterval(runNextJob, POLL_MS);
+  timer.unref();
+  setImmediate(runNextJob);
+  console.log("🛠️ Gazette scan worker started");
+};
+
+export const stopScanWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
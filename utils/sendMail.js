@@ -8,8 +8,16 @@ import nodemailer from "nodemailer";
  * @param {string} params.subject - Subject line
  * @param {string} [params.message] - Plain text fallback
  * @param {string} [params.html] - Rich HTML content
+ * @param {Object[]} [params.attachments] - nodemailer attachments ({ filename, content, contentType })
  */
-export const sendEmail = async ({ to, cc = [], subject, message, html }) => {
+export const sendEmail = async ({
+  to,
+  cc = [],
+  subject,
+  message,
+  html,
+  attachments = [],
+}) => {
   if (!to || !subject || (!message && !html)) {
     throw new Error(
       "Primary recipient, subject, and either message or HTML content are required."
@@ -37,6 +45,7 @@ export const sendEmail = async ({ to, cc = [], subject, message, html }) => {
       subject,
       text: message || "", // plain text fallback
       html: html || "",
+      attachments: attachments.length > 0 ? attachments : undefined,
     };
 
     const info = await transporter.sendMail(mailOptions);
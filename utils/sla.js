@@ -0,0 +1,229 @@
+import cron from "node-cron";
+import Record from "../models/Record.js";
+import Court from "../models/Court.js";
+import SlaSetting from "../models/SlaSetting.js";
+
+/*
+ * Lead-time limits (SLAs) for the two hand-offs the registry controls:
+ * receipt -> forwarding to the Government Printer, and forwarding ->
+ * publication. Limits come from SlaSetting (global, overridable per court
+ * level). A Record is "overdue" while it is still waiting past a limit, and
+ * flagged in slaBreach once it has been past it at all, even if it has
+ * since moved on.
+ */
+
+export const SLA_STAGES = ["forwarding", "publication"];
+
+// Used until an admin saves a global setting
+export const DEFAULT_SLA = { forwardingDays: 14, publicationDays: 30 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_KEY = {
+  forwarding: "forwardingDays",
+  publication: "publicationDays",
+};
+const SWEEP_CRON = process.env.SLA_SWEEP_CRON || "15 0 * * *";
+
+let sweepTask = null;
+
+/* ===============================
+ * 1️⃣ LIMITS
+ * =============================== */
+
+/**
+ * Limits that apply to a court level: its own, else global, else default.
+ * @param {Object[]} settings - SlaSetting rows
+ * @param {string} level - Court.level
+ * @returns {{ forwardingDays: number, publicationDays: number }}
+ */
+export const resolveSlaDays = (settings, level) => {
+  const global = settings.find((s) => s.scope === "global");
+  const own = settings.find((s) => s.scope === level);
+  const pick = (key) => own?.[key] ?? global?.[key] ?? DEFAULT_SLA[key];
+  return {
+    forwardingDays: pick("forwardingDays"),
+    publicationDays: pick("publicationDays"),
+  };
+};
+
+/**
+ * Courts grouped by the limits that apply to them, so one query per group
+ * covers every court.
+ * @returns {Promise<Object[]>} { forwardingDays, publicationDays, courts }
+ */
+export const loadSlaGroups = async () => {
+  const [settings, courts] = await Promise.all([
+    SlaSetting.find().lean(),
+    Court.find().select("level").lean(),
+  ]);
+  const groups = new Map();
+  for (const court of courts) {
+    const days = resolveSlaDays(settings, court.level);
+    const key = `${days.forwardingDays}|${days.publicationDays}`;
+    if (!groups.has(key)) groups.set(key, { ...days, courts: [] });
+    groups.get(key).courts.push(court._id);
+  }
+  return [...groups.values()];
+};
+
+/* ===============================
+ * 2️⃣ QUERIES
+ * =============================== */
+
+/**
+ * Records past the `stage` limit of `days`.
+ * open: only those still waiting (not yet forwarded / still Pending at
+ * GP); otherwise also those that moved on late. Rejected Form 60s go
+ * back to the station and are never due for forwarding.
+ * @param {"forwarding"|"publication"} stage
+ * @param {number} days
+ * @param {{ now?: Date, open?: boolean }} [options]
+ * @returns {Object} a Record query
+ */
+export const slaBreachQuery = (
+  stage,
+  days,
+  { now = new Date(), open = false } = {}
+) => {
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+
+  if (stage === "forwarding") {
+    const waiting = {
+      form60Compliance: { $ne: "Rejected" },
+      dateForwardedToGP: null,
+      dateReceived: { $lt: cutoff },
+    };
+    return open
+      ? waiting
+      : { $or: [waiting, { forwardingLeadTime: { $gt: days } }] };
+  }
+
+  const waiting = {
+    statusAtGP: "Pending",
+    dateForwardedToGP: { $ne: null, $lt: cutoff },
+  };
+  if (open) return waiting;
+  const late = {
+    dateForwardedToGP: { $ne: null },
+    datePublished: { $ne: null },
+    $expr: {
+      $gt: [
+        { $subtract: ["$datePublished", "$dateForwardedToGP"] },
+        days * DAY_MS,
+      ],
+    },
+  };
+  return { $or: [waiting, late] };
+};
+
+/**
+ * Query for Records still waiting past a limit, across all court groups.
+ * @param {Object[]} groups - from loadSlaGroups
+ * @param {"forwarding"|"publication"|"all"} stage
+ * @param {Date} [now]
+ */
+export const overdueQuery = (groups, stage, now = new Date()) => {
+  const stages = stage === "all" ? SLA_STAGES : [stage];
+  const clauses = groups.flatMap((g) =>
+    stages.map((s) => ({
+      courtStation: { $in: g.courts },
+      ...slaBreachQuery(s, g[DAYS_KEY[s]], { now, open: true }),
+    }))
+  );
+  // No courts: match nothing rather than everything
+  return clauses.length ? { $or: clauses } : { _id: null };
+};
+
+/**
+ * How far past its limits a Record still waiting is.
+ * @param {Object} record
+ * @param {{ forwardingDays: number, publicationDays: number }} days
+ * @param {Date} [now]
+ * @returns {Object[]} { stage, limitDays, daysWaiting, daysOverdue } per
+ *   stage it is overdue at
+ */
+export const overdueDetails = (record, days, now = new Date()) => {
+  const waited = (from) => Math.floor((now - new Date(from)) / DAY_MS);
+  const details = [];
+
+  if (
+    !record.dateForwardedToGP &&
+    record.form60Compliance !== "Rejected" &&
+    record.dateReceived
+  ) {
+    const daysWaiting = waited(record.dateReceived);
+    if (daysWaiting > days.forwardingDays)
+      details.push({
+        stage: "forwarding",
+        limitDays: days.forwardingDays,
+        daysWaiting,
+        daysOverdue: daysWaiting - days.forwardingDays,
+      });
+  }
+
+  if (record.dateForwardedToGP && record.statusAtGP === "Pending") {
+    const daysWaiting = waited(record.dateForwardedToGP);
+    if (daysWaiting > days.publicationDays)
+      details.push({
+        stage: "publication",
+        limitDays: days.publicationDays,
+        daysWaiting,
+        daysOverdue: daysWaiting - days.publicationDays,
+      });
+  }
+  return details;
+};
+
+/* ===============================
+ * 3️⃣ BREACH FLAGS
+ * =============================== */
+
+/**
+ * Recompute Record.slaBreach against the current limits.
+ * @returns {Promise<{ flagged: number, cleared: number }>}
+ */
+export const refreshSlaFlags = async (now = new Date()) => {
+  const groups = await loadSlaGroups();
+  let flagged = 0;
+  let cleared = 0;
+
+  for (const g of groups) {
+    for (const stage of SLA_STAGES) {
+      const flag = `slaBreach.${stage}`;
+      const breach = slaBreachQuery(stage, g[DAYS_KEY[stage]], { now });
+      const scope = { courtStation: { $in: g.courts } };
+
+      const set = await Record.updateMany(
+        { ...scope, ...breach, [flag]: { $ne: true } },
+        { $set: { [flag]: true } }
+      );
+      const unset = await Record.updateMany(
+        { ...scope, [flag]: true, $nor: [breach] },
+        { $set: { [flag]: false } }
+      );
+      flagged += set.modifiedCount;
+      cleared += unset.modifiedCount;
+    }
+  }
+  return { flagged, cleared };
+};
+
+/**
+ * Refresh the flags now and every night (SLA_SWEEP_CRON), since a waiting
+ * Record becomes overdue without anything being saved.
+ */
+export const startSlaMonitor = async () => {
+  if (sweepTask) return;
+  const sweep = () =>
+    refreshSlaFlags()
+      .then(({ flagged, cleared }) =>
+        console.log(`⏱️ SLA flags: ${flagged} flagged, ${cleared} cleared`)
+      )
+      .catch((err) => console.error("SLA sweep failed:", err.message || err));
+
+  sweepTask = cron.schedule(SWEEP_CRON, sweep, {
+    timezone: "Africa/Nairobi",
+    name: "sla-sweep",
+  });
+  await sweep();
+};
@@ -0,0 +1,100 @@
+import { Parser, Transform } from "json2csv";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import xlsx from "xlsx";
+
+/*
+ * Shared CSV/XLSX download for report and export endpoints. Columns are
+ * given once as { label, value } (value: a row key or a function of the
+ * row) and used for both formats so the two files always agree.
+ */
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const cellValue = (row, value) => {
+  const v = typeof value === "function" ? value(row) : row[value];
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  return v ?? "";
+};
+
+const tableRow = (row, fields) =>
+  Object.fromEntries(fields.map((f) => [f.label, cellValue(row, f.value)]));
+
+const attachment = (res, fileName, format) => {
+  res.setHeader(
+    "Content-Type",
+    format === "xlsx"
+      ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      : "text/csv; charset=utf-8"
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${fileName}.${format}"`
+  );
+};
+
+/**
+ * Send rows as a file attachment.
+ * @param {import("express").Response} res
+ * @param {Object} options
+ * @param {Array<Object>} options.rows
+ * @param {Array<{ label: string, value: string|Function }>} options.fields
+ * @param {string} options.fileName - without extension
+ * @param {"csv"|"xlsx"} options.format
+ * @param {string} [options.sheetName]
+ */
+export const sendTable = (
+  res,
+  { rows, fields, fileName, format, sheetName = "Report" }
+) => {
+  const table = rows.map((row) => tableRow(row, fields));
+
+  if (format === "xlsx") {
+    const sheet = xlsx.utils.json_to_sheet(table, {
+      header: fields.map((f) => f.label),
+    });
+    const book = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(book, sheet, sheetName.slice(0, 31));
+    const buffer = xlsx.write(book, { type: "buffer", bookType: "xlsx" });
+
+    attachment(res, fileName, "xlsx");
+    return res.status(200).send(buffer);
+  }
+
+  const csv = new Parser({ fields: fields.map((f) => f.label) }).parse(table);
+  attachment(res, fileName, "csv");
+  return res.status(200).send(csv);
+};
+
+/**
+ * Like sendTable, for rows read one at a time (e.g. a Mongoose cursor).
+ * CSV is streamed to the client as rows arrive; an XLSX workbook has to be
+ * built whole, so those rows are collected first.
+ * @param {import("express").Response} res
+ * @param {Object} options
+ * @param {AsyncIterable<Object>} options.rows
+ * @param {Array<{ label: string, value: string|Function }>} options.fields
+ * @param {string} options.fileName - without extension
+ * @param {"csv"|"xlsx"} options.format
+ * @param {string} [options.sheetName]
+ */
+export const streamTable = async (res, { rows, fields, format, ...rest }) => {
+  if (format === "xlsx") {
+    const collected = [];
+    for await (const row of rows) collected.push(row);
+    return sendTable(res, { rows: collected, fields, format, ...rest });
+  }
+
+  attachment(res, rest.fileName, "csv");
+  res.status(200);
+  const csv = new Transform(
+    { fields: fields.map((f) => f.label) },
+    { objectMode: true }
+  );
+  const table = Readable.from(
+    (async function* () {
+      for await (const row of rows) yield tableRow(row, fields);
+    })()
+  );
+  return pipeline(table, csv, res);
+};